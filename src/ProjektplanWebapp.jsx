@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import html2canvas from "html2canvas";
 
 /**
@@ -7,12 +7,43 @@ import html2canvas from "html2canvas";
  * - Phasenbeschreibungen niemals abgeschnitten (mehrzeilig, dynamische Zeilenhöhe)
  * - Monatszeile zeigt jeden begonnenen Monat vollständig (Ansichtsbereich auf Monatsgrenzen)
  * - Dünne vertikale Linie am Ende jedes Monats
+ * - Zoomstufen Tag / Woche (KW) / Monat / Quartal / Jahr mit zweizeiligem Kopf (z. B. Quartal über Monat, Monat über KW)
  * - GoLive: schwarzer Stern + Beschriftung „GoLive“ rechts hinter der Phase
- * - Hypercare: automatisch 2 Wochen nach jeder GoLive-relevanten Phase
+ * - Meilenstein-Zeile über der Timeline zeigt jeden Meilenstein; Typen (Entscheidung, Abnahme, externer Termin)
+ *   mit eigenem Symbol, optional an Start/Ende einer Phase verankert (wandert mit der Terminierung)
+ * - Nach dem GoLive: Hypercare (Dauer, Personentage, blockierend) je Phase konfigurierbar (Standard 2 Wochen)
+ *   + weitere Nachlauf-Blöcke (z. B. Stabilisierung, Gewährleistung) mit eigener Farbe und Legende
  * - Linke Spalte mit Phasennamen (exakt links vom Balken) + Trennlinie
  * - Titel als Eingabefeld, Farben pro Phase wählbar, Projektorganisation-Farbe wählbar
  * - Export: als Bild speichern, JSON Import/Export & Autosave (localStorage)
- * - Burnrate-Auswertung: Tag / Woche (KW) / Monat
+ * - Link teilen: Plan komprimiert im URL-Fragment; Empfänger sieht Timeline & Burnrate schreibgeschützt
+ *   (ohne seinen Speicher zu berühren) und kann den Plan in die eigenen Projekte übernehmen
+ * - Kalender: .ics-Export (Meilensteine, GoLive, Hypercare, optional Phasen) mit stabilen UIDs für Outlook & Co.
+ * - MS Project: Export/Import als MSPDI-XML (Vorgänge, Arbeit, Besetzung, Abhängigkeiten, Meilensteine, Kalender)
+ * - Vektor-Export: SVG und mehrseitiges PDF (A4/A3 quer) der gesamten Planbreite inkl. Legende, optional Burnrate-Tabelle
+ * - Terminprognose: Drei-Punkt-Schätzung der Personentage je Phase, reproduzierbare Monte-Carlo-Simulation
+ *   (Seed, lokal in Etappen) mit P50/P80/P95 für Projektende und GoLives; Streuung als Whisker in der Timeline
+ * - Zielsuche: benötigte Personen bzw. Tage/Woche je Phase aus einem Ziel-Projektende oder GoLive (ganze Personen,
+ *   maximale Teamgröße) – Vorschlag im Prüfdialog, klare Meldung, wenn der Termin nicht erreichbar ist
+ * - Szenarien (Was-wäre-wenn): benannte Varianten mit überschriebener Besetzung, Personentagen oder GoLive je Phase;
+ *   Vergleich von GoLive, Projektende und Personentagen mit überlagerten Timelines – der Plan bleibt unverändert
+ * - Burnrate-Auswertung: Tag / Woche (KW) / Monat als Säulendiagramm (gestapelt nach Phase, kumulierte Linie) oder Tabelle;
+ *   optional Auslastungs-Histogramm unter der Timeline auf derselben Zeitskala (auch im Bild-Export)
+ * - Tabellen: Terminierung und Burnrate als CSV (Semikolon, Dezimalkomma) und Excel-Arbeitsmappe (.xlsx);
+ *   Phasenliste per CSV bzw. aus Excel eingefügt übernehmen (Anhängen oder Ersetzen)
+ * - Arbeitskalender: optional nur Mo–Fr, ohne Feiertage des Bundeslands und Betriebsruhe
+ * - Abhängigkeiten (EA/AA/EE + Verzug) statt strikter Reihenfolge, Zyklen werden gemeldet
+ * - Kritischer Pfad (früheste/späteste Lage, Puffer) in Tabelle und Timeline
+ * - Ressourcen-Pool (Kapazität, Abwesenheiten, Tagessatz), Zuordnung je Phase, Überlastungsprüfung
+ * - Kosten & Budget: Tagessätze, kumulierte Kosten, S-Kurve gegen Budgetlinie
+ * - Basispläne: eingefrorene Terminierung als Geisterbalken + Abweichung je Phase
+ * - Fortschritt: % erledigt + Ist-Termine, Heute-Linie, Status gegen lineares Soll
+ * - Mehrere Projekte (je eigener Speicher), Projektwechsel und Portfolio-Sicht
+ * - Versioniertes Dokument-Schema mit Migrationen; Import/Laden validiert und meldet ungültige Felder
+ * - Undo/Redo über den gesamten Plan (Strg+Z / Strg+Umschalt+Z), Verlauf übersteht Neuladen
+ * - Drag & Drop in der Timeline: Balken verschieben/verlängern, Meilensteine verschieben (Raster Tag/Woche)
+ * - Stabile IDs für Phasen/Meilensteine; Zeilen einfügen, duplizieren, löschen und per Ziehen umsortieren
+ * - Unterphasen (bis 3 Ebenen): Sammelphasen rollen Termine/Aufwand hoch, einklappbar in Timeline und Export
  */
 
 const palette = {
@@ -24,6 +55,7 @@ const palette = {
   accentLight: "#F8E1D7",
   softBlue: "#DBEAFE",
   softBlueBorder: "#60A5FA",
+  critical: "#B91C1C",
 };
 
 const labelColWidth = 260; // Breiter für lange Namen
@@ -51,98 +83,2060 @@ function subDays(iso, days) {
   return toDateValue(d);
 }
 
+// Tagesnummer in UTC – lokale Mitternacht wäre an Sommerzeit-Umstellungen 23 bzw. 25 Stunden vom Vortag entfernt
+const isoDayNumber = (iso) => Date.UTC(+iso.slice(0, 4), +iso.slice(5, 7) - 1, +iso.slice(8, 10)) / 86400000;
+
 function diffDaysInclusive(startIso, endIso) {
-  const s = new Date(startIso + "T00:00:00");
-  const e = new Date(endIso + "T00:00:00");
-  const ms = e - s;
-  return Math.floor(ms / (1000 * 60 * 60 * 24)) + 1; // inclusive
+  return isoDayNumber(endIso) - isoDayNumber(startIso) + 1; // inclusive
+}
+
+function firstOfMonth(iso) {
+  const d = new Date(iso + "T00:00:00");
+  d.setDate(1);
+  return toDateValue(d);
+}
+
+function lastOfMonth(iso) {
+  const d = new Date(iso + "T00:00:00");
+  d.setMonth(d.getMonth() + 1, 0); // Tag 0 = letzter Tag des Vormonats
+  return toDateValue(d);
+}
+
+function nextMonth(iso) {
+  const d = new Date(iso + "T00:00:00");
+  d.setMonth(d.getMonth() + 1);
+  d.setDate(1);
+  return toDateValue(d);
+}
+
+function formatMonthLabel(iso) {
+  const d = new Date(iso + "T00:00:00");
+  // Voller Monatsname + ausgeschriebene Jahreszahl, deutsch
+  return d.toLocaleString('de-DE', { month: 'long', year: 'numeric' });
+}
+
+// ISO-Kalenderwoche (Montag als Wochenbeginn)
+function getISOWeekParts(iso) {
+  const d = new Date(isoDayNumber(iso) * 86400000); // UTC-Mitternacht, passend zu den getUTC…-Aufrufen
+  const day = (d.getUTCDay() + 6) % 7; // 0=Montag
+  const thursday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day + 3));
+  const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+  const week = Math.floor(((thursday - yearStart) / 86400000 + 10) / 7);
+  const year = thursday.getUTCFullYear();
+  return { week, year };
+}
+
+// Alle Tage zwischen zwei Daten
+function enumerateDates(startIso, endIso) {
+  const res = [];
+  let cur = startIso;
+  while (new Date(cur + "T00:00:00") <= new Date(endIso + "T00:00:00")) {
+    res.push(cur);
+    cur = addDays(cur, 1);
+  }
+  return res;
+}
+
+// Farb-Utility: Nur #RGB / #RRGGBB zulassen, sonst Fallback
+function sanitizeHexColor(c, fallback) {
+  const re = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+  return typeof c === "string" && re.test(c) ? c : fallback;
+}
+
+// ===== Arbeitskalender (Wochenenden, Feiertage, Betriebsruhe) =====
+export const BUNDESLAENDER = [
+  ["", "– keine Feiertage –"],
+  ["DE", "Nur bundesweite Feiertage"],
+  ["BW", "Baden-Württemberg"],
+  ["BY", "Bayern"],
+  ["BE", "Berlin"],
+  ["BB", "Brandenburg"],
+  ["HB", "Bremen"],
+  ["HH", "Hamburg"],
+  ["HE", "Hessen"],
+  ["MV", "Mecklenburg-Vorpommern"],
+  ["NI", "Niedersachsen"],
+  ["NW", "Nordrhein-Westfalen"],
+  ["RP", "Rheinland-Pfalz"],
+  ["SL", "Saarland"],
+  ["SN", "Sachsen"],
+  ["ST", "Sachsen-Anhalt"],
+  ["SH", "Schleswig-Holstein"],
+  ["TH", "Thüringen"],
+];
+
+// Ostersonntag (gregorianisch, anonymer Algorithmus nach Meeus/Jones/Butcher)
+export function easterSunday(year) {
+  const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4), k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return toDateValue(new Date(year, month - 1, day));
+}
+
+// Gesetzliche Feiertage eines Jahres für ein Bundesland → Map(iso → Name)
+export function germanHolidays(year, region) {
+  const res = new Map();
+  if (!region) return res;
+  const easter = easterSunday(year);
+  const fixed = (mmdd) => `${year}-${mmdd}`;
+  const bussUndBettag = (() => { const d = new Date(year, 10, 22); d.setDate(22 - ((d.getDay() + 4) % 7)); return toDateValue(d); })();
+  // [Datum, Name, Bundesländer (null = bundesweit)]
+  const list = [
+    [fixed("01-01"), "Neujahr", null],
+    [fixed("01-06"), "Heilige Drei Könige", ["BW", "BY", "ST"]],
+    [fixed("03-08"), "Internationaler Frauentag", [...(year >= 2019 ? ["BE"] : []), ...(year >= 2023 ? ["MV"] : [])]],
+    [subDays(easter, 2), "Karfreitag", null],
+    [addDays(easter, 1), "Ostermontag", null],
+    [fixed("05-01"), "Tag der Arbeit", null],
+    [addDays(easter, 39), "Christi Himmelfahrt", null],
+    [addDays(easter, 50), "Pfingstmontag", null],
+    [addDays(easter, 60), "Fronleichnam", ["BW", "BY", "HE", "NW", "RP", "SL"]],
+    [fixed("08-15"), "Mariä Himmelfahrt", ["SL"]],
+    [fixed("09-20"), "Weltkindertag", year >= 2019 ? ["TH"] : []],
+    [fixed("10-03"), "Tag der Deutschen Einheit", null],
+    [fixed("10-31"), "Reformationstag", year === 2017 ? null : ["BB", "MV", "SN", "ST", "TH", ...(year >= 2018 ? ["HB", "HH", "NI", "SH"] : [])]],
+    [fixed("11-01"), "Allerheiligen", ["BW", "BY", "NW", "RP", "SL"]],
+    [bussUndBettag, "Buß- und Bettag", ["SN"]],
+    [fixed("12-25"), "1. Weihnachtstag", null],
+    [fixed("12-26"), "2. Weihnachtstag", null],
+  ];
+  for (const [iso, name, regions] of list) if (!regions || regions.includes(region)) res.set(iso, name);
+  return res;
+}
+
+// Kalender-Objekt: mode 'calendar' = jeder Tag zählt, 'workdays' = Mo–Fr ohne Feiertage/Betriebsruhe
+export function makeWorkCalendar({ mode = "calendar", region = "", closures = [] } = {}) {
+  const workdays = mode === "workdays";
+  const closed = new Map();
+  for (const c of closures || []) {
+    if (!c?.start) continue; const end = c.end && c.end >= c.start ? c.end : c.start;
+    if (diffDaysInclusive(c.start, end) > 366) continue; // Schutz vor Tippfehlern im Jahr
+    for (const iso of enumerateDates(c.start, end)) closed.set(iso, c.name || "Betriebsruhe");
+  }
+  const byYear = new Map();
+  const holidayName = (iso) => {
+    if (!region) return null; const y = Number(iso.slice(0, 4));
+    if (!byYear.has(y)) byYear.set(y, germanHolidays(y, region));
+    return byYear.get(y).get(iso) || null;
+  };
+  const isWorkday = (iso) => {
+    if (!workdays) return true;
+    const wd = new Date(iso + "T00:00:00").getDay(); if (wd === 0 || wd === 6) return false;
+    return !holidayName(iso) && !closed.has(iso);
+  };
+  return { mode: workdays ? "workdays" : "calendar", isWorkday, holidayName, closureName: (iso) => closed.get(iso) || null };
+}
+
+const CALENDAR_DAYS = makeWorkCalendar();
+const MAX_NONWORK_SCAN = 3660; // Abbruch, falls (fast) alles geschlossen ist
+
+// Nächster Arbeitstag ab iso (inkl.)
+export function nextWorkday(iso, cal = CALENDAR_DAYS) {
+  let cur = iso; for (let guard = 0; guard < MAX_NONWORK_SCAN && !cal.isWorkday(cur); guard++) cur = addDays(cur, 1);
+  return cur;
+}
+
+// Letzter Arbeitstag bis iso (inkl.)
+export function prevWorkday(iso, cal = CALENDAR_DAYS) {
+  let cur = iso; for (let guard = 0; guard < MAX_NONWORK_SCAN && !cal.isWorkday(cur); guard++) cur = subDays(cur, 1);
+  return cur;
+}
+
+// Ende einer Spanne von n Arbeitstagen ab start (inkl.)
+export function addWorkdays(startIso, n, cal = CALENDAR_DAYS) {
+  let cur = nextWorkday(startIso, cal);
+  for (let left = Math.max(1, Math.ceil(Number(n) || 1)) - 1; left > 0; left--) cur = nextWorkday(addDays(cur, 1), cal);
+  return cur;
+}
+
+// Beginn einer Spanne von n Arbeitstagen, die an end (inkl.) endet
+export function subWorkdays(endIso, n, cal = CALENDAR_DAYS) {
+  let cur = prevWorkday(endIso, cal);
+  for (let left = Math.max(1, Math.ceil(Number(n) || 1)) - 1; left > 0; left--) cur = prevWorkday(subDays(cur, 1), cal);
+  return cur;
+}
+
+// Berechnungs-Helfer (für Selbsttests)
+export function computePhaseDays(personDays, persons, daysPerWeekPerPerson) {
+  const denom = (Number(persons) || 0) * (Number(daysPerWeekPerPerson) || 0);
+  const weeks = denom > 0 ? (Number(personDays) || 0) / denom : 0;
+  const days = Math.max(1, Math.ceil(weeks * 7));
+  const workDays = Math.max(1, Math.ceil(weeks * 5)); // 5 Arbeitstage je Woche
+  return { weeks, days, workDays };
+}
+
+export function computeBackwardStart(endIso, durationDays, cal = CALENDAR_DAYS) {
+  const d = Math.max(1, Number(durationDays) || 1);
+  if (cal.mode === "calendar") return subDays(endIso, d - 1);
+  return subWorkdays(endIso, d, cal);
+}
+
+// ===== Abhängigkeiten & Terminierung =====
+export const DEP_TYPES = [
+  ["FS", "EA", "Ende → Anfang"],
+  ["SS", "AA", "Anfang → Anfang"],
+  ["FF", "EE", "Ende → Ende"],
+];
+
+const maxIso = (a, b) => (a >= b ? a : b); // ISO-Daten sind lexikografisch sortierbar
+const minIso = (a, b) => (a <= b ? a : b);
+
+// Verschiebt um n Arbeitstage (n < 0 rückwärts); im Kalendertage-Modus = addDays
+export function offsetWorkdays(iso, n, cal = CALENDAR_DAYS) {
+  let cur = iso; const k = Math.round(Number(n) || 0);
+  for (let i = 0; i < k; i++) cur = nextWorkday(addDays(cur, 1), cal);
+  for (let i = 0; i > k; i--) cur = prevWorkday(subDays(cur, 1), cal);
+  return cur;
+}
+
+// Arbeitstage zwischen a (exkl.) und b (inkl.); negativ, wenn b vor a liegt
+export function workdayDiff(aIso, bIso, cal = CALENDAR_DAYS) {
+  if (aIso === bIso) return 0;
+  const sign = bIso > aIso ? 1 : -1; const [lo, hi] = sign > 0 ? [aIso, bIso] : [bIso, aIso];
+  return sign * enumerateDates(addDays(lo, 1), hi).filter(cal.isWorkday).length;
+}
+
+export function sanitizeDeps(deps) {
+  return (Array.isArray(deps) ? deps : [])
+    .map((d) => ({ from: d?.from == null ? "" : String(d.from), type: DEP_TYPES.some(([t]) => t === d?.type) ? d.type : "FS", lag: Math.round(Number(d?.lag) || 0) }))
+    .filter((d) => d.from !== "");
+}
+
+// Topologische Reihenfolge (Kahn); Phasen in oder hinter einem Zyklus landen in `cyclic`
+export function topoOrderPhases(phases) {
+  const idx = new Map(phases.map((p, i) => [p.id, i]));
+  const indeg = phases.map(() => 0); const succ = phases.map(() => []);
+  phases.forEach((p, i) => {
+    for (const d of p.deps || []) { const j = idx.get(d.from); if (j === undefined) continue; indeg[i]++; succ[j].push(i); }
+  });
+  const queue = []; indeg.forEach((n, i) => { if (n === 0) queue.push(i); });
+  const order = [];
+  while (queue.length) { const i = queue.shift(); order.push(i); for (const k of succ[i]) if (--indeg[k] === 0) queue.push(k); }
+  const cyclic = []; indeg.forEach((n, i) => { if (n > 0) cyclic.push(i); });
+  return { order, cyclic };
+}
+
+// Alle Zyklen (als Indexfolgen Vorgänger → Nachfolger) innerhalb der nicht auflösbaren Phasen
+function findCycles(phases, cyclic) {
+  const idx = new Map(phases.map((p, i) => [p.id, i])); const inCyc = new Set(cyclic);
+  const cycles = []; const seenKeys = new Set();
+  for (const startIdx of cyclic) {
+    const pos = new Map(); const path = []; let cur = startIdx;
+    while (cur !== undefined && !pos.has(cur)) {
+      pos.set(cur, path.length); path.push(cur);
+      const d = (phases[cur].deps || []).find((x) => inCyc.has(idx.get(x.from)));
+      cur = d ? idx.get(d.from) : undefined;
+    }
+    if (cur === undefined) continue;
+    const cycle = path.slice(pos.get(cur)).reverse(); const key = [...cycle].sort((a, b) => a - b).join(",");
+    if (!seenKeys.has(key)) { seenKeys.add(key); cycles.push(cycle); }
+  }
+  return cycles;
+}
+
+// ===== Projektstrukturplan: Unterphasen über parentId (flache Liste in Baumreihenfolge) =====
+export const MAX_PHASE_DEPTH = 3; // Ebenen inkl. oberster
+
+// Ebene (0 = oberste) je Phase; unbekannte Eltern zählen als oberste Ebene
+export function phaseLevels(phases) {
+  const byId = new Map(phases.map((p) => [p.id, p]));
+  return phases.map((p) => {
+    let level = 0; let cur = byId.get(p.parentId); const seen = new Set([p.id]);
+    while (cur && !seen.has(cur.id)) { seen.add(cur.id); level++; cur = byId.get(cur.parentId); }
+    return level;
+  });
+}
+
+/**
+ * Repariert die Hierarchie: unbekannte/zyklische Eltern → oberste Ebene, zu tiefe Ebenen werden
+ * an den tiefsten erlaubten Vorfahren gehängt; Reihenfolge = Tiefensuche (Kinder direkt unter den Eltern).
+ */
+export function normalizePhaseTree(phases) {
+  const byId = new Map(phases.map((p) => [p.id, p]));
+  const parentOf = new Map();
+  for (const p of phases) {
+    const chain = []; let cur = byId.get(p.parentId); const seen = new Set([p.id]);
+    while (cur && !seen.has(cur.id)) { seen.add(cur.id); chain.push(cur.id); cur = byId.get(cur.parentId); }
+    const cyclic = !!cur; // Kette endet wieder bei einer bereits besuchten Phase
+    parentOf.set(p.id, cyclic || !chain.length ? "" : chain[Math.max(0, chain.length - (MAX_PHASE_DEPTH - 1))]);
+  }
+  const kids = new Map(); const roots = [];
+  for (const p of phases) { const par = parentOf.get(p.id); if (par) (kids.get(par) || kids.set(par, []).get(par)).push(p); else roots.push(p); }
+  const out = [];
+  const visit = (p) => { out.push((p.parentId || "") === parentOf.get(p.id) ? p : { ...p, parentId: parentOf.get(p.id) }); for (const k of kids.get(p.id) || []) visit(k); };
+  roots.forEach(visit);
+  return out;
+}
+
+// Index hinter dem letzten Nachkommen von phases[i] (Liste in Baumreihenfolge)
+export function subtreeEnd(phases, i) {
+  const levels = phaseLevels(phases); let j = i + 1;
+  while (j < phases.length && levels[j] > levels[i]) j++;
+  return j;
+}
+
+// Zeilen, die wegen eines eingeklappten Vorfahren nicht angezeigt werden
+export function hiddenPhases(phases, collapsedIds) {
+  const collapsed = new Set(collapsedIds); const byId = new Map(phases.map((p) => [p.id, p]));
+  return phases.map((p) => {
+    let cur = byId.get(p.parentId); const seen = new Set([p.id]);
+    while (cur && !seen.has(cur.id)) { if (collapsed.has(cur.id)) return true; seen.add(cur.id); cur = byId.get(cur.parentId); }
+    return false;
+  });
+}
+
+// Abhängigkeiten zwischen einer Phase und eigenen Vorfahren/Nachkommen entfernen – nach dem Umhängen ungültig
+export function dropHierarchyDeps(phases) {
+  const byId = new Map(phases.map((p) => [p.id, p]));
+  const anc = new Map(phases.map((p) => {
+    const out = new Set(); let cur = byId.get(p.parentId);
+    while (cur && !out.has(cur.id) && cur.id !== p.id) { out.add(cur.id); cur = byId.get(cur.parentId); }
+    return [p.id, out];
+  }));
+  return phases.map((p) => {
+    const deps = (p.deps || []).filter((d) => !anc.get(p.id).has(d.from) && !anc.get(d.from)?.has(p.id));
+    return deps.length === (p.deps || []).length ? p : { ...p, deps };
+  });
+}
+
+// Einrücken: wird Kind des vorherigen Geschwisters (sofern die maximale Tiefe das zulässt)
+export function indentPhase(phases, i) {
+  const levels = phaseLevels(phases);
+  let s = i - 1; while (s >= 0 && levels[s] > levels[i]) s--;
+  if (s < 0 || levels[s] !== levels[i]) return phases;
+  let depth = 0; for (let j = i; j < subtreeEnd(phases, i); j++) depth = Math.max(depth, levels[j] - levels[i]);
+  if (levels[i] + 1 + depth >= MAX_PHASE_DEPTH) return phases;
+  return dropHierarchyDeps(phases.map((p, idx) => (idx === i ? { ...p, parentId: phases[s].id } : p)));
+}
+
+// Ausrücken: wird Geschwister der bisherigen Sammelphase und rückt hinter deren Block
+export function outdentPhase(phases, i) {
+  const parent = phases.findIndex((p) => p.id === phases[i].parentId); if (parent < 0) return phases;
+  const end = subtreeEnd(phases, i); const block = phases.slice(i, end);
+  const rest = [...phases.slice(0, i), ...phases.slice(end)];
+  const at = subtreeEnd(rest, rest.indexOf(phases[parent]));
+  return [...rest.slice(0, at), { ...block[0], parentId: phases[parent].parentId || "" }, ...block.slice(1), ...rest.slice(at)];
+}
+
+// Block (Phase + Unterphasen) an die Stelle von phases[to] verschieben; übernimmt deren Ebene
+export function movePhaseBlock(phases, from, to) {
+  const end = subtreeEnd(phases, from);
+  if (to >= from && to < end) return phases;
+  const block = phases.slice(from, end); const target = phases[to];
+  const rest = [...phases.slice(0, from), ...phases.slice(end)];
+  let at = rest.indexOf(target); if (to > from) at = subtreeEnd(rest, at);
+  return dropHierarchyDeps(normalizePhaseTree([...rest.slice(0, at), { ...block[0], parentId: target.parentId || "" }, ...block.slice(1), ...rest.slice(at)]));
+}
+
+// ===== Nach dem GoLive: Hypercare + weitere Nachlauf-Blöcke (Stabilisierung, Gewährleistung …) =====
+export const HYPERCARE_ID = "hypercare";
+export const POST_BLOCK_PRESETS = [["Stabilisierung", "#FEF3C7"], ["Gewährleistung", "#E0E7FF"], ["Nachbetreuung", "#DCFCE7"]];
+
+export const defaultPostBlock = (i) => {
+  const [name, color] = POST_BLOCK_PRESETS[i % POST_BLOCK_PRESETS.length];
+  return { id: makeId("pb"), name, weeks: 4, personDays: 0, blocking: false, color };
+};
+
+// Dauerangabe in Wochen für Beschriftungen („2 Wochen“, „1,5 Wochen“)
+export const fmtWeeks = (w) => `${String(Math.round(w * 100) / 100).replace(".", ",")} ${w === 1 ? "Woche" : "Wochen"}`;
+
+/**
+ * Blöcke im Anschluss an ein GoLive-Ende, lückenlos hintereinander: zuerst die Hypercare
+ * (Standard 2 Wochen = 14 Tage bzw. 10 Arbeitstage, blockierend), dann p.postBlocks.
+ * Blöcke mit 0 Wochen entfallen. Liefert [{ id, name, color, weeks, days, start, end, personDays, blocking }].
+ */
+export function postGoLiveBlocks(p, end, cal = CALENDAR_DAYS) {
+  if (!p.goLive) return [];
+  const hypercare = { id: HYPERCARE_ID, name: "Hypercare", color: "", weeks: p.hypercareWeeks ?? 2, personDays: p.hypercarePD, blocking: p.hypercareBlocking ?? true };
+  const out = []; let prev = end;
+  for (const b of [hypercare, ...(p.postBlocks || [])]) {
+    const weeks = Math.max(0, Number(b.weeks) || 0); const days = Math.round(weeks * (cal.mode === "workdays" ? 5 : 7));
+    if (days <= 0) continue;
+    const start = offsetWorkdays(prev, 1, cal); prev = addWorkdays(start, days, cal);
+    out.push({ id: b.id, name: b.name, color: b.color, weeks, days, start, end: prev, personDays: Math.max(0, Number(b.personDays) || 0), blocking: !!b.blocking });
+  }
+  return out;
+}
+
+// Terminfelder einer Phase nach dem GoLive: Ende→Anfang-Nachfolger warten bis zum letzten blockierenden Block
+function withPostGoLive(p, end, cal) {
+  const post = postGoLiveBlocks(p, end, cal);
+  const blocker = post.filter((b) => b.blocking).pop();
+  return { post, hypercare: post.find((b) => b.id === HYPERCARE_ID) || null, blockEnd: blocker ? blocker.end : end, blockVia: blocker ? blocker.id : null };
+}
+
+// Sammelphase aus ihren terminierten Kindern: Zeitraum, Personentage und Fortschritt (nach PT gewichtet)
+function rollupSummary(p, children, fallbackStart, cal) {
+  const start = children.length ? children.reduce((m, c) => (c.start < m ? c.start : m), children[0].start) : fallbackStart;
+  const end = children.reduce((m, c) => maxIso(m, c.end), start);
+  const personDays = children.reduce((acc, c) => acc + (Number(c.personDays) || 0), 0);
+  const done = children.reduce((acc, c) => acc + (Number(c.personDays) || 0) * actualProgress(c), 0);
+  const days = workdayDiff(start, end, cal) + 1;
+  return {
+    ...p, summary: true, personDays, percentComplete: personDays > 0 ? done / personDays : 0, actualStart: "", actualFinish: "",
+    weeks: days / (cal.mode === "workdays" ? 5 : 7), days, start, end, ...withPostGoLive(p, end, cal),
+  };
+}
+
+/**
+ * Terminiert Phasen anhand ihrer Vorgänger (EA/AA/EE + Verzug in Tagen bzw. Arbeitstagen).
+ * Eine GoLive-Phase blockiert Ende→Anfang-Nachfolger bis zum Ende ihres letzten blockierenden
+ * Nachlauf-Blocks (Standard: Hypercare, siehe postGoLiveBlocks).
+ * Vorwärtsrechnung = früheste Lage (start/end), Rückwärtsrechnung gegen das Projektende
+ * = späteste Lage (lateStart/lateFinish); Puffer 0 → kritischer Pfad.
+ * Sammelphasen (mit Unterphasen) ergeben sich aus ihren Kindern; Kinder erben die Vorgänger
+ * ihrer Sammelphasen. Liefert { computed, links, issues } – computed in Listenreihenfolge.
+ */
+export function schedulePhases(phases, startDate, cal = CALENDAR_DAYS) {
+  const issues = [];
+  const names = phases.map((p, i) => p.name?.trim() || `Phase ${i + 1}`);
+  const idx = new Map(phases.map((p, i) => [p.id, i]));
+
+  // Hierarchie: Kinder je Phase, Vorfahren-Ketten
+  const kids = phases.map(() => []);
+  const parentIdx = phases.map((p) => idx.get(p.parentId));
+  parentIdx.forEach((pi, i) => { if (pi !== undefined && pi !== i) kids[pi].push(i); });
+  const ancestorsOf = (i) => { const out = []; let cur = parentIdx[i]; while (cur !== undefined && !out.includes(cur) && cur !== i) { out.push(cur); cur = parentIdx[cur]; } return out; };
+  const ancestors = phases.map((_, i) => ancestorsOf(i));
+
+  // Gültige eigene Abhängigkeiten (keine unbekannten, keine zur eigenen Sammel-/Unterphase)
+  const ownDeps = phases.map((p, i) => (p.deps || []).filter((d) => {
+    const j = idx.get(d.from);
+    if (j === undefined) { issues.push(`${names[i]}: Vorgänger existiert nicht mehr – Abhängigkeit wird ignoriert.`); return false; }
+    if (j !== i && (ancestors[i].includes(j) || ancestors[j].includes(i))) { issues.push(`${names[i]}: Abhängigkeit zwischen Sammel- und eigener Unterphase wird ignoriert.`); return false; }
+    return true;
+  }));
+  // Terminierungsgraph: Unterphasen erben die Vorgänger ihrer Vorfahren, Sammelphasen folgen ihren Kindern (EE)
+  const graph = phases.map((p, i) => ({
+    id: p.id,
+    deps: kids[i].length
+      ? kids[i].map((k) => ({ from: phases[k].id, type: "FF", lag: 0 }))
+      : [...ownDeps[i], ...ancestors[i].flatMap((a) => ownDeps[a])],
+  }));
+  const { order, cyclic } = topoOrderPhases(graph);
+  for (const cyc of findCycles(graph, cyclic)) {
+    issues.push(cyc.length === 1
+      ? `Zyklische Abhängigkeit: ${names[cyc[0]]} ist ihr eigener Vorgänger.`
+      : `Zyklische Abhängigkeit: ${[...cyc, cyc[0]].map((i) => names[i]).join(" → ")}.`);
+  }
+
+  const projectStart = nextWorkday(startDate, cal);
+  const res = new Array(phases.length);
+  for (const i of [...order, ...cyclic]) {
+    const p = phases[i];
+    if (kids[i].length) { res[i] = rollupSummary(p, kids[i].map((k) => res[k]).filter(Boolean), projectStart, cal); continue; }
+    const staff = effectiveStaffing(p);
+    const r = computePhaseDays(p.personDays, staff.persons, staff.daysPerWeekPerPerson);
+    const days = cal.mode === "workdays" ? r.workDays : r.days; // Dauer in Kalender- bzw. Arbeitstagen
+
+    // Frühester Start / früheste Fertigstellung aus den Vorgängern
+    let earliest = projectStart; let finishMin = null;
+    for (const d of graph[i].deps) {
+      const pred = res[idx.get(d.from)]; if (!pred) continue; // im Zyklus – ignoriert
+      if (d.type === "SS") earliest = maxIso(earliest, offsetWorkdays(pred.start, d.lag, cal));
+      else if (d.type === "FF") finishMin = maxIso(finishMin || "", offsetWorkdays(pred.end, d.lag, cal));
+      else earliest = maxIso(earliest, offsetWorkdays(pred.blockEnd, 1 + d.lag, cal));
+    }
+
+    let start, end;
+    if (p.actualStart) { // Ist-Termine haben Vorrang vor der Planung
+      start = p.actualStart; end = p.actualFinish && p.actualFinish >= start ? p.actualFinish : addWorkdays(start, days, cal);
+    } else if (p.actualFinish) {
+      end = p.actualFinish; start = computeBackwardStart(end, days, cal);
+    } else if (p.endOverride) {
+      end = prevWorkday(p.endOverride, cal); start = computeBackwardStart(end, days, cal);
+      if (start < earliest || (finishMin && end < finishMin)) issues.push(`${names[i]}: Das fixierte Ende verletzt eine Abhängigkeit.`);
+    } else {
+      start = nextWorkday(earliest, cal); end = addWorkdays(start, days, cal);
+      if (finishMin && finishMin > end) { end = prevWorkday(finishMin, cal); start = subWorkdays(end, days, cal); }
+    }
+
+    res[i] = { ...p, weeks: r.weeks, days, start, end, ...withPostGoLive(p, end, cal) };
+  }
+
+  // Rückwärtsrechnung: späteste Lage, ohne das Projektende (inkl. blockierender Nachlauf-Blöcke) zu verschieben
+  const projectFinish = res.reduce((m, c) => maxIso(m, c.blockEnd), projectStart);
+  const succOf = phases.map(() => []);
+  graph.forEach((g, i) => {
+    for (const d of g.deps) { const j = idx.get(d.from); if (j !== undefined && j !== i) succOf[j].push({ to: i, d }); }
+  });
+  const late = new Array(phases.length);
+  for (const i of [...order, ...cyclic].reverse()) {
+    const c = res[i]; const tailDays = workdayDiff(c.end, c.blockEnd, cal);
+    const finishFromBlockEnd = (iso) => offsetWorkdays(iso, -tailDays, cal);
+    let lf = finishFromBlockEnd(projectFinish);
+    for (const { to, d } of succOf[i]) {
+      const succ = late[to]; if (!succ) continue;
+      let bound;
+      if (d.type === "SS") bound = addWorkdays(offsetWorkdays(succ.ls, -d.lag, cal), c.days, cal);
+      else if (d.type === "FF") bound = offsetWorkdays(succ.lf, -d.lag, cal);
+      else bound = finishFromBlockEnd(offsetWorkdays(succ.ls, -(1 + d.lag), cal));
+      if (bound < lf) lf = bound;
+    }
+    const ls = subWorkdays(lf, c.days, cal);
+    late[i] = { ls, lf };
+    const slack = workdayDiff(c.start, ls, cal);
+    res[i] = { ...c, lateStart: ls, lateFinish: lf, slack, critical: slack <= 0 };
+  }
+  // Sammelphasen: späteste Lage/Puffer aus den Kindern (Kinder stehen in `order` vor ihren Eltern)
+  for (const i of [...order, ...cyclic]) {
+    const ch = kids[i].map((k) => res[k]).filter((c) => c && c.lateStart); if (!ch.length) continue;
+    res[i] = {
+      ...res[i],
+      lateStart: ch.reduce((m, c) => (c.lateStart < m ? c.lateStart : m), ch[0].lateStart),
+      lateFinish: ch.reduce((m, c) => maxIso(m, c.lateFinish), ch[0].lateFinish),
+      slack: Math.min(...ch.map((c) => c.slack)),
+      critical: ch.some((c) => c.critical),
+    };
+  }
+
+  const links = [];
+  ownDeps.forEach((deps, i) => {
+    for (const d of deps) {
+      const j = idx.get(d.from);
+      if (j === i) continue;
+      links.push({ from: j, to: i, type: d.type, via: d.type === "FS" ? res[j].blockVia : null, critical: res[i].critical && res[j].critical });
+    }
+  });
+  return { computed: res, links, issues };
+}
+
+// SVG-Pfad für einen Abhängigkeitspfeil; from/to = { left, right, top, y } in px des Balkenbereichs
+export function dependencyPath(type, from, to) {
+  const gap = 8;
+  if (type === "SS") { const x = Math.min(from.left, to.left) - gap; return `M ${from.left} ${from.y} H ${x} V ${to.y} H ${to.left}`; }
+  if (type === "FF") { const x = Math.max(from.right, to.right) + gap; return `M ${from.right} ${from.y} H ${x} V ${to.y} H ${to.right}`; }
+  if (to.left >= from.right + 2 * gap) return `M ${from.right} ${from.y} H ${from.right + gap} V ${to.y} H ${to.left}`;
+  return `M ${from.right} ${from.y} H ${from.right + gap} V ${to.top} H ${to.left - gap} V ${to.y} H ${to.left}`;
+}
+
+// Gleichmäßige Verteilung von Personentagen auf n Kalendertage
+function distributePDUniform(totalPD, nDays) {
+  if (nDays <= 0) return 0;
+  return (Number(totalPD) || 0) / nDays;
+}
+
+// ===== Ressourcen =====
+export const makeId = (prefix) => `${prefix}-${Math.random().toString(36).slice(2, 9)}`;
+
+// Personen & Tage/Woche/Person – aus der Ressourcenzuordnung abgeleitet, sonst anonym
+export function effectiveStaffing(p) {
+  const asg = (p.assignments || []).filter((a) => (Number(a.daysPerWeek) || 0) > 0);
+  if (!asg.length) return { persons: Number(p.persons) || 0, daysPerWeekPerPerson: Number(p.daysPerWeekPerPerson) || 0, assigned: false };
+  const sum = asg.reduce((acc, a) => acc + Number(a.daysPerWeek), 0);
+  return { persons: asg.length, daysPerWeekPerPerson: sum / asg.length, assigned: true };
+}
+
+// Drag & Drop in der Timeline: Pixelversatz → Tage, eingerastet auf Tag oder Woche
+export function snapDragDays(dxPx, pxPerDay, snap = "day") {
+  const days = dxPx / (pxPerDay || 1);
+  return (snap === "week" ? Math.round(days / 7) * 7 : Math.round(days)) || 0;
+}
+
+// ===== Meilensteine: Typen mit eigenem Symbol, optional an Start/Ende einer Phase verankert =====
+export const MILESTONE_TYPES = {
+  milestone: { label: "Meilenstein", symbol: "star" },
+  decision: { label: "Entscheidung", symbol: "diamond" },
+  acceptance: { label: "Abnahme", symbol: "square" },
+  external: { label: "Externer Termin", symbol: "triangle" },
+};
+
+// Symbol als Pfad (nur M/L/Z – auch für den PDF-Export) um den Mittelpunkt cx/cy mit Radius r
+export function milestoneSymbolPath(type, cx, cy, r) {
+  const poly = (pts) => `M ${pts.map(([x, y]) => `${Math.round(x * 100) / 100} ${Math.round(y * 100) / 100}`).join(" L ")} Z`;
+  switch (MILESTONE_TYPES[type]?.symbol) {
+    case "diamond": return poly([[cx, cy - r], [cx + r, cy], [cx, cy + r], [cx - r, cy]]);
+    case "square": return poly([[cx - r * 0.8, cy - r * 0.8], [cx + r * 0.8, cy - r * 0.8], [cx + r * 0.8, cy + r * 0.8], [cx - r * 0.8, cy + r * 0.8]]);
+    case "triangle": return poly([[cx - r, cy - r * 0.8], [cx + r, cy - r * 0.8], [cx, cy + r]]);
+    default: return starPath(cx, cy, r);
+  }
+}
+
+/**
+ * Termine der Meilensteine: verankerte (anchorPhaseId) folgen Start bzw. Ende der Phase, verschoben um
+ * anchorLag Arbeitstage; ist die Phase nicht (mehr) vorhanden, gilt das eingetragene Datum.
+ * Liefert Kopien mit index, date, anchored und anchorLabel.
+ */
+export function resolveMilestones(milestones, computed, cal = CALENDAR_DAYS) {
+  const byId = new Map(computed.map((c, i) => [String(c.id), { c, i }]));
+  return (milestones || []).map((m, index) => {
+    const hit = m.anchorPhaseId ? byId.get(String(m.anchorPhaseId)) : null;
+    if (!hit) return { ...m, index, anchored: false };
+    const start = m.anchorEdge === "start";
+    return {
+      ...m, index, anchored: true, date: offsetWorkdays(start ? hit.c.start : hit.c.end, m.anchorLag, cal),
+      anchorLabel: `${start ? "Start" : "Ende"} „${hit.c.name?.trim() || `Phase ${hit.i + 1}`}“`,
+    };
+  });
+}
+
+// Meilenstein-Zeile der Timeline: alle Meilensteine mit Datum, Beschriftungen ohne Überlappung auf Ebenen (level) verteilt
+export function milestoneLane(resolved, viewStart, pxPerDay) {
+  const ends = []; // rechter Rand der letzten Beschriftung je Ebene
+  return resolved.filter((m) => isIsoDate(m.date)).sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index).map((m) => {
+    const name = m.name || "Meilenstein"; const leftPx = Math.round((diffDaysInclusive(viewStart, m.date) - 1) * pxPerDay);
+    const half = Math.max(8, textWidth(name, 10) / 2 + 4);
+    let level = ends.findIndex((e) => e <= leftPx - half);
+    if (level < 0) { level = ends.length; ends.push(0); }
+    ends[level] = leftPx + half;
+    return { ...m, name, leftPx, level };
+  });
+}
+
+// ===== Zeitskala der Timeline: Zoomstufen mit zweistufigem Kopf =====
+// pxPerDay null = jeder Monat mind. MIN_MONTH_LABEL_PX breit; align = Ansicht auf ganze Einheiten erweitert;
+// tiers = Kopfzeilen (oben, unten); lines = Einheit der durchgehenden Rasterlinien
+export const TIME_SCALES = {
+  day: { label: "Tag", pxPerDay: 28, align: "month", tiers: ["month", "day"], lines: "week" },
+  week: { label: "Woche (KW)", pxPerDay: 7, align: "month", tiers: ["month", "week"], lines: "month" },
+  month: { label: "Monat", pxPerDay: null, align: "month", tiers: ["quarter", "month"], lines: "month" },
+  quarter: { label: "Quartal", pxPerDay: 1, align: "quarter", tiers: ["year", "quarter"], lines: "quarter" },
+  year: { label: "Jahr", pxPerDay: 0.25, align: "year", tiers: ["year", "quarter"], lines: "year" },
+};
+
+// Erster bzw. letzter Tag der Einheit (day | week | month | quarter | year; Woche beginnt Montag)
+export function unitStart(iso, unit) {
+  const d = new Date(iso + "T00:00:00");
+  if (unit === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  else if (unit !== "day") d.setMonth(unit === "year" ? 0 : unit === "quarter" ? d.getMonth() - (d.getMonth() % 3) : d.getMonth(), 1);
+  return toDateValue(d);
+}
+export function unitEnd(iso, unit) {
+  const d = new Date(unitStart(iso, unit) + "T00:00:00");
+  if (unit === "week") d.setDate(d.getDate() + 6);
+  else if (unit !== "day") d.setMonth(d.getMonth() + (unit === "year" ? 12 : unit === "quarter" ? 3 : 1), 0);
+  return toDateValue(d);
+}
+
+// Beschriftung im Kopf; short = Jahr steht bereits in der Zeile darüber
+function unitLabel(iso, unit, short) {
+  const d = new Date(iso + "T00:00:00"); const q = Math.floor(d.getMonth() / 3) + 1;
+  if (unit === "day") return String(d.getDate());
+  if (unit === "week") return `KW ${getISOWeekParts(iso).week}`;
+  if (unit === "month") return formatMonthLabel(iso);
+  if (unit === "quarter") return short ? `Q${q}` : `Q${q} ${d.getFullYear()}`;
+  return String(d.getFullYear());
+}
+
+// Abschnitte einer Einheit im Ansichtsbereich (an den Rändern beschnitten); Tage mit Wochenend-Kennung
+export function timeSegments(unit, viewStart, viewEnd, short = false) {
+  const out = [];
+  for (let cur = viewStart; cur <= viewEnd; ) {
+    const end = minIso(unitEnd(cur, unit), viewEnd);
+    const seg = { label: unitLabel(cur, unit, short), start: cur, end, offsetDays: diffDaysInclusive(viewStart, cur) - 1, widthDays: diffDaysInclusive(cur, end) };
+    if (unit === "day") seg.weekend = [0, 6].includes(new Date(cur + "T00:00:00").getDay());
+    out.push(seg); cur = addDays(end, 1);
+  }
+  return out;
+}
+
+/**
+ * Zeitskala für Zeitraum und Zoomstufe: Ansichtsbereich, px pro Tag, Monate (wie bisher),
+ * Kopfzeilen header = [{ unit, segs }] (oben → unten) und Rasterlinien gridLines (px, jeweils rechter Rand).
+ */
+export function buildTimeScale(rangeStart, rangeEnd, zoom = "month") {
+  const z = TIME_SCALES[zoom] || TIME_SCALES.month;
+  const viewStart = unitStart(rangeStart, z.align); const viewEnd = unitEnd(rangeEnd, z.align);
+  const months = timeSegments("month", viewStart, viewEnd);
+  const pxPerDay = z.pxPerDay ?? Math.max(1, ...months.map((m) => MIN_MONTH_LABEL_PX / m.widthDays)); // mind. 1 px/Tag
+  const withPx = (s) => ({ ...s, leftPx: Math.round(s.offsetDays * pxPerDay), widthPx: Math.round(s.widthDays * pxPerDay), rightPx: Math.round((s.offsetDays + s.widthDays) * pxPerDay) });
+  const totalViewDays = Math.max(1, diffDaysInclusive(viewStart, viewEnd));
+  return {
+    viewStart, viewEnd, totalViewDays, pxPerDay, totalWidthPx: Math.ceil(totalViewDays * pxPerDay),
+    months: months.map(withPx),
+    header: z.tiers.map((unit, k) => ({ unit, segs: timeSegments(unit, viewStart, viewEnd, k > 0).map(withPx) })),
+    gridLines: timeSegments(z.lines, viewStart, viewEnd).map((s) => withPx(s).rightPx),
+  };
+}
+
+/**
+ * Änderung einer Phase nach dem Ziehen ihres Balkens um deltaDays (c = terminierte Phase):
+ * "move" fixiert das neue Ende (endOverride), "resize" passt die Personentage an die neue Dauer an.
+ * null = keine Änderung (Ist-Termine, ohne Besetzung, Versatz 0)
+ */
+export function barDragPatch(p, c, mode, deltaDays, cal = CALENDAR_DAYS) {
+  if (!deltaDays || p.actualStart || p.actualFinish) return null;
+  const moved = prevWorkday(addDays(c.end, deltaDays), cal);
+  if (mode === "move") return moved === c.end ? null : { endOverride: moved };
+  const end = maxIso(moved, c.start);
+  const staff = effectiveStaffing(p); const denom = staff.persons * staff.daysPerWeekPerPerson;
+  if (denom <= 0 || end === c.end) return null;
+  const dur = workdayDiff(c.start, end, cal) + 1; // Dauer inkl. Start in Kalender- bzw. Arbeitstagen
+  const personDays = Math.floor((dur / (cal.mode === "workdays" ? 5 : 7)) * denom * 100) / 100; // abrunden, sonst +1 Tag durch ceil
+  return p.endOverride ? { personDays, endOverride: end } : { personDays };
+}
+
+// Verfügbare Personentage einer Ressource an einem Tag (0 bei Abwesenheit / arbeitsfreiem Tag)
+export function dailyCapacity(res, iso, cal = CALENDAR_DAYS) {
+  if (!cal.isWorkday(iso)) return 0;
+  if ((res.absences || []).some((a) => a.start && dateWithin(iso, a.start, a.end || a.start))) return 0;
+  return (Number(res.capacity) || 0) / (cal.mode === "workdays" ? 5 : 7);
+}
+
+/**
+ * Tageslast je Ressource aus den terminierten Phasen. Der Aufwand einer Phase wird gleichmäßig
+ * auf ihre Arbeitstage und anteilig (Tage/Woche) auf die zugeordneten Ressourcen verteilt;
+ * nicht zugeordneter Aufwand läuft unter dem Schlüssel "". Personentage der Nachlauf-Blöcke
+ * (Hypercare, Stabilisierung …) verteilen sich ebenso auf deren Arbeitstage, ohne Ressourcenzuordnung.
+ * Kosten: Tagessatz der Ressource, sonst der Phase, sonst defaultRate.
+ * Liefert { total, cost, byResource, byPhase, overload } – overload: [{ resourceId, days, peak }],
+ * byPhase: Tageslast je Phase (Nachlauf-Blöcke zählen zur GoLive-Phase).
+ */
+export function computeResourceLoad(computed, resources, cal = CALENDAR_DAYS, defaultRate = 0) {
+  const total = Object.create(null); const cost = Object.create(null); const byResource = Object.create(null); const byPhase = Object.create(null);
+  const resById = new Map(resources.map((r) => [r.id, r]));
+  const book = (key, iso, pd, rate) => {
+    (byResource[key] ||= Object.create(null))[iso] = (byResource[key][iso] || 0) + pd;
+    cost[iso] = (cost[iso] || 0) + pd * rate;
+  };
+  for (const c of computed) {
+    const phaseRate = Number(c.dailyRate) || Number(defaultRate) || 0;
+    const phaseDay = (iso, pd) => { (byPhase[c.id] ||= Object.create(null))[iso] = (byPhase[c.id][iso] || 0) + pd; };
+    for (const b of c.post || []) {
+      const dates = enumerateDates(b.start, b.end).filter(cal.isWorkday); const perDay = distributePDUniform(b.personDays, dates.length);
+      if (perDay > 0) for (const iso of dates) { total[iso] = (total[iso] || 0) + perDay; phaseDay(iso, perDay); book("", iso, perDay, phaseRate); }
+    }
+    if (c.summary) continue; // Aufwand steckt in den Unterphasen
+    const workDates = enumerateDates(c.start, c.end).filter(cal.isWorkday);
+    const perDay = distributePDUniform(c.personDays, workDates.length);
+    const asg = (c.assignments || []).filter((a) => (Number(a.daysPerWeek) || 0) > 0);
+    const sum = asg.reduce((acc, a) => acc + Number(a.daysPerWeek), 0);
+    for (const iso of workDates) {
+      total[iso] = (total[iso] || 0) + perDay; phaseDay(iso, perDay);
+      if (!asg.length) book("", iso, perDay, phaseRate);
+      else for (const a of asg) book(a.resourceId, iso, (perDay * Number(a.daysPerWeek)) / sum, Number(resById.get(a.resourceId)?.dailyRate) || phaseRate);
+    }
+  }
+  const overload = [];
+  for (const r of resources) {
+    const days = []; let peak = 0;
+    for (const [iso, pd] of Object.entries(byResource[r.id] || {})) {
+      if (pd > dailyCapacity(r, iso, cal) + 1e-6) { days.push(iso); peak = Math.max(peak, pd); }
+    }
+    if (days.length) overload.push({ resourceId: r.id, days: days.sort(), peak });
+  }
+  return { total, cost, byResource, byPhase, overload };
+}
+
+/**
+ * Burnrate-Zeilen je Zeitraum (Tag / KW / Monat) aus der Tageslast von computeResourceLoad:
+ * [{ label, value, cost, cumCost, cumValue, byRes, byPhase, over, sortKey }] – over = Ressourcen mit Überlastung im Zeitraum.
+ */
+export function aggregateBurn(dates, load, resKeys, aggMode) {
+  const overDays = Object.fromEntries(load.overload.map((o) => [o.resourceId, new Set(o.days)]));
+  const buckets = new Map();
+  for (const iso of dates) {
+    const key = burnBucket(iso, aggMode);
+    const acc = buckets.get(key) || { label: key, sortKey: aggMode === "month" ? `${key}-01` : iso, value: 0, cost: 0, byRes: {}, byPhase: {}, over: new Set() };
+    acc.value += load.total[iso] || 0; acc.cost += load.cost[iso] || 0;
+    for (const k of resKeys) {
+      acc.byRes[k] = (acc.byRes[k] || 0) + (load.byResource[k]?.[iso] || 0);
+      if (overDays[k]?.has(iso)) acc.over.add(k);
+    }
+    for (const [id, days] of Object.entries(load.byPhase || {})) if (days[iso]) acc.byPhase[id] = (acc.byPhase[id] || 0) + days[iso];
+    buckets.set(key, acc);
+  }
+  const rows = [...buckets.values()].sort((x, y) => (x.sortKey < y.sortKey ? -1 : x.sortKey > y.sortKey ? 1 : 0));
+  let cum = 0; let cumPd = 0; for (const r of rows) { cum += r.cost; r.cumCost = cum; cumPd += r.value; r.cumValue = cumPd; }
+  return rows;
+}
+
+/**
+ * Auslastungs-Histogramm unter der Timeline: je Tag mit Aufwand eine Säule auf der Skala der Balken
+ * (leftPx = Tage ab viewStart × pxPerDay), Anteile je Phase; over = eine Ressource über Kapazität.
+ * Liefert { bars: [{ iso, leftPx, widthPx, value, byPhase, over }], max }.
+ */
+export function loadHistogram(load, viewStart, viewEnd, pxPerDay) {
+  const overDays = new Set(load.overload.flatMap((o) => o.days));
+  const bars = []; let max = 0;
+  for (const iso of Object.keys(load.total).sort()) {
+    const value = load.total[iso];
+    if (!(value > 0) || iso < viewStart || iso > viewEnd) continue;
+    const byPhase = {}; for (const [id, days] of Object.entries(load.byPhase || {})) if (days[iso]) byPhase[id] = days[iso];
+    bars.push({ iso, leftPx: (diffDaysInclusive(viewStart, iso) - 1) * pxPerDay, widthPx: pxPerDay, value, byPhase, over: overDays.has(iso) });
+    max = Math.max(max, value);
+  }
+  return { bars, max };
+}
+
+// Tag, an dem die kumulierten Kosten das Budget überschreiten (oder null)
+export function budgetExhaustedOn(dates, dailyCost, budget) {
+  if (!(Number(budget) > 0)) return null;
+  let cum = 0;
+  for (const iso of dates) { cum += dailyCost[iso] || 0; if (cum > budget + 1e-6) return iso; }
+  return null;
+}
+
+// ===== Fortschritt =====
+// Linearer Soll-Fortschritt (0–100) einer Phase am Stichtag – Anteil vergangener Arbeitstage
+export function expectedProgress(startIso, endIso, todayIso, cal = CALENDAR_DAYS) {
+  if (todayIso < startIso) return 0;
+  if (todayIso >= endIso) return 100;
+  const total = enumerateDates(startIso, endIso).filter(cal.isWorkday).length;
+  const done = enumerateDates(startIso, todayIso).filter(cal.isWorkday).length;
+  return total > 0 ? (done / total) * 100 : 0;
+}
+
+// Ist-Fortschritt: abgeschlossene Phasen (Ist-Ende) zählen als 100 %
+export const actualProgress = (p) => (p.actualFinish ? 100 : Math.min(100, Math.max(0, Number(p.percentComplete) || 0)));
+
+// Phasen, deren Ist-Fortschritt mehr als `tolerance` Prozentpunkte hinter dem Soll liegt
+export function phasesBehindPlan(computed, todayIso, cal = CALENDAR_DAYS, tolerance = 1) {
+  return computed.map((c, i) => {
+    if (c.summary) return null; // Sammelphasen ergeben sich aus ihren Unterphasen
+    const expected = expectedProgress(c.start, c.end, todayIso, cal); const actual = actualProgress(c);
+    return { index: i, name: c.name?.trim() || `Phase ${i + 1}`, expected, actual, gap: expected - actual };
+  }).filter((r) => r && r.gap > tolerance);
+}
+
+// Hex-Farbe abdunkeln (factor < 1) – für die Fortschrittsfüllung
+export function shadeHex(hex, factor) {
+  let h = sanitizeHexColor(hex, "#000000").slice(1);
+  if (h.length === 3) h = h.split("").map((c) => c + c).join("");
+  const ch = (k) => Math.round(Math.min(255, Math.max(0, parseInt(h.slice(k, k + 2), 16) * factor))).toString(16).padStart(2, "0");
+  return `#${ch(0)}${ch(2)}${ch(4)}`;
+}
+
+// ===== Basispläne =====
+// Schlüssel eines Timeline-Eintrags für den Abgleich mit einem Basisplan
+export const baselineKey = (type, phaseId) => `${type}:${phaseId}`;
+
+// Hypercare behält ihren bisherigen Schlüssel, weitere Nachlauf-Blöcke: post:<Phase>/<Block>
+export const postBlockKey = (phaseId, blockId) => (blockId === HYPERCARE_ID ? baselineKey("hypercare", phaseId) : baselineKey("post", `${phaseId}/${blockId}`));
+
+// Momentaufnahme der terminierten Phasen (+ Nachlauf-Blöcke) als Basisplan
+export function snapshotBaseline(name, computed, projEnd) {
+  const items = [];
+  computed.forEach((c, i) => {
+    const label = c.name?.trim() || `Phase ${i + 1}`;
+    items.push({ key: baselineKey("phase", c.id), label, start: c.start, end: c.end });
+    for (const b of c.post || []) items.push({ key: postBlockKey(c.id, b.id), label: `${label} – ${b.name}`, start: b.start, end: b.end });
+  });
+  return { id: makeId("b"), name: String(name || "Basisplan"), createdAt: new Date().toISOString(), projEnd, items };
+}
+
+// Verschiebung in Kalendertagen (positiv = später als im Basisplan)
+export function baselineVariance(base, cur) {
+  if (!base) return null;
+  return { startShift: diffDaysInclusive(base.start, cur.start) - 1, endShift: diffDaysInclusive(base.end, cur.end) - 1 };
+}
+
+// ===== Szenarien =====
+// Je Szenario überschreibbare Phasenparameter – alles Übrige kommt unverändert aus dem Plan
+export const SCENARIO_FIELDS = ["persons", "personDays", "daysPerWeekPerPerson", "goLive"];
+export const SCENARIO_COLORS = ["#2563EB", "#16A34A", "#9333EA", "#0891B2", "#CA8A04", "#DB2777"];
+
+// Phasen eines Szenarios: Kopie der Plan-Phasen mit den Überschreibungen [{ phaseId, persons?, … }].
+// Eine überschriebene Besetzung ersetzt die Ressourcen-Zuordnungen (sonst zählten diese, siehe effectiveStaffing).
+export function applyScenario(phases, scenario) {
+  const byPhase = new Map((scenario?.overrides || []).map((o) => [String(o.phaseId), o]));
+  return phases.map((p) => {
+    const o = byPhase.get(String(p.id)); if (!o) return p;
+    const next = { ...p };
+    for (const f of SCENARIO_FIELDS) if (o[f] !== undefined) next[f] = o[f];
+    if (o.persons !== undefined || o.daysPerWeekPerPerson !== undefined) {
+      const staff = effectiveStaffing(p);
+      Object.assign(next, { persons: o.persons ?? staff.persons, daysPerWeekPerPerson: o.daysPerWeekPerPerson ?? staff.daysPerWeekPerPerson, assignments: [] });
+    }
+    return next;
+  });
+}
+
+/**
+ * Terminiert den Plan (id "") und jedes Szenario mit demselben Kalender.
+ * Liefert [{ id, name, color, computed, goLives: [{ phaseId, name, date }], projEnd, totalPD, endShift, pdDelta }];
+ * endShift (Kalendertage) und pdDelta beziehen sich auf den Plan.
+ */
+export function compareScenarios(phases, startDate, scenarios, cal = CALENDAR_DAYS) {
+  const run = (id, name, color, list) => {
+    const { computed } = schedulePhases(list, startDate, cal);
+    const projEnd = computed.reduce((m, c) => maxIso(m, c.post?.length ? c.post[c.post.length - 1].end : c.end), startDate);
+    const totalPD = computed.reduce((acc, c) => acc + (c.summary ? 0 : Number(c.personDays) || 0) + (c.post || []).reduce((sum, b) => sum + (Number(b.personDays) || 0), 0), 0);
+    const goLives = computed.flatMap((c, i) => (c.goLive ? [{ phaseId: c.id, name: c.name?.trim() || `Phase ${i + 1}`, date: c.end }] : []));
+    return { id, name, color, computed, goLives, projEnd, totalPD };
+  };
+  const base = run("", "Plan", palette.grayDark, phases);
+  const out = [base, ...scenarios.map((sc, k) => run(sc.id, sc.name, SCENARIO_COLORS[k % SCENARIO_COLORS.length], applyScenario(phases, sc)))];
+  return out.map((x) => ({ ...x, endShift: diffDaysInclusive(base.projEnd, x.projEnd) - 1, pdDelta: x.totalPD - base.totalPD }));
+}
+
+// Überlagerte Timelines: je Phase eine Zeile mit einem schmalen Balken je Szenario (Nachlauf als heller Ausläufer)
+export function scenarioOverlay(results, zoom = "month") {
+  const first = results[0]?.computed || [];
+  if (!first.length) return { header: [], gridLines: [], totalWidthPx: 0, rows: [], ends: [] };
+  const start = results.reduce((m, x) => x.computed.reduce((mm, c) => minIso(mm, c.start), m), first[0].start);
+  const end = results.reduce((m, x) => maxIso(m, x.projEnd), first[0].end);
+  const scale = buildTimeScale(start, end, zoom);
+  const px = (iso) => (diffDaysInclusive(scale.viewStart, iso) - 1) * scale.pxPerDay;
+  const rows = first.map((c, i) => ({
+    id: c.id, label: c.name?.trim() || `Phase ${i + 1}`, summary: !!c.summary,
+    bars: results.map((x) => {
+      const b = x.computed[i]; const postEnd = b.post?.length ? b.post[b.post.length - 1].end : null;
+      return {
+        id: x.id, color: x.color, start: b.start, end: b.end, goLive: !!b.goLive,
+        leftPx: px(b.start), widthPx: Math.max(2, diffDaysInclusive(b.start, b.end) * scale.pxPerDay),
+        postWidthPx: postEnd ? (diffDaysInclusive(b.end, postEnd) - 1) * scale.pxPerDay : 0,
+      };
+    }),
+  }));
+  const ends = results.map((x) => ({ id: x.id, color: x.color, date: x.projEnd, leftPx: px(x.projEnd) + scale.pxPerDay }));
+  return { header: scale.header, gridLines: scale.gridLines, totalWidthPx: scale.totalWidthPx, rows, ends };
+}
+
+// ===== Prognose (Monte Carlo) =====
+export const FORECAST_MAX_RUNS = 10000;
+const FORECAST_BATCH = 50; // Läufe je Etappe – dazwischen bleibt die Oberfläche bedienbar
+
+// Reproduzierbarer Zufallsgenerator (mulberry32): gleicher Seed → gleiche Zahlenfolge in [0, 1)
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0; let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1); t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Drei-Punkt-Schätzung einer Phase: wahrscheinlich = personDays; fehlende Eckwerte (0) = kein Spielraum
+export function threePoint(p) {
+  const m = Number(p.personDays) || 0;
+  const o = Number(p.personDaysOptimistic) > 0 ? Math.min(Number(p.personDaysOptimistic), m) : m;
+  const x = Number(p.personDaysPessimistic) > 0 ? Math.max(Number(p.personDaysPessimistic), m) : m;
+  return { optimistic: o, likely: m, pessimistic: x, spread: x > o };
+}
+
+// Dreiecksverteilung (min a, Modus m, max b) über die Umkehrfunktion der Verteilungsfunktion, u ∈ [0, 1)
+export function triangularSample(a, m, b, u) {
+  if (!(b > a)) return m;
+  const f = (m - a) / (b - a);
+  return u < f ? a + Math.sqrt(u * (b - a) * (m - a)) : b - Math.sqrt((1 - u) * (b - a) * (b - m));
+}
+
+/**
+ * Monte-Carlo-Simulation der Terminierung: je Lauf werden die Personentage jeder Phase mit Drei-Punkt-Schätzung
+ * gezogen und der Plan komplett neu terminiert (Abhängigkeiten, Kalender, Nachlauf wie im Plan).
+ * run(n) rechnet n weitere Läufe (in Etappen aufrufbar) und liefert die Zahl der bisherigen Läufe;
+ * samples = { projEnd: [iso], phaseEnd: { [id]: [iso] } }, planned = deterministische Terminierung.
+ */
+export function createForecast(phases, startDate, cal = CALENDAR_DAYS, seed = 1) {
+  const rng = mulberry32(seed);
+  const ranges = phases.map((p) => threePoint(p));
+  const endOf = (computed) => computed.reduce((m, c) => maxIso(m, c.post?.length ? c.post[c.post.length - 1].end : c.end), startDate);
+  const planned = schedulePhases(phases, startDate, cal).computed;
+  const samples = { projEnd: [], phaseEnd: Object.fromEntries(phases.map((p) => [p.id, []])) };
+  return {
+    planned: { computed: planned, projEnd: endOf(planned) },
+    samples,
+    run(n) {
+      for (let k = 0; k < n; k++) {
+        const list = phases.map((p, i) => (ranges[i].spread && !planned[i]?.summary ? { ...p, personDays: triangularSample(ranges[i].optimistic, ranges[i].likely, ranges[i].pessimistic, rng()) } : p));
+        const { computed } = schedulePhases(list, startDate, cal);
+        samples.projEnd.push(endOf(computed));
+        computed.forEach((c) => samples.phaseEnd[c.id]?.push(c.end));
+      }
+      return samples.projEnd.length;
+    },
+  };
+}
+
+// q-Quantil einer Liste von ISO-Daten (unsortiert)
+export function percentileIso(dates, q) {
+  if (!dates.length) return null;
+  const sorted = [...dates].sort();
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(q * sorted.length) - 1))];
+}
+
+/**
+ * Kennzahlen der Simulation: P50/P80/P95 für Projektende und jede GoLive-Phase, dazu die Wahrscheinlichkeit,
+ * den deterministischen Plantermin zu halten (onTime, 0–1); phases = P5–P95 des Endes je Phase (Whisker).
+ */
+export function forecastSummary(forecast) {
+  const { planned, samples } = forecast; const n = samples.projEnd.length;
+  const stats = (dates, plan) => ({ planned: plan, p50: percentileIso(dates, 0.5), p80: percentileIso(dates, 0.8), p95: percentileIso(dates, 0.95), onTime: n ? dates.filter((d) => d <= plan).length / n : 0 });
+  return {
+    runs: n,
+    projEnd: stats(samples.projEnd, planned.projEnd),
+    goLives: planned.computed.flatMap((c, i) => (c.goLive ? [{ phaseId: c.id, name: c.name?.trim() || `Phase ${i + 1}`, ...stats(samples.phaseEnd[c.id], c.end) }] : [])),
+    phases: Object.fromEntries(planned.computed.map((c) => [c.id, { p5: percentileIso(samples.phaseEnd[c.id], 0.05), p50: percentileIso(samples.phaseEnd[c.id], 0.5), p95: percentileIso(samples.phaseEnd[c.id], 0.95) }])),
+  };
+}
+
+// ===== Zielsuche (Besetzung aus Zieltermin) =====
+// Terminbestimmender Teilplan einer Phase: sie selbst, ihre (transitiven) Vorgänger und Sammelphasen;
+// eine Sammelphase als Vorgänger bringt ihre Unterphasen mit, eine Vorfahrin nur ihre eigenen Vorgänger
+export function predecessorClosure(phases, id) {
+  const byId = new Map(phases.map((p) => [p.id, p]));
+  const keep = new Set(); const seen = new Set(); const stack = [[id, false]];
+  while (stack.length) {
+    const [cur, withKids] = stack.pop(); const p = byId.get(cur);
+    if (!p || seen.has(`${cur}|${withKids}`)) continue;
+    seen.add(`${cur}|${withKids}`); keep.add(cur);
+    for (const d of p.deps || []) stack.push([d.from, true]);
+    if (p.parentId) stack.push([p.parentId, false]);
+    if (withKids) for (const c of phases) if (c.parentId === cur) stack.push([c.id, true]);
+  }
+  return keep;
+}
+
+/**
+ * Zielsuche: erhöht die Besetzung terminbestimmender Phasen, bis das Projektende (target "end") bzw. das GoLive
+ * der Phase target spätestens am Zieltermin date liegt. vary = "persons" (ganze Personen, höchstens maxPersons)
+ * oder "daysPerWeekPerPerson" (ganze Tage, höchstens 5). Je Schritt wächst die kritische Phase, deren Dauer
+ * dadurch am stärksten sinkt (kleinste wirksame Erhöhung); danach werden Erhöhungen zurückgenommen, die für das Ziel nicht nötig sind.
+ * Unverändert bleiben Sammelphasen und Phasen mit Ist-Terminen, fixiertem Ende oder Ressourcen-Zuordnung.
+ * Liefert { reached, field, before, after, phases, changes: [{ index, id, name, from, to, daysBefore, daysAfter }] }.
+ */
+export function goalSeekStaffing(phases, startDate, cal, { target = "end", date, vary = "persons", maxPersons = 10 }) {
+  const field = vary === "daysPerWeekPerPerson" ? "daysPerWeekPerPerson" : "persons";
+  const limit = field === "persons" ? Math.max(1, Math.floor(Number(maxPersons) || 1)) : 5;
+  const sub = target === "end" ? null : predecessorClosure(phases, target);
+  const measure = (list) => {
+    const { computed } = schedulePhases(sub ? list.filter((p) => sub.has(p.id)) : list, startDate, cal);
+    const value = target === "end"
+      ? computed.reduce((m, c) => maxIso(m, c.post?.length ? c.post[c.post.length - 1].end : c.end), startDate)
+      : computed.find((c) => c.id === target)?.end || startDate;
+    return { value, critical: new Set(computed.filter((c) => c.critical && !c.summary).map((c) => c.id)) };
+  };
+  const staffOf = (p) => ({ persons: Number(p.persons) || 0, daysPerWeekPerPerson: Number(p.daysPerWeekPerPerson) || 0 });
+  const daysOf = (p, st) => { const r = computePhaseDays(p.personDays, st.persons, st.daysPerWeekPerPerson); return cal.mode === "workdays" ? r.workDays : r.days; };
+  const isParent = new Set(phases.map((p) => p.parentId).filter(Boolean));
+  const adjustable = (p) => !isParent.has(p.id) && !p.actualStart && !p.actualFinish && !p.endOverride && !effectiveStaffing(p).assigned && (Number(p.personDays) || 0) > 0;
+  const grow = (v) => Math.min(limit, Number.isInteger(v) ? v + 1 : Math.ceil(v)); // ganze Personen bzw. Tage
+
+  let list = phases.map((p) => ({ ...p }));
+  const before = measure(list).value;
+  let cur = measure(list);
+  while (cur.value > date) {
+    let best = null;
+    for (let i = 0; i < list.length; i++) {
+      const p = list[i]; const st = staffOf(p);
+      if (!cur.critical.has(p.id) || !adjustable(p) || st[field] >= limit) continue;
+      // kleinste Erhöhung, die die Dauer tatsächlich verkürzt (Rundung auf ganze Tage)
+      let next = { ...st, [field]: grow(st[field]) };
+      while (next[field] < limit && daysOf(p, next) >= daysOf(p, st)) next = { ...next, [field]: grow(next[field]) };
+      const gain = daysOf(p, st) - daysOf(p, next);
+      if (gain > 0 && (!best || gain > best.gain)) best = { i, value: next[field], gain };
+    }
+    if (!best) break; // keine terminbestimmende Phase kann weiter wachsen
+    list[best.i] = { ...list[best.i], [field]: best.value };
+    cur = measure(list);
+  }
+  const reached = cur.value <= date;
+  // Überflüssige Erhöhungen zurücknehmen (späteste Phasen zuerst), solange das Ziel hält
+  if (reached) {
+    for (let i = list.length - 1; i >= 0; i--) {
+      const orig = staffOf(phases[i])[field];
+      while (staffOf(list[i])[field] > orig) {
+        const v = staffOf(list[i])[field]; const down = Math.max(orig, Number.isInteger(v) ? v - 1 : Math.floor(v));
+        const trial = list.map((p, k) => (k === i ? { ...p, [field]: down } : p));
+        if (measure(trial).value > date) break;
+        list = trial;
+      }
+    }
+  }
+  const changes = list.flatMap((p, i) => {
+    const from = staffOf(phases[i])[field]; const to = staffOf(p)[field];
+    return to === from ? [] : [{ index: i, id: p.id, name: p.name?.trim() || `Phase ${i + 1}`, from, to, daysBefore: daysOf(phases[i], staffOf(phases[i])), daysAfter: daysOf(p, staffOf(p)) }];
+  });
+  return { reached, field, before, after: measure(list).value, phases: list, changes };
+}
+
+// Prozentposition einer Datumsspalte relativ zu einem Intervall (inkl.)
+export function leftPctForDate(rangeStart, rangeEnd, dateIso) {
+  const iso = maxIso(rangeStart, minIso(dateIso, rangeEnd));
+  const total = Math.max(1, diffDaysInclusive(rangeStart, rangeEnd));
+  const offset = diffDaysInclusive(rangeStart, iso) - 1; // 0-based
+  return (offset / total) * 100;
+}
+
+// Prüfen, ob Datum innerhalb Intervall (inkl.)
+export function dateWithin(dateIso, startIso, endIso) {
+  const d = new Date(dateIso + "T00:00:00");
+  return d >= new Date(startIso + "T00:00:00") && d <= new Date(endIso + "T00:00:00");
+}
+
+// ===== Vektor-Export: Zeichenliste → SVG bzw. mehrseitiges PDF (ohne externe Bibliotheken) =====
+export const PDF_PAGE_SIZES = { A4: [842, 595], A3: [1191, 842] }; // Querformat in pt
+const EXPORT_PT_PER_PX = 0.75; // 96 dpi
+const EXPORT_LEGEND_WIDTH = 1000; // Umbruchbreite der Legende (passt auf eine A4-Seite)
+
+// Grobe Textbreite (Helvetica ≈ 0,52 em je Zeichen) – reicht für Umbruch und Ausrichtung
+const textWidth = (text, size) => String(text).length * size * 0.52;
+
+// Zeilenumbruch an Wortgrenzen; einzelne überlange Wörter bleiben ungeteilt
+export function wrapText(text, size, maxWidth) {
+  const lines = []; let cur = "";
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const next = cur ? `${cur} ${word}` : word;
+    if (cur && textWidth(next, size) > maxWidth) { lines.push(cur); cur = word; } else cur = next;
+  }
+  return cur || !lines.length ? [...lines, cur] : lines;
+}
+
+// Fünfzackiger Stern als Pfad (GoLive / Meilenstein)
+function starPath(cx, cy, r) {
+  const pts = Array.from({ length: 10 }, (_, k) => {
+    const a = -Math.PI / 2 + (k * Math.PI) / 5; const rr = k % 2 ? r * 0.45 : r;
+    return `${Math.round((cx + rr * Math.cos(a)) * 100) / 100} ${Math.round((cy + rr * Math.sin(a)) * 100) / 100}`;
+  });
+  return `M ${pts.join(" L ")} Z`;
+}
+
+/**
+ * Zeichenliste der Roadmap in px: Titel, Zeitskala (Kopf je Zoomstufe), Meilenstein-Zeile, Zeilen (Balken, Fortschritt,
+ * Basisplan, GoLive), Abhängigkeiten, Legende und optional eine Tabelle (z. B. Burnrate).
+ * ops: rect | line | path (nur M/L/H/V/Z) | text; pin = Beschriftung links bzw. über/unter der Timeline –
+ * bleibt beim seitenweisen PDF-Export stehen, während der Balkenbereich in Spalten gekachelt wird.
+ * breaks = erlaubte Seitenumbrüche (y), chartBottom = Unterkante der Timeline, tableTop/tableCols = Oberkante und rechte
+ * Spaltenränder der Tabelle (Tabellen-Elemente tragen table: true). opts = { title, legend: [{ label, color, border, star, symbol }], showCriticalPath, table: { title, columns, rows } }
+ */
+export function roadmapDrawing(schedule, opts = {}) {
+  const ops = []; const breaks = [];
+  const pin = (o) => ops.push({ ...o, pin: true }); const chart = (o) => ops.push(o);
+  const x0 = labelColWidth; let y = 0;
+  if (opts.title) { pin({ t: "text", x: 0, y: 24, text: opts.title, size: 20, bold: true, fill: palette.black }); y = 44; }
+
+  // Zeitskala: eine Kopfzeile je Ebene der Zoomstufe (z. B. Quartal über Monat)
+  const headTop = y;
+  schedule.header.forEach((tier, k) => {
+    const lower = k > 0;
+    for (const m of tier.segs) {
+      chart({ t: "rect", x: x0 + m.leftPx, y, w: m.widthPx, h: 22, fill: lower && !m.weekend ? palette.grayLight : palette.gray, stroke: "#ffffff" });
+      if (textWidth(m.label, 11) <= m.widthPx - 2) chart({ t: "text", x: x0 + m.leftPx + m.widthPx / 2, y: y + 15, text: m.label, size: 11, bold: !lower, anchor: "middle", fill: palette.black });
+    }
+    y += 22;
+  });
+  const headH = y - headTop; breaks.push(y);
+
+  // Meilenstein-Zeile (alle Meilensteine, Symbol je Typ, Beschriftungen auf Ebenen)
+  if (schedule.milestoneLane.length) {
+    pin({ t: "text", x: labelColWidth - 10, y: y + 20, text: "Meilensteine", size: 12, bold: true, anchor: "end", fill: palette.black });
+    for (const m of schedule.milestoneLane) {
+      chart({ t: "path", d: milestoneSymbolPath(m.type, x0 + m.leftPx, y + 11, 6), fill: palette.black });
+      chart({ t: "text", x: x0 + m.leftPx, y: y + 30 + m.level * 13, text: m.name, size: 10, anchor: "middle", fill: palette.black });
+    }
+    y += 36 + Math.max(...schedule.milestoneLane.map((m) => m.level)) * 13;
+    chart({ t: "line", x1: x0, y1: y, x2: x0 + schedule.totalWidthPx, y2: y, stroke: palette.grayLight, sw: 1 }); breaks.push(y);
+  }
+
+  // Zeilen: Beschriftung mehrzeilig (nie abgeschnitten), Balken im Balkenbereich
+  const boxes = [];
+  schedule.items.forEach((it, idx) => {
+    const indent = schedule.hasHierarchy ? 8 + (it.level || 0) * 16 : 0;
+    const lines = wrapText(it.label, 12, labelColWidth - 16 - indent);
+    const ghostSpace = it.ghost ? 7 : 0;
+    const h = Math.max(40, lines.length * 15 + 16) + ghostSpace;
+    const barTop = y + 8; const barH = h - 16 - ghostSpace;
+    const textTop = y + (h - ghostSpace - lines.length * 15) / 2 + 11;
+    lines.forEach((l, k) => pin({ t: "text", x: indent || labelColWidth - 10, y: textTop + k * 15, text: l, size: 12, bold: it.summary, anchor: indent ? "start" : "end", fill: palette.black }));
+
+    const color = sanitizeHexColor(it.color, palette.orange); const left = x0 + it.leftPx;
+    chart({ t: "rect", x: left, y: barTop, w: it.widthPx, h: barH, r: 8, fill: it.summary ? shadeHex(color, 0.75) : color });
+    if (it.type === "phase" && it.progress > 0) chart({ t: "rect", x: left, y: barTop, w: (it.widthPx * it.progress) / 100, h: barH, fill: shadeHex(color, 0.65) });
+    const crit = opts.showCriticalPath && it.critical;
+    chart({ t: "rect", x: left, y: barTop, w: it.widthPx, h: barH, r: 8, stroke: crit ? palette.critical : sanitizeHexColor(it.border, palette.orange), sw: crit ? 2 : 1 });
+    if (it.ghost) chart({ t: "rect", x: x0 + it.ghost.leftPx, y: barTop + barH + 2, w: it.ghost.widthPx, h: 5, fill: palette.gray, stroke: palette.grayDark, sw: 1 });
+    if (it.type === "phase" && it.goLive) {
+      const gx = left + it.widthPx + 10;
+      chart({ t: "path", d: starPath(gx, barTop + 5, 6), fill: palette.black });
+      chart({ t: "text", x: gx, y: barTop + 22, text: "GoLive", size: 10, anchor: "middle", fill: palette.black });
+    }
+    boxes.push({ left: left, right: left + it.widthPx, top: y, y: barTop + barH / 2 });
+    y += h; breaks.push(y);
+  });
+
+  // Rasterlinien, Heute-Linie, Trennlinie der Beschriftung
+  for (const x of schedule.gridLines) chart({ t: "line", x1: x0 + x, y1: headTop, x2: x0 + x, y2: y, stroke: palette.gray, sw: 1 });
+  if (schedule.todayPx != null) chart({ t: "line", x1: x0 + schedule.todayPx, y1: headTop, x2: x0 + schedule.todayPx, y2: y, stroke: palette.critical, sw: 2 });
+  pin({ t: "line", x1: labelColWidth - 0.5, y1: headTop + headH, x2: labelColWidth - 0.5, y2: y, stroke: palette.grayLight, sw: 1 });
+
+  const chartBottom = y;
+
+  // Abhängigkeitspfeile (EE endet am rechten Rand → Spitze nach links)
+  for (const l of schedule.links) {
+    const from = boxes[l.fromRow]; const to = boxes[l.toRow]; if (!from || !to) continue;
+    const stroke = opts.showCriticalPath && l.critical ? palette.critical : palette.grayDark;
+    chart({ t: "path", d: dependencyPath(l.type, from, to), stroke, sw: stroke === palette.critical ? 1.75 : 1.25 });
+    const tip = l.type === "FF" ? to.right : to.left; const dir = l.type === "FF" ? -1 : 1;
+    chart({ t: "path", d: `M ${tip} ${to.y} L ${tip - dir * 6} ${to.y - 3} L ${tip - dir * 6} ${to.y + 3} Z`, fill: stroke });
+  }
+
+  // Legende (umbrochen)
+  let width = labelColWidth + schedule.totalWidthPx;
+  if (opts.legend?.length) {
+    y += 16; let x = 0;
+    for (const e of opts.legend) {
+      const w = 20 + textWidth(e.label, 12) + 20;
+      if (x > 0 && x + w > EXPORT_LEGEND_WIDTH) { x = 0; y += 20; }
+      if (e.star || e.symbol) pin({ t: "path", d: e.symbol ? milestoneSymbolPath(e.symbol, x + 6, y + 6, 6) : starPath(x + 6, y + 6, 6), fill: palette.black });
+      else pin({ t: "rect", x, y, w: 12, h: 12, r: 2, fill: e.color, stroke: e.border, sw: e.border ? 1 : 0 });
+      pin({ t: "text", x: x + 18, y: y + 10, text: e.label, size: 12, fill: palette.black });
+      x += w;
+    }
+    y += 20; breaks.push(y);
+  }
+
+  // Tabelle (Burnrate): erste Spalte breiter, Umbruch zwischen den Zeilen
+  const t = opts.table; let tableTop = null; let tableCols = [];
+  if (t?.rows?.length) {
+    const colW = t.columns.map((_, k) => (k ? 130 : 170));
+    tableTop = y; breaks.push(y); y += 12;
+    tableCols = colW.map((_, k) => colW.slice(0, k + 1).reduce((a, b) => a + b, 0));
+    const pin = (o) => ops.push({ ...o, pin: true, table: true });
+    if (t.title) { pin({ t: "text", x: 0, y: y + 14, text: t.title, size: 14, bold: true, fill: palette.black }); y += 24; }
+    const row = (cells, bold) => {
+      let x = 0;
+      cells.forEach((c, k) => { pin({ t: "text", x: k ? x + colW[k] - 8 : x, y: y + 13, text: c, size: 11, bold, anchor: k ? "end" : "start", fill: palette.black }); x += colW[k]; });
+      y += 18; pin({ t: "line", x1: 0, y1: y, x2: x, y2: y, stroke: palette.grayLight, sw: 1 }); breaks.push(y);
+    };
+    row(t.columns, true); t.rows.forEach((r) => row(r, false));
+    width = Math.max(width, colW.reduce((a, b) => a + b, 0));
+  }
+  return { ops, breaks, width: Math.ceil(width), height: Math.ceil(y + 8), chartBottom, pinX: labelColWidth, tableTop, tableCols };
+}
+
+const fmtCoord = (v) => String(Math.round(v * 100) / 100);
+
+export function drawingToSvg(d) {
+  const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  const paint = (o) => `fill="${o.fill || "none"}" stroke="${o.stroke || "none"}"${o.stroke ? ` stroke-width="${o.sw || 1}"` : ""}`;
+  const body = d.ops.map((o) => {
+    if (o.t === "rect") return `<rect x="${fmtCoord(o.x)}" y="${fmtCoord(o.y)}" width="${fmtCoord(o.w)}" height="${fmtCoord(o.h)}"${o.r ? ` rx="${o.r}"` : ""} ${paint(o)}/>`;
+    if (o.t === "line") return `<line x1="${fmtCoord(o.x1)}" y1="${fmtCoord(o.y1)}" x2="${fmtCoord(o.x2)}" y2="${fmtCoord(o.y2)}" ${paint(o)}/>`;
+    if (o.t === "path") return `<path d="${o.d}" ${paint(o)}/>`;
+    return `<text x="${fmtCoord(o.x)}" y="${fmtCoord(o.y)}" font-size="${o.size}"${o.bold ? ' font-weight="bold"' : ""}${o.anchor && o.anchor !== "start" ? ` text-anchor="${o.anchor}"` : ""} fill="${o.fill || palette.black}">${esc(o.text)}</text>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${d.width}" height="${d.height}" viewBox="0 0 ${d.width} ${d.height}" font-family="Helvetica, Arial, sans-serif">`,
+    `<rect width="${d.width}" height="${d.height}" fill="#ffffff"/>`,
+    ...body,
+    "</svg>",
+  ].join("\n");
+}
+
+// Text → PDF-String in WinAnsi-Kodierung (Umlaute, €, Gedankenstrich, deutsche Anführungszeichen)
+const WIN_ANSI_EXTRA = { "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97 };
+function pdfString(text) {
+  let out = "";
+  for (const ch of String(text)) {
+    const code = WIN_ANSI_EXTRA[ch] ?? (ch.charCodeAt(0) < 256 && !(ch.charCodeAt(0) >= 0x80 && ch.charCodeAt(0) < 0xa0) ? ch.charCodeAt(0) : 0x3f);
+    out += code === 0x28 || code === 0x29 || code === 0x5c ? `\\${ch}` : String.fromCharCode(code);
+  }
+  return `(${out})`;
+}
+
+const pdfColor = (hex) => { const h = shadeHex(hex, 1).slice(1); return [0, 2, 4].map((k) => fmtCoord(parseInt(h.slice(k, k + 2), 16) / 255)).join(" "); };
+
+// Zeichenliste → PDF-Operatoren (Koordinaten bereits gespiegelt: y nach unten) mit senkrechter Ausdehnung y0..y1
+function pdfOps(ops) {
+  return ops.map((o) => {
+    const style = `${o.fill && o.fill !== "none" ? `${pdfColor(o.fill)} rg ` : ""}${o.stroke ? `${pdfColor(o.stroke)} RG ${o.sw || 1} w ` : ""}`;
+    const paintOp = o.fill && o.fill !== "none" ? (o.stroke ? "B" : "f") : "S";
+    if (o.t === "rect") return { y0: o.y, y1: o.y + o.h, code: `${style}${fmtCoord(o.x)} ${fmtCoord(o.y)} ${fmtCoord(o.w)} ${fmtCoord(o.h)} re ${paintOp}` };
+    if (o.t === "line") return { y0: Math.min(o.y1, o.y2), y1: Math.max(o.y1, o.y2), code: `${style}${fmtCoord(o.x1)} ${fmtCoord(o.y1)} m ${fmtCoord(o.x2)} ${fmtCoord(o.y2)} l S` };
+    if (o.t === "path") {
+      const tok = o.d.trim().split(/[\s,]+/); const seg = []; let cx = 0; let cy = 0; let y0 = Infinity; let y1 = -Infinity;
+      for (let k = 0; k < tok.length;) {
+        const c = tok[k++];
+        if (c === "M" || c === "L") { cx = Number(tok[k++]); cy = Number(tok[k++]); seg.push(`${fmtCoord(cx)} ${fmtCoord(cy)} ${c === "M" ? "m" : "l"}`); }
+        else if (c === "H") { cx = Number(tok[k++]); seg.push(`${fmtCoord(cx)} ${fmtCoord(cy)} l`); }
+        else if (c === "V") { cy = Number(tok[k++]); seg.push(`${fmtCoord(cx)} ${fmtCoord(cy)} l`); }
+        else if (c === "Z") seg.push("h");
+        y0 = Math.min(y0, cy); y1 = Math.max(y1, cy);
+      }
+      return { y0, y1, code: `${style}${seg.join(" ")} ${paintOp}` };
+    }
+    const x = o.anchor === "middle" ? o.x - textWidth(o.text, o.size) / 2 : o.anchor === "end" ? o.x - textWidth(o.text, o.size) : o.x;
+    return { y0: o.y - o.size, y1: o.y + o.size / 3, code: `${pdfColor(o.fill || palette.black)} rg BT /${o.bold ? "F2" : "F1"} ${o.size} Tf 1 0 0 -1 ${fmtCoord(x)} ${fmtCoord(o.y)} Tm ${pdfString(o.text)} Tj ET` };
+  });
+}
+
+/**
+ * Mehrseitiges PDF im Querformat (A4/A3) aus einer Zeichenliste – Vektorgrafik, Schrift Helvetica.
+ * Breite Pläne: Balkenbereich in Spalten gekachelt, die Beschriftung links wiederholt sich je Seite;
+ * lange Pläne: Seitenumbruch an der letzten passenden Stelle aus d.breaks; Seiten unterhalb der Timeline
+ * (Legende, Tabelle) nur einmal. Ist die Tabelle breiter als die Seite, beginnt sie auf einer eigenen Seite und wird
+ * spaltenweise aufgeteilt (erste Spalte wiederholt). Je Seite nur die Elemente im sichtbaren Ausschnitt. Liefert Uint8Array.
+ */
+export function drawingToPdf(d, format = "A4", title = "") {
+  const [pw, ph] = PDF_PAGE_SIZES[format] || PDF_PAGE_SIZES.A4; const margin = 28; const k = EXPORT_PT_PER_PX;
+  const availW = (pw - 2 * margin) / k; const availH = (ph - 2 * margin - 14) / k; // 14 pt Fußzeile
+  const chartW = Math.max(100, availW - d.pinX);
+  const cols = Math.max(1, Math.ceil((d.width - d.pinX) / chartW));
+  // Tabellenspalten in Gruppen je Seitenbreite: [x0, x1] hinter der wiederholten ersten Spalte
+  const tableCols = d.tableCols || []; const lead = tableCols[0] || 0; const groups = [];
+  for (let k = 1, gx0 = lead; k < tableCols.length; k++) {
+    if (tableCols[k] - gx0 > availW - lead && tableCols[k - 1] > gx0) { groups.push([gx0, tableCols[k - 1]]); gx0 = tableCols[k - 1]; }
+    if (k === tableCols.length - 1) groups.push([gx0, tableCols[k]]);
+  }
+  const pageTable = groups.length > 1;
+  const slices = [];
+  for (let top = 0; top < d.height;) {
+    const limit = pageTable && top < d.tableTop ? Math.min(top + availH, d.tableTop) : top + availH;
+    const fit = d.breaks.filter((b) => b > top && b <= limit);
+    const end = limit >= d.height ? d.height : fit.length ? fit[fit.length - 1] : limit;
+    slices.push([top, end]); top = end;
+  }
+  const pinned = pdfOps(d.ops.filter((o) => o.pin && !(pageTable && o.table))); const chart = pdfOps(d.ops.filter((o) => !o.pin));
+  const table = pdfOps(pageTable ? d.ops.filter((o) => o.table) : []);
+  const within = (list, top, end) => list.filter((o) => o.y1 >= top && o.y0 <= end).map((o) => o.code).join("\n");
+  const tableSlice = ([top]) => pageTable && top >= d.tableTop;
+  const colsOf = (sl) => (sl[0] < d.chartBottom ? cols : tableSlice(sl) ? groups.length : 1);
+  const total = slices.reduce((acc, sl) => acc + colsOf(sl), 0); const pages = [];
+  slices.forEach(([top, end]) => {
+    for (let c = 0; c < colsOf([top, end]); c++) {
+      const n = pages.length + 1; const h = fmtCoord(end - top);
+      const body = tableSlice([top, end]) ? [
+        `q 0 0 ${lead} ${h} re W n 1 0 0 1 0 ${fmtCoord(-top)} cm`, within(table, top, end), "Q",
+        `q ${lead} 0 ${groups[c][1] - groups[c][0]} ${h} re W n 1 0 0 1 ${lead - groups[c][0]} ${fmtCoord(-top)} cm`, within(table, top, end), "Q",
+      ] : [
+        `q 1 0 0 1 0 ${fmtCoord(-top)} cm`, within(pinned, top, end), "Q",
+        `q ${d.pinX} 0 ${fmtCoord(availW - d.pinX)} ${h} re W n 1 0 0 1 ${fmtCoord(-c * chartW)} ${fmtCoord(-top)} cm`, within(chart, top, end), "Q",
+      ];
+      pages.push([
+        `q 1 0 0 -1 ${margin} ${ph - margin} cm ${k} 0 0 ${k} 0 0 cm`,
+        `0 0 ${fmtCoord(availW)} ${h} re W n`,
+        ...body,
+        "Q",
+        `${pdfColor(palette.grayDark)} rg BT /F1 8 Tf ${margin} ${margin / 2} Td ${pdfString(`${title ? `${title} – ` : ""}Seite ${n}/${total}`)} Tj ET`,
+      ].join("\n"));
+    }
+  });
+
+  // Objekte: 1 Katalog, 2 Seitenbaum, 3/4 Schriften, 5 Info, danach je Seite Inhalt + Seite
+  const objs = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${7 + 2 * i} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Title ${pdfString(title || "Roadmap")} /Producer (Projektplan-Webapp) >>`,
+  ];
+  for (const content of pages) {
+    objs.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    objs.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pw} ${ph}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${objs.length} 0 R >>`);
+  }
+  let out = "%PDF-1.4\n%âãÏÓ\n"; const offsets = [];
+  objs.forEach((o, i) => { offsets.push(out.length); out += `${i + 1} 0 obj\n${o}\nendobj\n`; });
+  const xref = out.length;
+  out += `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n${offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+  out += `trailer\n<< /Size ${objs.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Uint8Array.from(out, (ch) => ch.charCodeAt(0) & 0xff);
+}
+
+// ===== MS Project (MSPDI-XML): Export und Import =====
+const MSPDI_LINK_TYPES = { FF: 0, FS: 1, SS: 3 }; // 2 = Anfang→Ende wird beim Import zu EA
+const MSPDI_LAG_PER_DAY = 4800; // LinkLag in Zehntelminuten: 8 h-Arbeitstag …
+const MSPDI_LAG_PER_EDAY = 14400; // … bzw. 24 h-Kalendertag (LagFormat 8)
+
+const xmlEscape = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Stunden → xsd:duration wie von MS Project geschrieben ("PT7H30M0S")
+const mspdiDuration = (hours) => { const m = Math.round((Number(hours) || 0) * 60); return `PT${Math.floor(m / 60)}H${m % 60}M0S`; };
+
+// xsd:duration → Stunden ("PT80H0M0S", "P2DT4H", "PT7.5H")
+export function parseMspdiDuration(s) {
+  const m = /^-?P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(String(s || "").trim());
+  if (!m) return 0;
+  return (Number(m[1] || 0) * 24) + Number(m[2] || 0) + Number(m[3] || 0) / 60 + Number(m[4] || 0) / 3600;
+}
+
+/**
+ * Plan → MSPDI-XML für MS Project. Phasen werden Vorgänge (Gliederung über OutlineLevel, Sammelvorgänge),
+ * Arbeit = Personentage × 8 h; Personen als generische Ressourcen („Person n“) bzw. die zugeordneten
+ * Ressourcen mit Einheiten = Tage pro Woche ÷ 5. Abhängigkeiten als PredecessorLink (blockierender
+ * Nachlauf einer GoLive-Phase als Verzug), fixiertes Ende als
+ * „Muss enden am“, Meilensteine als Vorgänge mit Dauer 0. Kalender: Mo–Fr bzw. alle Tage,
+ * arbeitsfreie Werktage im Projektzeitraum (Feiertage, Betriebsruhe) als Ausnahmen.
+ */
+export function buildMspdi(state, computed, cal = CALENDAR_DAYS) {
+  const workdays = cal.mode === "workdays"; const levels = phaseLevels(computed);
+  const uidOf = new Map(computed.map((c, i) => [c.id, i + 1]));
+  const projStart = computed.reduce((m, c) => (c.start < m ? c.start : m), state.startDate);
+  const projEnd = computed.reduce((m, c) => maxIso(m, c.post?.length ? c.post[c.post.length - 1].end : c.end), projStart);
+  const tag = (name, v) => `<${name}>${xmlEscape(v)}</${name}>`;
+  const dt = (iso, end) => `${iso}T${end ? "17:00:00" : "08:00:00"}`;
+
+  // Ressourcen: Pool + anonyme Personen (so viele wie die größte nicht zugeordnete Besetzung)
+  const resources = (state.resources || []).map((r, k) => ({ uid: k + 1, id: r.id, name: r.name || `Ressource ${k + 1}` }));
+  const resUid = new Map(resources.map((r) => [r.id, r.uid]));
+  const anon = computed.reduce((m, c) => (c.summary || effectiveStaffing(c).assigned ? m : Math.max(m, Math.ceil(Number(c.persons) || 0))), 0);
+  for (let k = 0; k < anon; k++) resources.push({ uid: resources.length + 1, id: "", name: `Person ${k + 1}` });
+  const assignments = [];
+  computed.forEach((c, i) => {
+    if (c.summary) return;
+    const pd = Number(c.personDays) || 0; const asg = (c.assignments || []).filter((a) => (Number(a.daysPerWeek) || 0) > 0 && resUid.has(a.resourceId));
+    if (asg.length) {
+      const sum = asg.reduce((acc, a) => acc + Number(a.daysPerWeek), 0);
+      for (const a of asg) assignments.push({ task: i + 1, res: resUid.get(a.resourceId), units: Number(a.daysPerWeek) / 5, work: (pd * Number(a.daysPerWeek)) / sum });
+    } else {
+      const n = Math.ceil(Number(c.persons) || 0);
+      for (let k = 0; k < n; k++) assignments.push({ task: i + 1, res: resources.length - anon + k + 1, units: (Number(c.daysPerWeekPerPerson) || 0) / 5, work: pd / n });
+    }
+  });
+
+  // Blockierende Nachlauf-Blöcke (Hypercare …) gibt es in MS Project nicht → als zusätzlicher EA-Verzug
+  const tailOf = (d) => { const pred = computed[uidOf.get(d.from) - 1]; return d.type === "FS" && pred ? workdayDiff(pred.end, pred.blockEnd, cal) : 0; };
+  const tasks = computed.map((c, i) => {
+    const own = (c.deps || []).filter((d) => uidOf.has(d.from));
+    const hours = c.summary ? 0 : (workdays ? c.days * 8 : c.days * 24);
+    const constraint = c.endOverride && !c.summary ? [tag("ConstraintType", 3), tag("ConstraintDate", dt(c.end, true))]
+      : !own.length && c.start > projStart && !levels[i] ? [tag("ConstraintType", 4), tag("ConstraintDate", dt(c.start))] : [];
+    return [
+      "<Task>", tag("UID", i + 1), tag("ID", i + 1), tag("Name", c.name?.trim() || `Phase ${i + 1}`), tag("Type", 1), tag("IsNull", 0),
+      tag("OutlineLevel", levels[i] + 1), tag("Start", dt(c.start)), tag("Finish", dt(c.end, true)),
+      ...(c.summary ? [] : [tag("Duration", mspdiDuration(hours)), tag("DurationFormat", workdays ? 7 : 8)]),
+      tag("Work", mspdiDuration((Number(c.personDays) || 0) * 8)), tag("Milestone", 0), tag("Summary", c.summary ? 1 : 0),
+      tag("PercentComplete", Math.round(actualProgress(c))),
+      ...(c.actualStart ? [tag("ActualStart", dt(c.actualStart))] : []), ...(c.actualFinish ? [tag("ActualFinish", dt(c.actualFinish, true))] : []),
+      ...constraint,
+      ...own.map((d) => `<PredecessorLink>${tag("PredecessorUID", uidOf.get(d.from))}${tag("Type", MSPDI_LINK_TYPES[d.type] ?? 1)}${tag("LinkLag", Math.round((d.lag + tailOf(d)) * (workdays ? MSPDI_LAG_PER_DAY : MSPDI_LAG_PER_EDAY)))}${tag("LagFormat", workdays ? 7 : 8)}</PredecessorLink>`),
+      "</Task>",
+    ].join("");
+  });
+  (state.milestones || []).filter((m) => isIsoDate(m?.date)).forEach((m, k) => {
+    const uid = computed.length + k + 1;
+    tasks.push(["<Task>", tag("UID", uid), tag("ID", uid), tag("Name", m.name || `Meilenstein ${k + 1}`), tag("Type", 1), tag("IsNull", 0), tag("OutlineLevel", 1),
+      tag("Start", dt(m.date)), tag("Finish", dt(m.date)), tag("Duration", "PT0H0M0S"), tag("DurationFormat", 7), tag("Work", "PT0H0M0S"), tag("Milestone", 1), tag("Summary", 0),
+      tag("ConstraintType", 2), tag("ConstraintDate", dt(m.date)), "</Task>"].join(""));
+  });
+
+  // Kalender: Wochentage (DayType 1 = So … 7 = Sa) + arbeitsfreie Werktage als Ausnahmen
+  const weekDays = [1, 2, 3, 4, 5, 6, 7].map((d) => {
+    const working = !workdays || (d > 1 && d < 7);
+    return `<WeekDay>${tag("DayType", d)}${tag("DayWorking", working ? 1 : 0)}${working ? "<WorkingTimes><WorkingTime><FromTime>08:00:00</FromTime><ToTime>12:00:00</ToTime></WorkingTime><WorkingTime><FromTime>13:00:00</FromTime><ToTime>17:00:00</ToTime></WorkingTime></WorkingTimes>" : ""}</WeekDay>`;
+  });
+  const exceptions = !workdays ? [] : enumerateDates(projStart, projEnd).filter((iso) => { const wd = new Date(iso + "T00:00:00").getDay(); return wd !== 0 && wd !== 6 && !cal.isWorkday(iso); })
+    .map((iso) => `<Exception><EnteredByOccurrences>0</EnteredByOccurrences><TimePeriod>${tag("FromDate", `${iso}T00:00:00`)}${tag("ToDate", `${iso}T23:59:00`)}</TimePeriod>${tag("Occurrences", 1)}${tag("Name", cal.holidayName(iso) || cal.closureName(iso) || "Arbeitsfrei")}${tag("Type", 1)}${tag("DayWorking", 0)}</Exception>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Project xmlns="http://schemas.microsoft.com/project">',
+    tag("Name", `${state.chartTitle || "Roadmap"}.xml`), tag("Title", state.chartTitle || "Roadmap"),
+    tag("ScheduleFromStart", 1), tag("StartDate", dt(projStart)), tag("FinishDate", dt(projEnd, true)), tag("CalendarUID", 1),
+    tag("MinutesPerDay", 480), tag("MinutesPerWeek", 2400), tag("DaysPerMonth", 20),
+    `<Calendars><Calendar>${tag("UID", 1)}${tag("Name", workdays ? "Standard" : "24 Stunden / 7 Tage")}${tag("IsBaseCalendar", 1)}<WeekDays>${weekDays.join("")}</WeekDays>${exceptions.length ? `<Exceptions>${exceptions.join("")}</Exceptions>` : ""}</Calendar></Calendars>`,
+    `<Tasks>${tasks.join("\n")}</Tasks>`,
+    `<Resources>${resources.map((r) => `<Resource>${tag("UID", r.uid)}${tag("ID", r.uid)}${tag("Name", r.name)}${tag("Type", 1)}</Resource>`).join("")}</Resources>`,
+    `<Assignments>${assignments.map((a, k) => `<Assignment>${tag("UID", k + 1)}${tag("TaskUID", a.task)}${tag("ResourceUID", a.res)}${tag("Units", Math.round(a.units * 100) / 100)}${tag("Work", mspdiDuration(a.work * 8))}</Assignment>`).join("")}</Assignments>`,
+    "</Project>",
+  ].join("\n");
+}
+
+/**
+ * Besetzung zu Aufwand und Dauer: Personen (vorgegeben oder Vollzeitkräfte) und Tage/Woche/Person so,
+ * dass computePhaseDays genau `durationDays` ergibt (Arbeits- bzw. Kalendertage je nach Modus).
+ */
+export function staffingForDuration(personDays, durationDays, mode = "workdays", persons = 0) {
+  const weeks = Math.max(1, durationDays) / (mode === "workdays" ? 5 : 7);
+  const pd = Math.round(Math.max(0, Number(personDays) || 0) * 100) / 100;
+  const fits = (p, n, dpp) => { const r = computePhaseDays(p, n, dpp); return (mode === "workdays" ? r.workDays : r.days) === Math.max(1, durationDays); };
+  let n = persons > 0 ? Math.round(persons) : Math.max(1, Math.round(pd / (weeks * 5)));
+  if (pd / (n * weeks) > 7) n = Math.ceil(pd / (weeks * 7));
+  const exact = pd / (n * weeks);
+  for (const dpp of [Math.ceil(exact * 100) / 100, exact]) if (pd > 0 && dpp <= 7 && fits(pd, n, dpp)) return { personDays: pd, persons: n, daysPerWeekPerPerson: dpp };
+  // ohne (passenden) Aufwand: Vollzeit über die Dauer, auf 1/100 PT abgerundet
+  return { personDays: Math.floor(n * 5 * weeks * 100) / 100, persons: n, daysPerWeekPerPerson: 5 };
+}
+
+/**
+ * MSPDI-XML → Plan-Daten (Teil-Dokument, wird mit einem neuen Plan zusammengeführt) + Hinweise.
+ * Vorgänge werden Phasen (Gliederung → Unterphasen), Meilenstein-Vorgänge Meilensteine; Kalender
+ * (Wochentage, Ausnahmen → Betriebsruhe) werden übernommen, damit die Dauern erhalten bleiben.
+ * Wirft einen Error, wenn die Datei kein MSPDI ist.
+ */
+export function parseMspdi(text) {
+  const doc = new DOMParser().parseFromString(String(text), "application/xml");
+  const root = doc.documentElement;
+  if (!root || doc.getElementsByTagName("parsererror").length) throw new Error("Die Datei ist kein gültiges XML.");
+  if (root.localName !== "Project") throw new Error("Keine MS-Project-XML-Datei (MSPDI): Wurzelelement <Project> fehlt.");
+  const kid = (el, name) => [...(el?.children || [])].find((c) => c.localName === name);
+  const val = (el, name) => (kid(el, name)?.textContent || "").trim();
+  const list = (el, group, name) => [...(kid(el, group)?.children || [])].filter((c) => c.localName === name);
+  const dateOf = (v) => (isIsoDate(String(v).slice(0, 10)) ? String(v).slice(0, 10) : "");
+  const warnings = [];
+  const hoursPerDay = (Number(val(root, "MinutesPerDay")) || 480) / 60;
+
+  // Projektkalender: arbeitende Wochenenden → Kalendertage, Ausnahmen → Betriebsruhe
+  const calEl = list(root, "Calendars", "Calendar").find((c) => val(c, "UID") === (val(root, "CalendarUID") || "1")) || list(root, "Calendars", "Calendar")[0];
+  const weekDays = list(calEl, "WeekDays", "WeekDay");
+  const weekendWorking = weekDays.some((w) => ["1", "7"].includes(val(w, "DayType")) && val(w, "DayWorking") === "1");
+  const calendarMode = weekendWorking ? "calendar" : "workdays";
+  const closures = [
+    ...list(calEl, "Exceptions", "Exception").filter((e) => val(e, "DayWorking") !== "1").map((e) => ({ name: val(e, "Name") || "Arbeitsfrei", period: kid(e, "TimePeriod") })),
+    ...weekDays.filter((w) => val(w, "DayType") === "0" && val(w, "DayWorking") !== "1").map((w) => ({ name: "Arbeitsfrei", period: kid(w, "TimePeriod") })),
+  ].map(({ name, period }) => ({ name, start: dateOf(val(period, "FromDate")), end: dateOf(val(period, "ToDate")) })).filter((c) => c.start);
+  const cal = makeWorkCalendar({ mode: calendarMode, region: "", closures });
+
+  const tasks = list(root, "Tasks", "Task").filter((t) => val(t, "IsNull") !== "1" && Number(val(t, "OutlineLevel") || 1) > 0 && dateOf(val(t, "Start")));
+  const asgByTask = new Map();
+  for (const a of list(root, "Assignments", "Assignment")) {
+    if (Number(val(a, "ResourceUID")) < 0) continue; // -65535 = ohne Ressource
+    const arr = asgByTask.get(val(a, "TaskUID")) || []; arr.push(val(a, "Units") === "" ? 1 : Number(val(a, "Units")) || 0); asgByTask.set(val(a, "TaskUID"), arr);
+  }
+
+  const idByUid = new Map(); const milestones = []; const phaseTasks = [];
+  for (const t of tasks) {
+    if (val(t, "Milestone") === "1" && val(t, "Summary") !== "1") milestones.push({ id: makeId("ms"), name: val(t, "Name") || `Meilenstein ${milestones.length + 1}`, date: dateOf(val(t, "Start")) });
+    else { idByUid.set(val(t, "UID"), makeId("ph")); phaseTasks.push(t); }
+  }
+  const projectStart = dateOf(val(root, "StartDate")) || phaseTasks.map((t) => dateOf(val(t, "Start"))).sort()[0] || milestones.map((m) => m.date).sort()[0] || toDateValue(new Date());
+  const firstDay = nextWorkday(projectStart, cal);
+
+  const stack = []; const linked = []; // je Gliederungsebene: Phasen-ID / hat Vorgänger
+  const phases = phaseTasks.map((t, i) => {
+    const level = Math.max(1, Number(val(t, "OutlineLevel")) || 1); const name = val(t, "Name") || `Phase ${i + 1}`;
+    const id = idByUid.get(val(t, "UID")); const parentId = level > 1 ? stack[level - 2] || "" : "";
+    if (level > MAX_PHASE_DEPTH) warnings.push(`${name}: Gliederungsebene ${level} – höchstens ${MAX_PHASE_DEPTH} Ebenen, wird höher eingeordnet.`);
+    const deps = [];
+    for (const l of [...t.children].filter((c) => c.localName === "PredecessorLink")) {
+      const from = idByUid.get(val(l, "PredecessorUID")); if (!from) { warnings.push(`${name}: Vorgänger ${val(l, "PredecessorUID")} ist keine Phase – Verknüpfung entfällt.`); continue; }
+      let type = Object.keys(MSPDI_LINK_TYPES).find((k) => String(MSPDI_LINK_TYPES[k]) === val(l, "Type")) || "FS";
+      if (val(l, "Type") === "2") { warnings.push(`${name}: Anfang→Ende-Verknüpfung wird als Ende→Anfang übernommen.`); type = "FS"; }
+      const fmt = Number(val(l, "LagFormat")) || 7;
+      const lag = [8, 6, 4, 10, 12].includes(fmt) ? (Number(val(l, "LinkLag")) || 0) / MSPDI_LAG_PER_EDAY : (Number(val(l, "LinkLag")) || 0) / (hoursPerDay * 600);
+      deps.push({ from, type, lag: Math.round(lag) });
+    }
+    stack[level - 1] = id; stack.length = level; linked[level - 1] = deps.length > 0 || (level > 1 && !!linked[level - 2]); linked.length = level;
+
+    const start = dateOf(val(t, "Start")); const finish = maxIso(dateOf(val(t, "Finish")) || start, start);
+    const summary = val(t, "Summary") === "1";
+    const days = Math.max(1, enumerateDates(start, finish).filter(cal.isWorkday).length);
+    const units = asgByTask.get(val(t, "UID")) || [];
+    const avgUnits = units.length ? units.reduce((a, b) => a + b, 0) / units.length : 1;
+    const work = parseMspdiDuration(val(t, "Work")) / hoursPerDay;
+    const staff = summary ? { personDays: 0, persons: 1, daysPerWeekPerPerson: 5 } : staffingForDuration(work > 0 ? work : days * (units.length || 1) * avgUnits * (calendarMode === "workdays" ? 1 : 5 / 7), days, calendarMode, units.length);
+    const constraint = val(t, "ConstraintType");
+    const pinned = !summary && (constraint === "3" || constraint === "7" || (!linked[level - 1] && nextWorkday(start, cal) > firstDay));
+    const percent = Math.min(100, Math.max(0, Number(val(t, "PercentComplete")) || 0));
+    return {
+      id, parentId, name, ...staff, goLive: false, hypercareWeeks: 2, hypercarePD: 0, hypercareBlocking: true, postBlocks: [],
+      color: palette.orange, endOverride: pinned ? finish : "", deps, assignments: [], dailyRate: 0, percentComplete: percent,
+      actualStart: dateOf(val(t, "ActualStart")), actualFinish: percent >= 100 ? dateOf(val(t, "ActualFinish")) : "",
+    };
+  });
+  if (!phases.length) warnings.push("Die Datei enthält keine Vorgänge – es wurden nur Meilensteine übernommen.");
+
+  return {
+    data: {
+      chartTitle: val(root, "Title") || val(root, "Name").replace(/\.xml$/i, "") || "MS-Project-Import",
+      startDate: projectStart, calendarMode, holidayRegion: "", closures: closures.map(({ name, start, end }) => ({ name, start, end: end || start })),
+      phaseCount: phases.length, phases, milestoneCount: milestones.length, milestones, collapsed: [],
+    },
+    warnings,
+  };
+}
+
+// ===== Tabellen-Export (CSV / Excel-xlsx) und CSV-Import von Phasen =====
+// Zahl im deutschen Format ohne Tausenderpunkte (CSV, Excel „Deutsch“)
+export const fmtDeNumber = (x, digits = 2) => (Number(x) || 0).toLocaleString("de-DE", { maximumFractionDigits: digits, useGrouping: false });
+
+/**
+ * Terminierte Phasen als Tabelle { name, columns: [{ label, type }], rows } – type: text | number | date | eur.
+ * Personen/Tage pro Woche aus der Ressourcenzuordnung, sofern vorhanden; Sammelphasen ohne Besetzung.
+ */
+export function phaseExportTable(computed, calendarMode = "calendar") {
+  const levels = phaseLevels(computed);
+  return {
+    name: "Phasen",
+    columns: [["Nr.", "number"], ["Phase", "text"], ["Ebene", "number"], ["Personentage", "number"], ["Personen", "number"], ["Tage/Woche/Person", "number"],
+      [calendarMode === "workdays" ? "Dauer (Arbeitstage)" : "Dauer (Tage)", "number"], ["Start", "date"], ["Ende", "date"], ["Puffer (Tage)", "number"],
+      ["Kritisch", "text"], ["Fortschritt (%)", "number"], ["GoLive", "text"]].map(([label, type]) => ({ label, type })),
+    rows: computed.map((c, i) => {
+      const staff = effectiveStaffing(c);
+      return [i + 1, c.name?.trim() || `Phase ${i + 1}`, levels[i] + 1, Number(c.personDays) || 0, c.summary ? "" : staff.persons, c.summary ? "" : staff.daysPerWeekPerPerson,
+        c.days, c.start, c.end, c.slack ?? "", c.critical ? "ja" : "nein", actualProgress(c), c.goLive ? "ja" : "nein"];
+    }),
+  };
+}
+
+// Burnrate-Zeilen (aggregateBurn) als Tabelle; Spalten je Ressource nur mit Ressourcen-Pool
+export function burnExportTable(rows, aggMode, { withCost = false, resources = [], resKeys = [] } = {}) {
+  const byRes = resources.length ? resKeys : [];
+  return {
+    name: `Burnrate ${aggMode === "day" ? "Tag" : aggMode === "week" ? "KW" : "Monat"}`,
+    columns: [
+      { label: aggMode === "day" ? "Tag (Datum)" : aggMode === "week" ? "Kalenderwoche" : "Monat", type: aggMode === "day" ? "date" : "text" },
+      { label: "Summe Personentage", type: "number" },
+      ...(withCost ? [{ label: "Kosten", type: "eur" }, { label: "Kosten kumuliert", type: "eur" }] : []),
+      ...byRes.map((k) => ({ label: k ? resources.find((r) => r.id === k)?.name || "Ressource" : "Ohne Zuordnung", type: "number" })),
+    ],
+    rows: rows.map((r) => [r.label, r.value, ...(withCost ? [r.cost, r.cumCost] : []), ...byRes.map((k) => r.byRes[k] || 0)]),
+  };
+}
+
+// Tabelle → CSV für Excel (Semikolon, Dezimalkomma, UTF-8 mit BOM, CRLF); Texte, die Excel als Formel
+// lesen würde (=, +, -, @ am Anfang), bekommen ein ' vorangestellt
+export function tableToCsv(table) {
+  const cell = (v, type) => {
+    const num = type === "number" || type === "eur";
+    const s = v === "" || v == null ? "" : num ? fmtDeNumber(v) : String(v).replace(/^[=+\-@\t\r]/, "'$&");
+    return /[;"\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [table.columns.map((c) => cell(c.label, "text")), ...table.rows.map((r) => r.map((v, k) => cell(v, table.columns[k].type)))];
+  return `﻿${lines.map((l) => l.join(";")).join("\r\n")}\r\n`;
+}
+
+// UTF-8-Bytes (ohne TextEncoder, der in manchen Testumgebungen fehlt)
+function utf8Bytes(s) {
+  const out = [];
+  for (const ch of String(s)) {
+    const c = ch.codePointAt(0);
+    if (c < 0x80) out.push(c);
+    else if (c < 0x800) out.push(0xc0 | (c >> 6), 0x80 | (c & 63));
+    else if (c < 0x10000) out.push(0xe0 | (c >> 12), 0x80 | ((c >> 6) & 63), 0x80 | (c & 63));
+    else out.push(0xf0 | (c >> 18), 0x80 | ((c >> 12) & 63), 0x80 | ((c >> 6) & 63), 0x80 | (c & 63));
+  }
+  return Uint8Array.from(out);
+}
+
+let crcTable = null;
+export function crc32(bytes) {
+  if (!crcTable) crcTable = Array.from({ length: 256 }, (_, n) => { let c = n; for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1; return c >>> 0; });
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = crcTable[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ZIP-Archiv ohne Kompression (Methode „stored“) – genügt für xlsx; files = [{ name, data: string | Uint8Array }]
+export function zipStore(files) {
+  const parts = []; const central = []; let offset = 0;
+  const u16 = (v) => [v & 0xff, (v >>> 8) & 0xff]; const u32 = (v) => [v & 0xff, (v >>> 8) & 0xff, (v >>> 16) & 0xff, (v >>> 24) & 0xff];
+  const DOS_DATE = 0x21; // 01.01.1980 – feste Zeit, damit gleiche Inhalte gleiche Dateien ergeben
+  for (const f of files) {
+    const name = utf8Bytes(f.name); const data = typeof f.data === "string" ? utf8Bytes(f.data) : f.data; const crc = crc32(data);
+    const common = [...u16(20), ...u16(0x0800), ...u16(0), ...u16(0), ...u16(DOS_DATE), ...u32(crc), ...u32(data.length), ...u32(data.length), ...u16(name.length), ...u16(0)];
+    const local = Uint8Array.from([...u32(0x04034b50), ...common, ...name]);
+    central.push(Uint8Array.from([...u32(0x02014b50), ...u16(20), ...common, ...u16(0), ...u16(0), ...u16(0), ...u32(0), ...u32(offset), ...name]));
+    parts.push(local, data); offset += local.length + data.length;
+  }
+  const cdSize = central.reduce((a, c) => a + c.length, 0);
+  const end = Uint8Array.from([...u32(0x06054b50), ...u16(0), ...u16(0), ...u16(files.length), ...u16(files.length), ...u32(cdSize), ...u32(offset), ...u16(0)]);
+  const out = new Uint8Array(offset + cdSize + end.length); let pos = 0;
+  for (const p of [...parts, ...central, end]) { out.set(p, pos); pos += p.length; }
+  return out;
+}
+
+// Excel-Spaltenbuchstaben (0 → A, 26 → AA)
+const xlsxCol = (k) => (k >= 26 ? xlsxCol(Math.floor(k / 26) - 1) : "") + String.fromCharCode(65 + (k % 26));
+
+/**
+ * Arbeitsmappe (.xlsx, Office Open XML) mit einem Blatt je Tabelle: Kopfzeile fett und fixiert,
+ * Zahlen numerisch (#.##0,00), Datumsangaben als Excel-Datum, Kosten in €. Liefert Uint8Array.
+ */
+export function buildXlsx(tables) {
+  const NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main"; const REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+  const head = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const STYLE = { header: 1, date: 2, number: 3, eur: 4 };
+  const serial = (iso) => (Date.UTC(+iso.slice(0, 4), +iso.slice(5, 7) - 1, +iso.slice(8, 10)) - Date.UTC(1899, 11, 30)) / 86400000;
+  const names = new Set();
+  const sheetName = (n) => { let base = String(n).replace(/[[\]:*?/\\]/g, " ").slice(0, 31) || "Tabelle"; let s = base; for (let k = 2; names.has(s); k++) s = `${base.slice(0, 28)} ${k}`; names.add(s); return s; };
+  const cellXml = (v, type, ref, header) => {
+    if (v === "" || v == null) return "";
+    if (!header && type === "date" && isIsoDate(v)) return `<c r="${ref}" s="${STYLE.date}"><v>${serial(v)}</v></c>`;
+    if (!header && (type === "number" || type === "eur") && Number.isFinite(Number(v))) return `<c r="${ref}" s="${STYLE[type]}"><v>${Number(v)}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"${header ? ` s="${STYLE.header}"` : ""}><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+  };
+  const sheets = tables.map((t) => {
+    const rows = [t.columns.map((c) => c.label), ...t.rows];
+    const widths = t.columns.map((c, k) => Math.min(60, Math.max(10, ...rows.map((r) => String(r[k] ?? "").length + 2))));
+    return head + `<worksheet xmlns="${NS}"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>`
+      + `<cols>${widths.map((w, k) => `<col min="${k + 1}" max="${k + 1}" width="${w}" customWidth="1"/>`).join("")}</cols><sheetData>`
+      + rows.map((r, i) => `<row r="${i + 1}">${r.map((v, k) => cellXml(v, t.columns[k]?.type, `${xlsxCol(k)}${i + 1}`, i === 0)).join("")}</row>`).join("")
+      + "</sheetData></worksheet>";
+  });
+  const titles = tables.map((t) => sheetName(t.name));
+  return zipStore([
+    { name: "[Content_Types].xml", data: head + `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")}</Types>` },
+    { name: "_rels/.rels", data: head + `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>` },
+    { name: "xl/workbook.xml", data: head + `<workbook xmlns="${NS}" xmlns:r="${REL}"><sheets>${titles.map((n, i) => `<sheet name="${xmlEscape(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")}</sheets></workbook>` },
+    { name: "xl/_rels/workbook.xml.rels", data: head + `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${REL}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("")}<Relationship Id="rId${sheets.length + 1}" Type="${REL}/styles" Target="styles.xml"/></Relationships>` },
+    { name: "xl/styles.xml", data: head + `<styleSheet xmlns="${NS}"><numFmts count="1"><numFmt numFmtId="164" formatCode="#,##0 &quot;€&quot;"/></numFmts><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="5"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>` },
+    ...sheets.map((data, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data })),
+  ]);
 }
 
-function firstOfMonth(iso) {
-  const d = new Date(iso + "T00:00:00");
-  d.setDate(1);
-  return toDateValue(d);
+// CSV/Tabellentext → Zeilen; Trennzeichen (Tab, ; oder ,) aus der ersten Zeile, Anführungszeichen nach RFC 4180
+export function parseCsv(text) {
+  const src = String(text).replace(/^﻿/, ""); const first = src.split(/\r?\n/, 1)[0];
+  const sep = first.includes("\t") ? "\t" : first.includes(";") ? ";" : ",";
+  const rows = []; let row = []; let cur = ""; let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) { if (ch === '"' && src[i + 1] === '"') { cur += '"'; i++; } else if (ch === '"') quoted = false; else cur += ch; continue; }
+    if (ch === '"' && cur === "") quoted = true;
+    else if (ch === sep) { row.push(cur); cur = ""; }
+    else if (ch === "\n" || ch === "\r") { if (ch === "\r" && src[i + 1] === "\n") i++; row.push(cur); rows.push(row); row = []; cur = ""; }
+    else cur += ch;
+  }
+  if (cur !== "" || row.length) { row.push(cur); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
 }
 
-function lastOfMonth(iso) {
-  const d = new Date(iso + "T00:00:00");
-  d.setMonth(d.getMonth() + 1, 0); // Tag 0 = letzter Tag des Vormonats
-  return toDateValue(d);
+// Zahl aus deutscher oder englischer Schreibweise („1.234,5“, „12,5 PT“, „7.5“) – NaN, wenn keine Zahl
+export function parseDeNumber(s) {
+  const t = String(s ?? "").trim().replace(/\s|€|PT|PD|%/gi, "");
+  if (!t) return NaN;
+  const n = t.includes(",") ? t.replace(/\./g, "").replace(",", ".") : t;
+  return /^-?\d+(\.\d+)?$/.test(n) ? Number(n) : NaN;
 }
 
-function nextMonth(iso) {
-  const d = new Date(iso + "T00:00:00");
-  d.setMonth(d.getMonth() + 1);
-  d.setDate(1);
-  return toDateValue(d);
+// Spaltenerkennung im Kopf der Schätz-Tabelle; ohne erkannten Kopf gilt die Reihenfolge der ersten vier
+const CSV_PHASE_COLUMNS = [
+  ["name", /^(phase|phasenname|name|bezeichnung|vorgang|arbeitspaket)/i],
+  ["personDays", /^(personentage|pt\b|pd\b|aufwand|person.?days|schätzung)/i],
+  ["persons", /^(personen|persons|köpfe|anzahl)/i],
+  ["daysPerWeekPerPerson", /^(tage.?\/.?woche|tage pro woche|days.?per.?week)/i],
+  ["dailyRate", /^(tagessatz|daily.?rate)/i],
+  ["goLive", /^go.?live/i],
+  ["color", /^(farbe|colou?r)/i],
+];
+
+/**
+ * Phasenliste aus CSV bzw. aus Excel eingefügtem Text. Erkennt Kopfzeilen (Phase, Personentage,
+ * Personen, Tage/Woche/Person, Tagessatz, GoLive, Farbe) und deutsche Zahlen. Liefert
+ * { phases: [{ name, personDays, persons, daysPerWeekPerPerson, … }], errors } – fehlerhafte Zeilen entfallen.
+ */
+export function parsePhaseCsv(text) {
+  const rows = parseCsv(text); const errors = [];
+  if (!rows.length) return { phases: [], errors: ["Keine Daten gefunden."] };
+  const header = rows[0].map((c) => CSV_PHASE_COLUMNS.find(([, re]) => re.test(c.trim()))?.[0]);
+  const hasHeader = header.includes("name") || header.includes("personDays");
+  const cols = hasHeader ? header : ["name", "personDays", "persons", "daysPerWeekPerPerson"];
+  const labels = { personDays: "Personentage", persons: "Personen", daysPerWeekPerPerson: "Tage/Woche/Person", dailyRate: "Tagessatz" };
+  const phases = [];
+  rows.slice(hasHeader ? 1 : 0).forEach((r, idx) => {
+    const line = idx + (hasHeader ? 2 : 1); const get = (key) => { const k = cols.indexOf(key); return k >= 0 ? String(r[k] ?? "").trim() : ""; };
+    const p = { name: get("name") || `Phase ${phases.length + 1}` }; let ok = true;
+    for (const [key, fallback, max] of [["personDays", null, Infinity], ["persons", 1, Infinity], ["daysPerWeekPerPerson", 5, 7], ["dailyRate", 0, Infinity]]) {
+      const raw = get(key);
+      if (!raw && fallback !== null) { p[key] = fallback; continue; }
+      const n = parseDeNumber(raw);
+      if (!Number.isFinite(n) || n < 0 || n > max) { errors.push(`Zeile ${line}: „${raw}“ ist kein gültiger Wert für ${labels[key]}.`); ok = false; break; }
+      p[key] = n;
+    }
+    if (get("goLive")) p.goLive = /^(ja|j|x|yes|y|true|1|wahr)$/i.test(get("goLive"));
+    if (/^#[0-9a-f]{6}$/i.test(get("color"))) p.color = get("color");
+    if (ok) phases.push(p);
+  });
+  return { phases, errors };
 }
 
-function formatMonthLabel(iso) {
-  const d = new Date(iso + "T00:00:00");
-  // Voller Monatsname + ausgeschriebene Jahreszahl, deutsch
-  return d.toLocaleString('de-DE', { month: 'long', year: 'numeric' });
+// ===== iCalendar (.ics): Meilensteine, GoLive, Hypercare und optional Phasen =====
+// Text nach RFC 5545 maskieren und Zeilen > 75 Oktette falten (Fortsetzung mit Leerzeichen)
+const icsText = (s) => String(s ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+function icsFold(line) {
+  const out = []; let cur = ""; let len = 0;
+  for (const ch of line) {
+    const n = utf8Bytes(ch).length;
+    if (len + n > (out.length ? 74 : 75)) { out.push(cur); cur = ""; len = 0; }
+    cur += ch; len += n;
+  }
+  return [...out, cur].join("\r\n ");
 }
+const icsDate = (iso) => iso.replace(/-/g, "");
 
-// ISO-Kalenderwoche (Montag als Wochenbeginn)
-function getISOWeekParts(iso) {
-  const d = new Date(iso + "T00:00:00");
-  const day = (d.getUTCDay() + 6) % 7; // 0=Montag
-  const thursday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day + 3));
-  const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
-  const week = Math.floor(((thursday - yearStart) / 86400000 + 10) / 7);
-  const year = thursday.getUTCFullYear();
-  return { week, year };
+/**
+ * Kalenderdatei aus der Terminierung: ganztägige Termine für Meilensteine, GoLive und die Zeitfenster
+ * nach dem GoLive (Hypercare, weitere Nachlauf-Blöcke), mit includePhases auch mehrtägige Phasentermine.
+ * UIDs leiten sich aus Projekt- und Phasen-/Meilenstein-IDs ab – erneuter Import aktualisiert statt zu verdoppeln.
+ * Termine sind „frei“ (TRANSP:TRANSPARENT), damit sie keine Verfügbarkeit blockieren. SEQUENCE = Sekunden seit
+ * 2020 zum Exportzeitpunkt, damit Kalender einen späteren Export als Änderung desselben Termins übernehmen.
+ */
+export function buildIcs(state, computed, { projectId = "", includePhases = false, stamp = new Date() } = {}) {
+  const dtstamp = stamp.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const sequence = Math.max(0, Math.floor((stamp.getTime() - Date.UTC(2020, 0, 1)) / 1000));
+  const scope = projectId ? `${projectId}.` : "";
+  const title = state.chartTitle?.trim() || "Projektplan";
+  const events = [];
+  const add = (uid, summary, start, end, category, description) => {
+    if (!isIsoDate(start) || !isIsoDate(end)) return;
+    events.push(["BEGIN:VEVENT", `UID:${scope}${uid}@projektplan-webapp`, `DTSTAMP:${dtstamp}`, `SEQUENCE:${sequence}`, `DTSTART;VALUE=DATE:${icsDate(start)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDays(maxIso(start, end), 1))}`, `SUMMARY:${icsText(summary)}`, description && `DESCRIPTION:${icsText(description)}`,
+      `CATEGORIES:${icsText(category)}`, "TRANSP:TRANSPARENT", "X-MICROSOFT-CDO-BUSYSTATUS:FREE", "END:VEVENT"].filter(Boolean));
+  };
+  (state.milestones || []).forEach((m, k) => add(`milestone.${m.id ?? k}`, `${m.name || `Meilenstein ${k + 1}`} (${title})`, m.date, m.date, "Meilenstein"));
+  computed.forEach((c, i) => {
+    const name = c.name?.trim() || `Phase ${i + 1}`;
+    if (includePhases) add(`phase.${c.id}`, `${name} (${title})`, c.start, c.end, "Phase", `${fmtDeNumber(c.personDays)} Personentage`);
+    if (!c.goLive) return;
+    add(`golive.${c.id}`, `GoLive: ${name} (${title})`, c.end, c.end, "GoLive");
+    (c.post || []).forEach((b) => add(`post.${c.id}.${b.id}`, `${b.name}: ${name} (${title})`, b.start, b.end, b.id === HYPERCARE_ID ? "Hypercare" : "Nach dem GoLive", `${fmtWeeks(b.weeks)} nach dem GoLive`));
+  });
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Projektplan-Webapp//Roadmap//DE", "CALSCALE:GREGORIAN", "METHOD:PUBLISH", `X-WR-CALNAME:${icsText(title)}`, ...events.flat(), "END:VCALENDAR"];
+  return `${lines.map(icsFold).join("\r\n")}\r\n`;
 }
 
-// Alle Tage zwischen zwei Daten
-function enumerateDates(startIso, endIso) {
-  const res = [];
-  let cur = startIso;
-  while (new Date(cur + "T00:00:00") <= new Date(endIso + "T00:00:00")) {
-    res.push(cur);
-    cur = addDays(cur, 1);
+// ===== Link teilen: Plan komprimiert im URL-Fragment (#plan=…), Empfänger sieht ihn schreibgeschützt =====
+export const SHARE_HASH_PREFIX = "#plan=";
+
+// LZW über Bytes mit wachsender Codebreite (9…16 Bit, Wörterbuch bis 65 536 Einträge) – kein Zusatzpaket nötig
+export function lzwCompress(bytes) {
+  const dict = new Map(); let next = 256; const out = []; let acc = 0; let nbits = 0; let count = 0;
+  const emit = (code) => {
+    const width = Math.min(16, (255 + count++).toString(2).length);
+    acc = (acc << width) | code; nbits += width;
+    while (nbits >= 8) { nbits -= 8; out.push((acc >>> nbits) & 255); }
+    acc &= (1 << nbits) - 1;
+  };
+  if (!bytes.length) return new Uint8Array(0);
+  let w = bytes[0];
+  for (let i = 1; i < bytes.length; i++) {
+    const key = w * 256 + bytes[i];
+    if (dict.has(key)) { w = dict.get(key); continue; }
+    emit(w); if (next < 65536) dict.set(key, next++);
+    w = bytes[i];
   }
-  return res;
+  emit(w);
+  if (nbits > 0) out.push((acc << (8 - nbits)) & 255);
+  return Uint8Array.from(out);
 }
 
-// Farb-Utility: Nur #RGB / #RRGGBB zulassen, sonst Fallback
-function sanitizeHexColor(c, fallback) {
-  const re = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
-  return typeof c === "string" && re.test(c) ? c : fallback;
+// Wörterbuch als Präfix-Code + letztes Byte (keine kopierten Arrays); Abbruch über maxBytes schützt vor aufgeblähten Links
+export const SHARE_MAX_BYTES = 4 * 1024 * 1024;
+
+export function lzwDecompress(bytes, maxBytes = SHARE_MAX_BYTES) {
+  const prefix = new Int32Array(65536); const last = new Uint8Array(65536); const first = new Uint8Array(65536); const len = new Uint32Array(65536);
+  for (let i = 0; i < 256; i++) { prefix[i] = -1; last[i] = first[i] = i; len[i] = 1; }
+  let size = 256; let out = new Uint8Array(1024); let n = 0;
+  let acc = 0; let nbits = 0; let pos = 0; let prev = -1;
+  for (let count = 0; ; count++) {
+    const width = Math.min(16, (255 + count).toString(2).length);
+    while (nbits < width && pos < bytes.length) { acc = ((acc << 8) | bytes[pos++]) & 0xffffff; nbits += 8; }
+    if (nbits < width) break; // nur noch Füllbits
+    nbits -= width; const code = (acc >>> nbits) & ((1 << width) - 1);
+    if (code > size || (code === size && prev < 0)) throw new Error("Ungültige Daten im Link");
+    if (prev >= 0 && size < 65536) { prefix[size] = prev; first[size] = first[prev]; last[size] = code === size ? first[prev] : first[code]; len[size] = len[prev] + 1; size++; }
+    const l = len[code];
+    if (n + l > maxBytes) throw new Error("Ungültige Daten im Link");
+    if (n + l > out.length) { const grown = new Uint8Array(Math.min(maxBytes, Math.max(out.length * 2, n + l))); grown.set(out); out = grown; }
+    for (let c = code, k = n + l - 1; k >= n; k--, c = prefix[c]) out[k] = last[c];
+    n += l; prev = code;
+  }
+  return out.slice(0, n);
 }
 
-// Berechnungs-Helfer (für Selbsttests)
-export function computePhaseDays(personDays, persons, daysPerWeekPerPerson) {
-  const denom = (Number(persons) || 0) * (Number(daysPerWeekPerPerson) || 0);
-  const weeks = denom > 0 ? (Number(personDays) || 0) / denom : 0;
-  const days = Math.max(1, Math.ceil(weeks * 7));
-  return { weeks, days };
+function utf8Decode(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; ) {
+    const b = bytes[i];
+    const n = b < 0x80 ? 1 : b >= 0xf0 ? 4 : b >= 0xe0 ? 3 : 2;
+    let c = n === 1 ? b : b & (0xff >> (n + 1));
+    for (let k = 1; k < n; k++) c = (c << 6) | (bytes[i + k] & 63);
+    s += String.fromCodePoint(c); i += n;
+  }
+  return s;
 }
 
-export function computeBackwardStart(endIso, durationDays) {
-  const d = Math.max(1, Number(durationDays) || 1);
-  return subDays(endIso, d - 1);
+const toBase64Url = (bytes) => { let bin = ""; for (const b of bytes) bin += String.fromCharCode(b); return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, ""); };
+const fromBase64Url = (s) => Uint8Array.from(atob(s.replace(/-/g, "+").replace(/_/g, "/")), (ch) => ch.charCodeAt(0));
+
+// Plan → Fragment-Inhalt („1.“ = Formatversion, danach LZW + Base64url)
+export function encodeSharedPlan(state) {
+  return `1.${toBase64Url(lzwCompress(utf8Bytes(serializeState(state))))}`;
 }
 
-// Gleichmäßige Verteilung von Personentagen auf n Kalendertage
-function distributePDUniform(totalPD, nDays) {
-  if (nDays <= 0) return 0;
-  return (Number(totalPD) || 0) / nDays;
+// URL-Fragment → { data, errors } wie parsePlanDocument; null, wenn das Fragment keinen geteilten Plan enthält
+export function decodeSharedPlan(hash) {
+  if (!String(hash || "").startsWith(SHARE_HASH_PREFIX)) return null;
+  const payload = hash.slice(SHARE_HASH_PREFIX.length);
+  if (!payload.startsWith("1.")) return { data: null, errors: ["Unbekanntes Link-Format – bitte die App aktualisieren."] };
+  let text;
+  try { text = utf8Decode(lzwDecompress(fromBase64Url(payload.slice(2)))); } catch { return { data: null, errors: ["Der Link ist unvollständig oder beschädigt."] }; }
+  return parsePlanDocument(text);
 }
 
-// Prozentposition einer Datumsspalte relativ zu einem Intervall (inkl.)
-export function leftPctForDate(rangeStart, rangeEnd, dateIso) {
-  const clamped = new Date(Math.min(Math.max(new Date(dateIso), new Date(rangeStart)), new Date(rangeEnd)));
-  const iso = toDateValue(clamped);
-  const total = Math.max(1, diffDaysInclusive(rangeStart, rangeEnd));
-  const offset = diffDaysInclusive(rangeStart, iso) - 1; // 0-based
-  return (offset / total) * 100;
+// ===== Dokument-Schema (Version, Migrationen, Validierung) =====
+export const SCHEMA_VERSION = 3;
+export const AGG_MODES = ["day", "week", "month"];
+
+const isIsoDate = (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v) && toDateValue(new Date(v + "T00:00:00")) === v;
+
+// Feldbeschreibungen: type = string | number | boolean | date | color | enum | array (items = Unterschema)
+const PHASE_SCHEMA = {
+  id: { type: "id" },
+  parentId: { type: "string" },
+  name: { type: "string" },
+  personDays: { type: "number", min: 0 },
+  personDaysOptimistic: { type: "number", min: 0 },
+  personDaysPessimistic: { type: "number", min: 0 },
+  persons: { type: "number", min: 0 },
+  daysPerWeekPerPerson: { type: "number", min: 0, max: 7 },
+  goLive: { type: "boolean" },
+  hypercareWeeks: { type: "number", min: 0 },
+  hypercarePD: { type: "number", min: 0 },
+  hypercareBlocking: { type: "boolean" },
+  postBlocks: { type: "array", items: { id: { type: "id" }, name: { type: "string" }, weeks: { type: "number", min: 0 }, personDays: { type: "number", min: 0 }, blocking: { type: "boolean" }, color: { type: "color" } } },
+  color: { type: "color" },
+  endOverride: { type: "date", empty: true },
+  deps: { type: "array", items: { from: { type: "id", required: true }, type: { type: "enum", values: DEP_TYPES.map(([t]) => t) }, lag: { type: "number" } } },
+  assignments: { type: "array", items: { resourceId: { type: "string", required: true }, daysPerWeek: { type: "number", min: 0, max: 7 } } },
+  dailyRate: { type: "number", min: 0 },
+  percentComplete: { type: "number", min: 0, max: 100 },
+  actualStart: { type: "date", empty: true },
+  actualFinish: { type: "date", empty: true },
+};
+
+export const PLAN_SCHEMA = {
+  version: { type: "number", min: 1 },
+  chartTitle: { type: "string" },
+  startDate: { type: "date", required: true },
+  phaseCount: { type: "number", min: 0 },
+  phases: { type: "array", required: true, items: PHASE_SCHEMA },
+  orgColor: { type: "color" },
+  orgBorderColor: { type: "color" },
+  hypercareColor: { type: "color" },
+  hypercareBorderColor: { type: "color" },
+  aggMode: { type: "enum", values: AGG_MODES },
+  timeScale: { type: "enum", values: Object.keys(TIME_SCALES) },
+  milestoneCount: { type: "number", min: 0 },
+  milestones: { type: "array", items: {
+    id: { type: "id" }, name: { type: "string" }, date: { type: "date", empty: true }, type: { type: "enum", values: Object.keys(MILESTONE_TYPES) },
+    anchorPhaseId: { type: "string" }, anchorEdge: { type: "enum", values: ["start", "end"] }, anchorLag: { type: "number" },
+  } },
+  calendarMode: { type: "enum", values: ["calendar", "workdays"] },
+  holidayRegion: { type: "enum", values: BUNDESLAENDER.map(([code]) => code) },
+  closures: { type: "array", items: { name: { type: "string" }, start: { type: "date", empty: true }, end: { type: "date", empty: true } } },
+  showCriticalPath: { type: "boolean" },
+  showLoadStrip: { type: "boolean" },
+  collapsed: { type: "array" },
+  resources: { type: "array", items: {
+    id: { type: "string" }, name: { type: "string" }, role: { type: "string" },
+    capacity: { type: "number", min: 0, max: 7 }, dailyRate: { type: "number", min: 0 },
+    absences: { type: "array", items: { start: { type: "date", required: true }, end: { type: "date", required: true } } },
+  } },
+  budget: { type: "number", min: 0 },
+  defaultDailyRate: { type: "number", min: 0 },
+  baselines: { type: "array", items: { id: { type: "string" }, name: { type: "string" }, projEnd: { type: "date", empty: true }, items: { type: "array", required: true } } },
+  activeBaselineId: { type: "string" },
+  forecastRuns: { type: "number", min: 0 },
+  forecastSeed: { type: "number" },
+  scenarios: { type: "array", items: {
+    id: { type: "string" }, name: { type: "string" },
+    overrides: { type: "array", items: {
+      phaseId: { type: "id", required: true }, persons: { type: "number", min: 0 }, personDays: { type: "number", min: 0 },
+      daysPerWeekPerPerson: { type: "number", min: 0, max: 7 }, goLive: { type: "boolean" },
+    } },
+  } },
+};
+
+function checkField(spec, v, path, errors) {
+  const fail = (msg) => errors.push(`${path}: ${msg} (${JSON.stringify(v)})`);
+  switch (spec.type) {
+    case "string": if (typeof v !== "string") fail("Text erwartet"); break;
+    case "id": if (!(typeof v === "string" && v !== "") && !Number.isFinite(v)) fail("ID (Text) erwartet"); break;
+    case "boolean": if (typeof v !== "boolean") fail("true/false erwartet"); break;
+    case "color": if (!sanitizeHexColor(v, null)) fail("Farbe im Format #RRGGBB erwartet"); break;
+    case "enum": if (!spec.values.includes(v)) fail(`unbekannter Wert – erlaubt: ${spec.values.map((x) => `"${x}"`).join(", ")}`); break;
+    case "date": if (!(spec.empty && v === "") && !isIsoDate(v)) fail("kein gültiges Datum (JJJJ-MM-TT)"); break;
+    case "number": {
+      const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+      if (typeof n !== "number" || !Number.isFinite(n)) fail("Zahl erwartet");
+      else if (spec.min === 0 && n < 0) fail("darf nicht negativ sein");
+      else if (spec.min != null && n < spec.min) fail(`muss mindestens ${spec.min} sein`);
+      else if (spec.max != null && n > spec.max) fail(`darf höchstens ${spec.max} sein`);
+      break;
+    }
+    case "array":
+      if (!Array.isArray(v)) { fail("Liste erwartet"); break; }
+      if (spec.items) v.forEach((it, i) => checkObject(spec.items, it, `${path}[${i}]`, errors));
+      break;
+    default: break;
+  }
 }
 
-// Prüfen, ob Datum innerhalb Intervall (inkl.)
-export function dateWithin(dateIso, startIso, endIso) {
-  const d = new Date(dateIso + "T00:00:00");
-  return d >= new Date(startIso + "T00:00:00") && d <= new Date(endIso + "T00:00:00");
+function checkObject(schema, obj, path, errors) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) { errors.push(`${path || "Dokument"}: Objekt erwartet`); return; }
+  for (const [key, spec] of Object.entries(schema)) {
+    const p = path ? `${path}.${key}` : key;
+    if (obj[key] == null) { if (spec.required) errors.push(`${p}: Pflichtfeld fehlt`); continue; }
+    checkField(spec, obj[key], p, errors);
+  }
+}
+
+/** Prüft ein (migriertes) Plan-Dokument gegen PLAN_SCHEMA; liefert die Liste der Fehler (leer = gültig). */
+export function validatePlan(data) {
+  const errors = [];
+  checkObject(PLAN_SCHEMA, data, "", errors);
+  if (errors.length || !Array.isArray(data?.phases)) return errors;
+  // Querbezüge, die das Feldschema nicht abdeckt
+  const ids = new Set();
+  data.phases.forEach((p, i) => {
+    const id = String(p.id ?? i);
+    if (ids.has(id)) errors.push(`phases[${i}].id: doppelte ID (${JSON.stringify(p.id)})`); else ids.add(id);
+  });
+  data.phases.forEach((p, i) => {
+    (p.deps || []).forEach((d, j) => { if (!ids.has(String(d.from))) errors.push(`phases[${i}].deps[${j}].from: unbekannte Vorgängerphase (${JSON.stringify(d.from)})`); });
+    if (p.parentId && !ids.has(String(p.parentId))) errors.push(`phases[${i}].parentId: unbekannte Sammelphase (${JSON.stringify(p.parentId)})`);
+    if (p.actualStart && p.actualFinish && p.actualFinish < p.actualStart) errors.push(`phases[${i}].actualFinish: liegt vor Ist-Start (${p.actualFinish})`);
+  });
+  (data.closures || []).forEach((c, i) => { if (c.start && c.end && c.end < c.start) errors.push(`closures[${i}].end: liegt vor dem Beginn (${c.end})`); });
+  return errors;
+}
+
+// Migrationen: MIGRATIONS[v] hebt ein Dokument von Version v auf v + 1
+const MIGRATIONS = {
+  // v1 → v2: Abhängigkeiten explizit (vorher implizit sequentiell), Kalendermodus explizit
+  1: (d) => ({
+    ...d,
+    phases: Array.isArray(d.phases) ? d.phases.map((p, i) => ({ ...p, deps: Array.isArray(p?.deps) ? p.deps : i > 0 ? [{ from: i - 1, type: "FS", lag: 0 }] : [] })) : d.phases,
+    calendarMode: d.calendarMode ?? "calendar",
+  }),
+  // v2 → v3: stabile IDs statt Array-Index für Phasen und Meilensteine (Vorgänger + Basispläne umschlüsseln)
+  2: (d) => {
+    const ids = new Map();
+    const phases = Array.isArray(d.phases) ? d.phases.map((p, i) => { const id = makeId("ph"); ids.set(String(p?.id ?? i), id); return { ...p, id }; }) : d.phases;
+    const remap = (from) => (from == null ? from : ids.get(String(from)) ?? String(from));
+    const rekey = (key) => { const [type, old] = String(key).split(":"); return ids.has(old) ? baselineKey(type, ids.get(old)) : key; };
+    return {
+      ...d,
+      phases: Array.isArray(phases) ? phases.map((p) => (Array.isArray(p.deps) ? { ...p, deps: p.deps.map((x) => ({ ...x, from: remap(x?.from) })) } : p)) : phases,
+      milestones: Array.isArray(d.milestones) ? d.milestones.map((m) => ({ ...m, id: makeId("ms") })) : d.milestones,
+      baselines: Array.isArray(d.baselines) ? d.baselines.map((b) => (Array.isArray(b?.items) ? { ...b, items: b.items.map((it) => ({ ...it, key: rekey(it?.key) })) } : b)) : d.baselines,
+    };
+  },
+};
+
+/** Hebt ein Dokument beliebiger bekannter Version auf SCHEMA_VERSION; wirft bei unbekannter/neuerer Version. */
+export function migratePlan(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("Dokument ist kein Plan-Objekt");
+  let v = raw.version == null ? 1 : Number(raw.version); // Dateien ohne Versionsfeld entsprechen v1
+  if (!Number.isInteger(v) || v < 1) throw new Error(`Unbekannte Schema-Version ${JSON.stringify(raw.version)}`);
+  if (v > SCHEMA_VERSION) throw new Error(`Plan stammt aus einer neueren Version (Schema ${v}, unterstützt bis ${SCHEMA_VERSION})`);
+  let data = raw;
+  for (; v < SCHEMA_VERSION; v++) data = MIGRATIONS[v](data);
+  return { ...data, version: SCHEMA_VERSION };
+}
+
+/** JSON-Text → { data, errors }: data = migriertes Dokument (null, wenn unlesbar), errors = Fehlerliste */
+export function parsePlanDocument(text) {
+  let raw;
+  try { raw = JSON.parse(text); } catch (err) { return { data: null, errors: [`Kein gültiges JSON: ${err.message}`] }; }
+  let data;
+  try { data = migratePlan(raw); } catch (err) { return { data: null, errors: [err.message] }; }
+  return { data, errors: validatePlan(data) };
+}
+
+// ===== Undo/Redo-Verlauf über den gesamten Plan-Zustand =====
+export const HISTORY_LIMIT = 50;
+const HISTORY_COALESCE_MS = 800; // schnelle Folgeänderungen (Tippen) = ein Schritt
+
+// past = frühere Stände (neuester zuletzt), future = rückgängig gemachte Stände (nächster zuerst)
+export const historyRecord = (h, prev, limit = HISTORY_LIMIT) => ({ past: [...h.past, prev].slice(-limit), future: [] });
+
+export function historyUndo(h, current) {
+  if (!h.past.length) return null;
+  return { state: h.past[h.past.length - 1], history: { past: h.past.slice(0, -1), future: [current, ...h.future].slice(0, HISTORY_LIMIT) } };
+}
+
+export function historyRedo(h, current) {
+  if (!h.future.length) return null;
+  return { state: h.future[0], history: { past: [...h.past, current].slice(-HISTORY_LIMIT), future: h.future.slice(1) } };
 }
 
 function runSelfTests() {
@@ -189,203 +2183,1259 @@ function runSelfTests() {
     // T16: diffDaysInclusive Monatsende
     console.assert(diffDaysInclusive("2025-01-30", "2025-02-02") === 4, "T16");
 
+    // T17: Ostersonntag
+    console.assert(easterSunday(2025) === "2025-04-20" && easterSunday(2024) === "2024-03-31", "T17");
+    // T18: Feiertage je Bundesland
+    console.assert(germanHolidays(2025, "BY").has("2025-01-06") && !germanHolidays(2025, "BE").has("2025-01-06"), "T18a");
+    console.assert(germanHolidays(2025, "SN").get("2025-11-19") === "Buß- und Bettag", "T18b");
+    console.assert(germanHolidays(2025, "").size === 0, "T18c");
+    // T19: Arbeitstage über Ostern (Karfreitag + Ostermontag + Wochenenden)
+    const calBE = makeWorkCalendar({ mode: "workdays", region: "BE" });
+    console.assert(addWorkdays("2025-04-14", 10, calBE) === "2025-04-29", "T19a");
+    console.assert(computeBackwardStart("2025-04-29", 10, calBE) === "2025-04-14", "T19b");
+    // T20: Betriebsruhe über Weihnachten
+    const calXmas = makeWorkCalendar({ mode: "workdays", region: "DE", closures: [{ name: "Weihnachten", start: "2025-12-24", end: "2025-12-31" }] });
+    console.assert(addWorkdays("2025-12-22", 5, calXmas) === "2026-01-06", "T20a");
+    console.assert(nextWorkday("2025-12-24", calXmas) === "2026-01-02", "T20b");
+    // T21: Kalendertage-Modus unverändert
+    console.assert(addWorkdays("2025-01-01", 10) === "2025-01-10" && computePhaseDays(10, 1, 5).workDays === 10, "T21");
+
+    // T22: Abhängigkeiten – EA, AA (parallel) und EE mit Verzug
+    const ph = (id, deps, extra) => ({ id, name: `P${id}`, personDays: 10, persons: 1, daysPerWeekPerPerson: 5, deps, ...extra });
+    let sp = schedulePhases([ph(0, []), ph(1, [{ from: 0, type: "FS", lag: 2 }]), ph(2, [{ from: 0, type: "SS", lag: 0 }])], "2025-01-01");
+    console.assert(sp.computed[1].start === "2025-01-17" && sp.computed[2].start === "2025-01-01" && sp.issues.length === 0, "T22a");
+    sp = schedulePhases([ph(0, []), ph(1, [{ from: 0, type: "FF", lag: 3 }], { personDays: 2 })], "2025-01-01");
+    console.assert(sp.computed[1].end === "2025-01-17" && sp.links.length === 1, "T22b");
+    // T23: Zyklen werden gemeldet, Terminierung bricht nicht ab
+    sp = schedulePhases([ph(0, [{ from: 1, type: "FS", lag: 0 }]), ph(1, [{ from: 0, type: "FS", lag: 0 }]), ph(2, [{ from: 1, type: "FS", lag: 0 }])], "2025-01-01");
+    console.assert(sp.issues.length === 1 && sp.issues[0].includes("P1 → P0 → P1") && sp.computed.every(Boolean), "T23");
+    // T24: GoLive-Hypercare blockiert EA-Nachfolger
+    sp = schedulePhases([ph(0, [], { goLive: true }), ph(1, [{ from: 0, type: "FS", lag: 0 }])], "2025-01-01");
+    console.assert(sp.computed[0].hypercare.end === "2025-01-28" && sp.computed[1].start === "2025-01-29", "T24");
+    // T25: Kritischer Pfad & Puffer
+    sp = schedulePhases([ph(0, []), ph(1, [{ from: 0, type: "FS", lag: 0 }]), ph(2, [{ from: 0, type: "SS", lag: 0 }], { personDays: 5 })], "2025-01-01");
+    console.assert(sp.computed[0].critical && sp.computed[1].critical && !sp.computed[2].critical, "T25a");
+    console.assert(sp.computed[2].lateStart === "2025-01-22" && sp.computed[2].slack === 21, "T25b");
+    console.assert(workdayDiff("2025-04-17", "2025-04-22", calBE) === 1 && workdayDiff("2025-04-22", "2025-04-17", calBE) === -1, "T25c");
+    // T26: Ressourcen – abgeleitete Besetzung, Lastverteilung, Überlastung
+    const st = effectiveStaffing({ persons: 9, daysPerWeekPerPerson: 1, assignments: [{ resourceId: "a", daysPerWeek: 5 }, { resourceId: "b", daysPerWeek: 3 }] });
+    console.assert(st.persons === 2 && st.daysPerWeekPerPerson === 4 && st.assigned, "T26a");
+    const resA = { id: "a", capacity: 5, absences: [{ start: "2025-01-03", end: "2025-01-03" }] };
+    const rl = computeResourceLoad([
+      { start: "2025-01-01", end: "2025-01-10", personDays: 7, assignments: [{ resourceId: "a", daysPerWeek: 5 }] },
+      { start: "2025-01-06", end: "2025-01-06", personDays: 1, assignments: [] },
+    ], [resA], calBE);
+    console.assert(Math.abs(rl.byResource.a["2025-01-02"] - 1) < 1e-9 && rl.byResource[""]["2025-01-06"] === 1, "T26b");
+    console.assert(rl.overload.length === 1 && rl.overload[0].days.join() === "2025-01-03", "T26c");
+    // T27: Kosten – Ressourcen-, Phasen- und Standardtagessatz
+    const rc = computeResourceLoad([
+      { start: "2025-01-06", end: "2025-01-06", personDays: 1, dailyRate: 500, assignments: [{ resourceId: "a", daysPerWeek: 5 }] },
+      { start: "2025-01-07", end: "2025-01-07", personDays: 2, dailyRate: 0, assignments: [] },
+    ], [{ ...resA, dailyRate: 800 }], calBE, 600);
+    console.assert(rc.cost["2025-01-06"] === 800 && rc.cost["2025-01-07"] === 1200, "T27a");
+    console.assert(budgetExhaustedOn(["2025-01-06", "2025-01-07"], rc.cost, 1000) === "2025-01-07" && budgetExhaustedOn(["2025-01-06"], rc.cost, 0) === null, "T27b");
+    // T28: Basisplan & Abweichung
+    sp = schedulePhases([ph(0, [], { goLive: true })], "2025-01-01");
+    const bl = snapshotBaseline("BL", sp.computed, "2025-01-28");
+    console.assert(bl.items.length === 2 && bl.items[1].key === baselineKey("hypercare", 0), "T28a");
+    const vr = baselineVariance(bl.items[0], { start: "2024-12-30", end: "2025-01-17" });
+    console.assert(vr.startShift === -2 && vr.endShift === 3 && baselineVariance(undefined, bl.items[0]) === null, "T28b");
+    // T29: Fortschritt – Soll linear über Arbeitstage, Ist-Termine übersteuern die Planung
+    console.assert(expectedProgress("2025-01-06", "2025-01-17", "2025-01-10", calBE) === 50 && expectedProgress("2025-01-06", "2025-01-17", "2025-01-01") === 0, "T29a");
+    const behind = phasesBehindPlan([{ name: "A", start: "2025-01-06", end: "2025-01-17", percentComplete: 30 }, { name: "B", start: "2025-01-06", end: "2025-01-17", percentComplete: 60 }], "2025-01-10", calBE);
+    console.assert(behind.length === 1 && behind[0].name === "A" && behind[0].gap === 20, "T29b");
+    sp = schedulePhases([ph(0, [], { actualStart: "2025-01-03" }), ph(1, [{ from: 0, type: "FS", lag: 0 }], { actualFinish: "2025-01-31" })], "2025-01-01");
+    console.assert(sp.computed[0].start === "2025-01-03" && sp.computed[0].end === "2025-01-16" && sp.computed[1].end === "2025-01-31", "T29c");
+    console.assert(shadeHex("#fff", 0.5) === "#808080", "T29d");
+    // T30: Portfolio – gemeinsame Achse, kombinierte Burnrate gegen Kapazität
+    const pf = buildPortfolio([
+      { id: "x", name: "X", computed: [{ name: "A", start: "2025-01-06", end: "2025-01-10" }], daily: { "2025-01-06": 1, "2025-01-07": 1 } },
+      { id: "y", name: "Y", computed: [{ name: "B", start: "2025-02-03", end: "2025-02-07" }], daily: { "2025-01-07": 2 } },
+    ], "week", 2);
+    console.assert(pf.months.length === 2 && pf.lanes[1].bars[0].leftPx > pf.lanes[0].bars[0].leftPx, "T30a");
+    console.assert(pf.burnRows[0].label === "KW 02/2025" && pf.burnRows[0].value === 4 && pf.burnRows[0].capacity === 2 && pf.burnRows[0].over, "T30b");
+    // KW-Zuordnung und Balken nach der Sommerzeit-Umstellung (TZ=Europe/Berlin)
+    const pfDst = buildPortfolio([{ id: "z", name: "Z", computed: [{ name: "C", start: "2025-03-31", end: "2025-04-04" }], daily: { "2025-03-31": 3, "2025-04-04": 2 } }], "week", 4);
+    console.assert(pfDst.burnRows.length === 1 && pfDst.burnRows[0].label === "KW 14/2025" && pfDst.burnRows[0].weekdays === 5 && pfDst.burnRows[0].over && pfDst.lanes[0].bars[0].leftPx === 140, "T30c");
+
+    // T31: Schema – Migration v1 → aktuell, Validierung listet ungültige Felder
+    const v1 = migratePlan({ version: 1, startDate: "2025-01-01", phases: [{ name: "A" }, { name: "B" }] });
+    console.assert(v1.version === SCHEMA_VERSION && v1.phases[1].deps[0].from === v1.phases[0].id && v1.calendarMode === "calendar" && validatePlan(v1).length === 0, "T31a");
+    let threw = false; try { migratePlan({ version: SCHEMA_VERSION + 1 }); } catch { threw = true; }
+    console.assert(threw, "T31b");
+    const errs = validatePlan({ startDate: "2025-02-30", aggMode: "year", phases: [{ personDays: -5, deps: [{ from: 7 }] }] });
+    console.assert(errs.length === 3 && errs[0].startsWith("startDate") && errs[1].startsWith("phases[0].personDays") && errs[2].startsWith("aggMode"), "T31c");
+    console.assert(parsePlanDocument("{kaputt").data === null && parsePlanDocument('{"startDate":"2025-01-01","phases":[{"deps":[{"from":3}]}]}').errors[0].includes("unbekannte Vorgängerphase"), "T31d");
+
+    // T32: Verlauf – Undo/Redo, neue Änderung verwirft Redo, Begrenzung
+    let hist = historyRecord(historyRecord({ past: [], future: [] }, "a"), "b");
+    const u = historyUndo(hist, "c");
+    console.assert(u.state === "b" && u.history.future[0] === "c" && historyRedo(u.history, "b").state === "c", "T32a");
+    console.assert(historyRecord(u.history, "b").future.length === 0 && historyUndo({ past: [], future: [] }, "x") === null, "T32b");
+    hist = { past: [], future: [] }; for (let i = 0; i < 5; i++) hist = historyRecord(hist, i, 3);
+    console.assert(hist.past.join() === "2,3,4", "T32c");
+
+    // T33: Drag & Drop – Einrasten, Verschieben setzt Ende-Override, Länge ändert Personentage
+    console.assert(snapDragDays(50, 10, "week") === 7 && snapDragDays(-24, 10) === -2 && snapDragDays(20, 10, "week") === 0, "T33a");
+    const dp = { personDays: 10, persons: 1, daysPerWeekPerPerson: 5 };
+    const dc = { start: "2025-01-06", end: "2025-01-19" };
+    console.assert(barDragPatch(dp, dc, "move", 3).endOverride === "2025-01-22" && barDragPatch(dp, dc, "resize", 7).personDays === 15, "T33b");
+    const calWd = makeWorkCalendar({ mode: "workdays", region: "" });
+    const rp = barDragPatch(dp, { start: "2025-01-06", end: "2025-01-17" }, "resize", 3, calWd);
+    console.assert(rp.personDays === 11 && barDragPatch(dp, { start: "2025-01-06", end: "2025-01-17" }, "resize", 2, calWd) === null, "T33c");
+    console.assert(schedulePhases([{ ...ph(0, []), ...rp }], "2025-01-06", calWd).computed[0].end === "2025-01-20" && barDragPatch({ ...dp, actualStart: "2025-01-06" }, dc, "move", 7) === null, "T33d");
+
+    // T34: Stabile IDs – Migration schlüsselt Vorgänger/Basispläne um, Einfügen/Löschen verdrahtet die Kette neu
+    const v2 = migratePlan({ version: 2, startDate: "2025-01-01", phases: [{ id: 0, deps: [] }, { id: 1, deps: [{ from: 0, type: "FS", lag: 0 }] }], milestones: [{ id: 0, name: "M" }], baselines: [{ id: "b", items: [{ key: "phase:1", start: "2025-01-01", end: "2025-01-02" }] }] });
+    const [id0, id1] = v2.phases.map((x) => x.id);
+    console.assert(typeof id0 === "string" && id0 !== id1 && v2.phases[1].deps[0].from === id0 && v2.baselines[0].items[0].key === baselineKey("phase", id1) && typeof v2.milestones[0].id === "string", "T34a");
+    const chain = [{ id: "a", deps: [] }, { id: "b", deps: [{ from: "a", type: "FS", lag: 0 }] }, { id: "c", deps: [{ from: "b", type: "SS", lag: 1 }] }];
+    const ins = insertPhase(chain, 1, { id: "n", deps: [{ from: "a", type: "FS", lag: 0 }] });
+    console.assert(ins.map((x) => x.id).join() === "a,n,b,c" && ins[2].deps[0].from === "n" && ins[3].deps[0].from === "b", "T34b");
+    const rem = removePhase(chain, 1);
+    console.assert(rem.length === 2 && rem[1].deps.length === 1 && rem[1].deps[0].from === "a" && rem[1].deps[0].type === "SS" && rem[1].deps[0].lag === 1, "T34c");
+    console.assert(moveItem(["a", "b", "c"], 0, 2).join() === "b,c,a" && moveItem(["a", "b", "c"], 2, 0).join() === "c,a,b", "T34d");
+
+    // T35: Unterphasen – Sammelphase rollt Zeitraum/PT hoch, Kinder erben Vorgänger, Last ohne Doppelzählung
+    const tree = [
+      ph(0, []), ph(1, [], { parentId: 0, personDays: 5 }), ph(2, [{ from: 1, type: "FS", lag: 0 }], { parentId: 0, personDays: 5 }),
+      ph(3, [{ from: 0, type: "FS", lag: 0 }], { personDays: 5 }), ph(4, [{ from: 3, type: "FS", lag: 0 }]), ph(5, [], { parentId: 4, personDays: 5 }),
+    ];
+    sp = schedulePhases(tree, "2025-01-06");
+    console.assert(sp.computed[0].summary && sp.computed[0].start === "2025-01-06" && sp.computed[0].end === "2025-01-19" && sp.computed[0].personDays === 10, "T35a");
+    console.assert(sp.computed[3].start === "2025-01-20" && sp.computed[5].start === "2025-01-27" && sp.computed[4].end === "2025-02-02" && sp.issues.length === 0, "T35b");
+    console.assert(sp.computed[0].critical && sp.computed[1].critical && sp.computed[4].slack === 0, "T35c");
+    const tl = computeResourceLoad(sp.computed, []);
+    console.assert(Math.abs(Object.values(tl.total).reduce((a, b) => a + b, 0) - 20) < 1e-9, "T35d");
+    const nt = normalizePhaseTree([{ id: "c", parentId: "b" }, { id: "a", parentId: "" }, { id: "b", parentId: "a" }, { id: "d", parentId: "c" }, { id: "x", parentId: "zz" }]);
+    console.assert(nt.map((x) => x.id).join() === "a,b,c,d,x" && nt[3].parentId === "b" && nt[4].parentId === "", "T35e");
+    const flat = [{ id: "a" }, { id: "b" }, { id: "c" }];
+    const ind = indentPhase(flat, 1);
+    console.assert(ind[1].parentId === "a" && indentPhase(flat, 0) === flat && outdentPhase(ind, 1)[1].parentId === "" && subtreeEnd(ind, 0) === 2, "T35f");
+    console.assert(hiddenPhases(ind, ["a"]).join() === "false,true,false" && movePhaseBlock(ind, 0, 2).map((x) => x.id).join() === "c,a,b", "T35g");
+    // Umhängen entfernt Abhängigkeiten zur neuen Sammelphase (beide Richtungen), andere bleiben
+    const rep = [{ id: "a", deps: [{ from: "b", type: "FS", lag: 0 }] }, { id: "b", deps: [{ from: "a", type: "FS", lag: 0 }] }, { id: "c", deps: [{ from: "b", type: "FS", lag: 0 }] }];
+    const repInd = indentPhase(rep, 1); const repMoved = movePhaseBlock(indentPhase(rep, 1), 2, 1);
+    console.assert(repInd[0].deps.length === 0 && repInd[1].deps.length === 0 && repInd[2] === rep[2] && schedulePhases(repInd, "2025-01-06").issues.length === 0, "T35h");
+    console.assert(repMoved[1].id === "c" && repMoved[1].parentId === "a" && repMoved[1].deps.length === 1 && repMoved[0].deps.length === 0, "T35i");
+
+    // T36: Nach dem GoLive – Hypercare konfigurierbar, weitere Blöcke, Blockade nur durch blockierende Blöcke
+    const stab = { id: "s", name: "Stabilisierung", weeks: 2, personDays: 0, blocking: true, color: "#FEF3C7" };
+    sp = schedulePhases([ph(0, [], { goLive: true, hypercareWeeks: 1, hypercarePD: 7, hypercareBlocking: false, postBlocks: [stab] }), ph(1, [{ from: 0, type: "FS", lag: 0 }])], "2025-01-01");
+    console.assert(sp.computed[0].hypercare.end === "2025-01-21" && sp.computed[0].post[1].start === "2025-01-22" && sp.computed[0].blockEnd === "2025-02-04", "T36a");
+    console.assert(sp.computed[1].start === "2025-02-05" && sp.links[0].via === "s" && sp.computed[0].critical, "T36b");
+    const pl = computeResourceLoad(sp.computed, []);
+    console.assert(pl.total["2025-01-15"] === 1 && Math.abs(Object.values(pl.total).reduce((a, b) => a + b, 0) - 27) < 1e-9, "T36c");
+    sp = schedulePhases([ph(0, [], { goLive: true, hypercareBlocking: false }), ph(1, [{ from: 0, type: "FS", lag: 0 }])], "2025-01-01");
+    console.assert(sp.computed[0].hypercare.end === "2025-01-28" && sp.computed[1].start === "2025-01-15" && sp.links[0].via === null, "T36d");
+    sp = schedulePhases([ph(0, [], { goLive: true, hypercareWeeks: 0 })], "2025-01-01");
+    console.assert(sp.computed[0].hypercare === null && sp.computed[0].blockEnd === sp.computed[0].end, "T36e");
+    console.assert(postBlockKey(0, "s") === "post:0/s" && postBlockKey(0, HYPERCARE_ID) === baselineKey("hypercare", 0) && fmtWeeks(1.5) === "1,5 Wochen", "T36f");
+
+    // T37: Vektor-Export – Umbruch, SVG aus der Zeichenliste, PDF mit Seitenkacheln und WinAnsi-Text
+    console.assert(wrapText("Konzeption und Feinplanung", 12, 100).length === 2 && wrapText("", 12, 100).join() === "", "T37a");
+    const vs = { header: [{ unit: "month", segs: [{ label: "Jan 2025", leftPx: 0, widthPx: 2000, rightPx: 2000 }] }], gridLines: [2000], items: [{ type: "phase", label: "Bau & Test", leftPx: 10, widthPx: 300, color: "#D95017", border: "#D95017", goLive: true, progress: 50 }, { type: "phase", label: "Rollout", leftPx: 320, widthPx: 300, color: "#D95017", border: "#D95017", progress: 0 }], milestoneLane: [], links: [{ from: 0, to: 1, fromRow: 0, toRow: 1, type: "FS" }], totalWidthPx: 2000, todayPx: null, hasHierarchy: false };
+    const vd = roadmapDrawing(vs, { title: "Größe (€)", legend: [{ label: "Phase", color: "#D95017" }], table: { columns: ["Monat", "PT"], rows: [["2025-01", "20"]] } });
+    const svg = drawingToSvg(vd);
+    console.assert(svg.includes("Bau &amp; Test") && svg.includes(`width="${vd.width}"`) && vd.breaks.length >= 4, "T37b");
+    const pdf = drawingToPdf(vd, "A4", "Größe (€)"); const pdfText = String.fromCharCode(...pdf.slice(0, 8));
+    const pdfAll = Array.from(pdf, (b) => String.fromCharCode(b)).join("");
+    console.assert(pdfText.startsWith("%PDF-1.4") && /\/Count 3 /.test(pdfAll) && pdfAll.includes("(Gr\xf6\xdfe \\(\x80\\))"), "T37c");
+    // breite Tabelle (z. B. Burnrate je Tag mit vielen Ressourcen): eigene Seiten, Spaltengruppen, erste Spalte wiederholt
+    const wideCols = ["Tag", ...Array.from({ length: 12 }, (_, i) => `R${i + 1}`)];
+    const wd = roadmapDrawing(vs, { table: { columns: wideCols, rows: [["2025-01-06", ...wideCols.slice(1).map(() => "1")]] } });
+    const wideAll = Array.from(drawingToPdf(wd, "A4"), (b) => String.fromCharCode(b)).join("");
+    console.assert(/\/Count 5 /.test(wideAll) && wideAll.split("(Tag) Tj").length === 5 && wd.tableCols.length === 13, "T37d");
+
+    // T38: MS Project – Besetzung reproduziert die Dauer, Export → Import erhält die Termine
+    const sfd = staffingForDuration(10, 7, "workdays");
+    console.assert(computePhaseDays(sfd.personDays, sfd.persons, sfd.daysPerWeekPerPerson).workDays === 7 && parseMspdiDuration("PT7H30M0S") === 7.5, "T38a");
+    if (typeof DOMParser !== "undefined") {
+      const mcal = makeWorkCalendar({ mode: "workdays", region: "DE", closures: [{ name: "Ruhe", start: "2025-02-03", end: "2025-02-04" }] });
+      const mp = [ph("a", [], { persons: 2, daysPerWeekPerPerson: 2.5 }), ph("b", [{ from: "a", type: "FS", lag: 2 }], { personDays: 7, daysPerWeekPerPerson: 3 }), ph("c", [{ from: "a", type: "SS", lag: 0 }], { personDays: 3 })];
+      const msp = schedulePhases(mp, "2025-01-20", mcal);
+      const back = parseMspdi(buildMspdi({ chartTitle: "R&D", startDate: "2025-01-20", milestones: [{ name: "M", date: "2025-03-03" }] }, msp.computed, mcal)).data;
+      const bsp = schedulePhases(back.phases, back.startDate, makeWorkCalendar({ mode: back.calendarMode, region: back.holidayRegion, closures: back.closures }));
+      console.assert(back.chartTitle === "R&D" && back.milestones[0].date === "2025-03-03" && back.phases[0].persons === 2 && back.phases[1].deps[0].lag === 2, "T38b");
+      console.assert(bsp.computed.every((c, i) => c.start === msp.computed[i].start && c.end === msp.computed[i].end), "T38c");
+    }
+
+    // T39: Tabellen – CSV deutsch formatiert, xlsx als gültiges ZIP, CSV-Import mit Kopfzeile und Fehlern
+    const tcsv = tableToCsv({ columns: [{ label: "Phase", type: "text" }, { label: "PT", type: "number" }], rows: [['A;"B"', 12.5]] });
+    console.assert(tcsv === '\ufeffPhase;PT\r\n"A;""B""";12,5\r\n' && crc32(utf8Bytes("123456789")) === 0xcbf43926, "T39a");
+    const xl = buildXlsx([phaseExportTable(sp.computed), { name: "Phasen", columns: [{ label: "Tag", type: "date" }], rows: [["2025-01-01"]] }]);
+    const xlText = Array.from(xl, (b) => String.fromCharCode(b)).join("");
+    console.assert(xl[0] === 0x50 && xl[1] === 0x4b && xlText.includes('name="Phasen 2"') && xlText.includes("<v>45658</v>") && xlText.includes("xl/worksheets/sheet2.xml"), "T39b");
+    const pcsv = parsePhaseCsv('Arbeitspaket;Aufwand (PT);Personen;GoLive\r\n"Konzept; Design";12,5;2;\r\nBuild;viel;1;\r\nRollout;1.234,5;;ja\r\n');
+    console.assert(pcsv.phases.length === 2 && pcsv.phases[0].name === "Konzept; Design" && pcsv.phases[0].personDays === 12.5 && pcsv.phases[1].personDays === 1234.5 && pcsv.phases[1].persons === 1 && pcsv.phases[1].goLive, "T39c");
+    console.assert(pcsv.errors.length === 1 && pcsv.errors[0].startsWith("Zeile 3") && parsePhaseCsv("Analyse\t10\t2\t4").phases[0].daysPerWeekPerPerson === 4, "T39d");
+    const inj = tableToCsv({ columns: [{ label: "Phase", type: "text" }, { label: "PT", type: "number" }], rows: [["=HYPERLINK(1)", -2], ["@SUM(A1)", 1], ["-1+1", 0]] });
+    console.assert(inj.split("\r\n").slice(1, 4).join("|") === "'=HYPERLINK(1);-2|'@SUM(A1);1|'-1+1;0", "T39e");
+
+    // T40: iCalendar – ganztägige Termine (Ende exklusiv), stabile UIDs, Maskierung und Zeilenfaltung
+    const isp = schedulePhases([ph("g", [], { goLive: true, hypercareWeeks: 1 })], "2025-01-01");
+    const ics = buildIcs({ chartTitle: "Rollout; Welle 1", milestones: [{ id: "ms-1", name: "Abnahme", date: "2025-02-03" }] }, isp.computed, { projectId: "p1", includePhases: true, stamp: new Date(Date.UTC(2025, 0, 1)) });
+    const ics2 = buildIcs({ chartTitle: "Rollout; Welle 1", milestones: [{ id: "ms-1", name: "Abnahme", date: "2025-02-10" }] }, isp.computed, { projectId: "p1", includePhases: true });
+    const uids = (txt) => txt.split("\r\n").filter((l) => l.startsWith("UID:"));
+    console.assert((ics.match(/BEGIN:VEVENT/g) || []).length === 4 && ics.includes("UID:p1.milestone.ms-1@projektplan-webapp") && ics.includes("DTSTART;VALUE=DATE:20250203\r\nDTEND;VALUE=DATE:20250204"), "T40a");
+    console.assert(ics.includes("X-WR-CALNAME:Rollout\\; Welle 1") && ics.includes("CATEGORIES:Hypercare") && uids(ics).join() === uids(ics2).join(), "T40b");
+    console.assert(icsFold("X".repeat(160)).split("\r\n").map((l) => l.length).join() === "75,75,12", "T40c");
+    const seq = (txt) => Number(txt.match(/\r\nSEQUENCE:(\d+)\r\n/)[1]);
+    console.assert(ics.includes("DTSTAMP:20250101T000000Z\r\nSEQUENCE:157852800\r\n") && seq(ics2) > seq(ics), "T40d");
+
+    // T41: Link teilen – LZW verlustfrei (auch Umlaute/Emoji), Plan übersteht den Weg durch das URL-Fragment
+    const lzIn = utf8Bytes(`${"Phase Größe 😀 ".repeat(300)}ABABABA`);
+    console.assert(utf8Decode(lzwDecompress(lzwCompress(lzIn))) === utf8Decode(lzIn) && lzwCompress(lzIn).length < lzIn.length / 5, "T41a");
+    const shareHash = SHARE_HASH_PREFIX + encodeSharedPlan({ chartTitle: "Teilen & Co.", startDate: "2025-01-01", phases: [ph("a", [])], milestones: [] });
+    const shared = decodeSharedPlan(shareHash);
+    console.assert(/^#plan=1\.[A-Za-z0-9_-]+$/.test(shareHash) && shared.data.chartTitle === "Teilen & Co." && shared.data.phases[0].id === "a", "T41b");
+    console.assert(decodeSharedPlan("#foo") === null && decodeSharedPlan("#plan=1.@@").data === null && decodeSharedPlan(shareHash.slice(0, -6)).data === null, "T41c");
+    console.assert((() => { try { lzwDecompress(lzwCompress(utf8Bytes("A".repeat(5000))), 4000); return false; } catch { return true; } })(), "T41d");
+
+    // T42: Zoomstufen – Monat wie bisher (min. 140 px), Kopf zweizeilig, Jahreszoom passt mehrere Jahre auf eine Seite
+    const zm = buildTimeScale("2025-01-15", "2025-03-10", "month");
+    console.assert(zm.viewStart === "2025-01-01" && zm.viewEnd === "2025-03-31" && zm.pxPerDay === 5 && zm.header[0].segs.map((x) => x.label).join() === "Q1 2025" && zm.header[1].segs.length === 3 && zm.gridLines.join() === "155,295,450", "T42a");
+    const zw = buildTimeScale("2025-01-15", "2025-01-20", "week");
+    console.assert(unitStart("2025-01-01", "week") === "2024-12-30" && unitEnd("2025-02-10", "quarter") === "2025-03-31" && zw.header[1].segs[0].label === "KW 1" && zw.header[1].segs[0].widthDays === 5, "T42b");
+    const zy = buildTimeScale("2025-03-01", "2034-06-30", "year"); const zd = buildTimeScale("2025-02-01", "2025-02-03", "day");
+    console.assert(zy.totalWidthPx <= 1000 && zy.header[0].segs.length === 10 && zy.header[1].segs[0].label === "Q1" && zd.header[1].segs.length === 28 && zd.header[1].segs[0].weekend && !zd.header[1].segs[2].weekend, "T42c");
+    // über die Sommerzeit-Umstellungen hinweg (schlägt nur in Zeitzonen mit Sommerzeit fehl, z. B. TZ=Europe/Berlin)
+    const dstSegs = timeSegments("day", "2025-03-01", "2025-11-30");
+    console.assert(diffDaysInclusive("2025-03-29", "2025-04-01") === 4 && diffDaysInclusive("2025-10-25", "2025-10-27") === 3 && dstSegs[31].start === "2025-04-01" && dstSegs[31].offsetDays === 31 && dstSegs.at(-1).offsetDays === 274, "T42d");
+
+    // T43: Meilensteine – Verankerung an Phasen (mit Versatz), Zeile zeigt auch Termine außerhalb der Phasen
+    const ap = schedulePhases([ph("a", []), ph("b", [{ from: "a", type: "FS", lag: 0 }])], "2025-01-01");
+    const rm = resolveMilestones([{ name: "Go", date: "2024-01-01", anchorPhaseId: "b", anchorEdge: "end", anchorLag: 2 }, { name: "Kick-off", anchorPhaseId: "a", anchorEdge: "start", anchorLag: 0 }, { name: "Alt", date: "2025-06-01", anchorPhaseId: "x" }], ap.computed);
+    console.assert(rm[0].anchored && rm[0].date === addDays(ap.computed[1].end, 2) && rm[1].date === "2025-01-01" && rm[1].anchorLabel === "Start „Pa“" && !rm[2].anchored && rm[2].date === "2025-06-01", "T43a");
+    const lane = milestoneLane([...rm, { name: "Nachzügler", date: "2025-06-02", index: 3 }], "2025-01-01", 5);
+    console.assert(lane.length === 4 && lane[3].name === "Nachzügler" && lane[2].level === 0 && lane[3].level === 1 && lane[3].leftPx === 152 * 5, "T43b");
+    console.assert(milestoneSymbolPath("decision", 10, 10, 6) === "M 10 4 L 16 10 L 10 16 L 4 10 Z" && milestoneSymbolPath("unbekannt", 10, 10, 6) === starPath(10, 10, 6), "T43c");
+    console.assert(validatePlan({ startDate: "2025-01-01", phases: [], milestones: [{ id: "m", name: "M", date: "", type: "Sonstiges" }] })[0]?.startsWith("milestones[0].type"), "T43d");
+    // Meilensteine nach der Sommerzeit-Umstellung sitzen auf ihrem Tag (TZ=Europe/Berlin / America/Los_Angeles)
+    const laneDst = milestoneLane([{ name: "Frühling", date: "2025-03-31", index: 0 }, { name: "Herbst", date: "2025-10-27", index: 1 }], "2025-03-01", 4);
+    console.assert(laneDst[0].leftPx === 30 * 4 && laneDst[1].leftPx === 240 * 4, "T43e");
+    // T44: Burnrate je Phase (Nachlauf zur GoLive-Phase), kumulierte PT, Histogramm auf der Timeline-Skala
+    const ll = computeResourceLoad([
+      { id: "x", start: "2025-01-06", end: "2025-01-07", personDays: 4, assignments: [{ resourceId: "a", daysPerWeek: 5 }], post: [{ start: "2025-01-08", end: "2025-01-08", personDays: 1 }] },
+      { id: "y", start: "2025-01-07", end: "2025-01-07", personDays: 1, assignments: [] },
+    ], [{ id: "a", capacity: 5 }], calBE);
+    console.assert(ll.byPhase.x["2025-01-06"] === 2 && ll.byPhase.x["2025-01-08"] === 1 && ll.byPhase.y["2025-01-07"] === 1, "T44a");
+    const lb = aggregateBurn(["2025-01-06", "2025-01-07", "2025-01-08"], ll, ["a", ""], "week");
+    console.assert(lb.length === 1 && lb[0].byPhase.x === 5 && lb[0].byPhase.y === 1 && lb[0].cumValue === 6, "T44b");
+    const lh = loadHistogram(ll, "2025-01-01", "2025-01-31", 7);
+    console.assert(lh.bars.length === 3 && lh.bars[0].leftPx === 35 && lh.bars[0].over && !lh.bars[2].over && lh.bars[1].value === 3 && lh.max === 3, "T44c");
+    // KW-Grenzen und Säulenpositionen auch östlich von UTC und nach der Sommerzeit-Umstellung (TZ=Europe/Berlin)
+    const lhDst = loadHistogram({ total: { "2025-04-01": 1 }, byPhase: {}, overload: [] }, "2025-03-01", "2025-04-30", 2);
+    console.assert(burnBucket("2025-01-05", "week") === "KW 01/2025" && burnBucket("2025-01-06", "week") === "KW 02/2025" && burnBucket("2025-03-31", "week") === "KW 14/2025" && lhDst.bars[0].leftPx === 62, "T44d");
+    // T45: Szenarien – Überschreibungen nur in der Kopie, Vergleich gegen den Plan, Überlagerung
+    const scPhases = [ph("a", []), ph("b", [{ from: "a", type: "FS", lag: 0 }], { goLive: true, assignments: [{ resourceId: "r", daysPerWeek: 5 }] })];
+    const sc = { id: "s1", name: "Zweite Person", overrides: [{ phaseId: "b", persons: 2 }, { phaseId: "a", goLive: true }] };
+    const scApplied = applyScenario(scPhases, sc);
+    console.assert(scApplied[1].persons === 2 && scApplied[1].daysPerWeekPerPerson === 5 && scApplied[1].assignments.length === 0 && scPhases[1].assignments.length === 1 && scPhases[0].goLive === undefined, "T45a");
+    const cmp = compareScenarios(scPhases, "2025-01-01", [sc]);
+    console.assert(cmp.length === 2 && cmp[0].id === "" && cmp[1].endShift === 7 && cmp[1].pdDelta === 0 && cmp[1].goLives[1].date === "2025-02-04" && cmp[0].goLives.length === 1, "T45b");
+    const ov = scenarioOverlay(cmp, "week");
+    console.assert(ov.rows.length === 2 && ov.rows[1].bars.length === 2 && ov.rows[1].bars[1].widthPx === 7 * 7 && ov.ends.length === 2, "T45c");
+    // T46: Prognose – Seed reproduzierbar, Dreiecksverteilung in den Grenzen, ohne Spanne = Plan
+    const rA = mulberry32(7); const rB = mulberry32(7);
+    console.assert(rA() === rB() && rA() === rB() && triangularSample(2, 5, 11, 0) === 2 && Math.abs(triangularSample(2, 5, 11, 0.9999999) - 11) < 0.01 && triangularSample(5, 5, 5, 0.3) === 5, "T46a");
+    console.assert(threePoint({ personDays: 10, personDaysOptimistic: 12, personDaysPessimistic: 0 }).optimistic === 10 && !threePoint({ personDays: 10 }).spread && percentileIso(["2025-01-03", "2025-01-01", "2025-01-02"], 0.5) === "2025-01-02", "T46b");
+    const fcPhases = [ph("f1", [], { personDaysOptimistic: 5, personDaysPessimistic: 30 }), ph("f2", [{ from: "f1", type: "FS", lag: 0 }], { goLive: true, hypercareWeeks: 0 })];
+    const fc1 = createForecast(fcPhases, "2025-01-01", CALENDAR_DAYS, 42); fc1.run(10);
+    const fc2 = createForecast(fcPhases, "2025-01-01", CALENDAR_DAYS, 42); fc2.run(10);
+    const fs1 = forecastSummary(fc1);
+    console.assert(fc1.samples.projEnd.join() === fc2.samples.projEnd.join() && fs1.runs === 10 && fs1.projEnd.p50 <= fs1.projEnd.p80 && fs1.projEnd.p80 <= fs1.projEnd.p95 && fs1.goLives[0].phaseId === "f2" && fs1.phases.f2.p5 <= fs1.phases.f2.p95, "T46c");
+    const fc0 = createForecast([ph("g", [])], "2025-01-01"); fc0.run(2); const fs0 = forecastSummary(fc0);
+    console.assert(fs0.projEnd.p95 === fc0.planned.projEnd && fs0.projEnd.onTime === 1, "T46d");
+    // T47: Zielsuche – ganze Personen auf dem kritischen Pfad – bewusst nur ein kleiner Fall
+    const gsPhases = [ph("a", [], { personDays: 20 }), ph("b", [{ from: "a", type: "FS", lag: 0 }]), ph("c", [])];
+    const gs = goalSeekStaffing(gsPhases, "2025-01-01", CALENDAR_DAYS, { date: "2025-01-31" });
+    console.assert(gs.reached && gs.before === "2025-02-11" && gs.after === "2025-01-28" && gs.changes.length === 1 && gs.changes[0].id === "a" && gs.changes[0].to === 2 && gs.changes[0].daysAfter === 14 && gsPhases[0].persons === 1, "T47a");
+    console.assert([...predecessorClosure(gsPhases, "b")].sort().join() === "a,b", "T47b");
+
     console.debug("Projektplan-Webapp: Selbsttests OK");
   } catch (err) {
     console.warn("Projektplan-Webapp: Selbsttests Warnung", err);
   }
 }
 
-runSelfTests();
+// nur in Entwicklung und Tests – der Produktions-Build spart sich den Aufwand beim Laden
+if (process.env.NODE_ENV !== "production") runSelfTests();
 
-const defaultPhase = (i) => ({
-  id: i,
+const defaultPhase = (i, prevId) => ({
+  id: makeId("ph"), // stabil – Vorgänger und Basispläne verweisen darauf
+  parentId: "", // Sammelphase ("" = oberste Ebene)
   name: `Phase ${i + 1}`,
   personDays: 10,
+  personDaysOptimistic: 0, // Drei-Punkt-Schätzung (0 = wie Personentage) – nur für die Prognose
+  personDaysPessimistic: 0,
   persons: 1,
   daysPerWeekPerPerson: 5,
   goLive: false,
+  hypercareWeeks: 2, // Nach dem GoLive: Hypercare-Dauer (0 = keine)
+  hypercarePD: 0, // Personentage der Hypercare (fließen in die Burnrate)
+  hypercareBlocking: true, // Ende→Anfang-Nachfolger warten das Ende der Hypercare ab
+  postBlocks: [], // weitere Nachlauf-Blöcke: {id, name, weeks, personDays, blocking, color}
   color: "#D95017",
   endOverride: "", // optionales Ende → rückwärtsterminieren
+  deps: prevId != null ? [{ from: prevId, type: "FS", lag: 0 }] : [], // Vorgänger: {from: Phasen-ID, type: FS|SS|FF, lag}
+  assignments: [], // Ressourcen: {resourceId, daysPerWeek} – ersetzt Personen/Tage pro Woche
+  dailyRate: 0, // €/PT für nicht zugeordneten Aufwand (0 = Standardtagessatz)
+  percentComplete: 0, // Ist-Fortschritt in %
+  actualStart: "", // Ist-Start (übersteuert die Planung)
+  actualFinish: "", // Ist-Ende (Phase abgeschlossen)
+});
+
+// n Standardphasen als sequentielle Kette
+function defaultPhases(n) {
+  const list = [];
+  for (let i = 0; i < n; i++) list.push(defaultPhase(i, list[i - 1]?.id));
+  return list;
+}
+
+// Phase an Position `at` einfügen; hängt sie am Vorgänger, hängt die bisher folgende Phase nun an ihr
+export function insertPhase(phases, at, phase) {
+  const prev = phases[at - 1]; const next = phases[at];
+  const list = [...phases.slice(0, at), phase, ...phases.slice(at)];
+  if (!prev || !next || !(phase.deps || []).some((d) => d.from === prev.id)) return list;
+  return list.map((p) => (p === next ? { ...p, deps: (p.deps || []).map((d) => (d.from === prev.id ? { ...d, from: phase.id } : d)) } : p));
+}
+
+// Phase entfernen; ihre Nachfolger übernehmen deren Vorgänger (Art/Verzug der eigenen Verknüpfung bleibt)
+export function removePhase(phases, i) {
+  const gone = phases[i];
+  return phases.filter((_, idx) => idx !== i).map((p) => {
+    const link = (p.deps || []).find((d) => d.from === gone.id); if (!link) return p;
+    const rest = p.deps.filter((d) => d.from !== gone.id);
+    const inherited = (gone.deps || []).filter((g) => g.from !== p.id && !rest.some((d) => d.from === g.from)).map((g) => ({ from: g.from, type: link.type, lag: link.lag }));
+    return { ...p, deps: [...rest, ...inherited] };
+  });
+}
+
+export function moveItem(list, from, to) {
+  const arr = [...list]; const [it] = arr.splice(from, 1); arr.splice(to, 0, it);
+  return arr;
+}
+
+const defaultMilestone = (i) => ({
+  id: makeId("ms"),
+  name: `Meilenstein ${i + 1}`,
+  date: "",
+  type: "milestone", // Entscheidung, Abnahme, externer Termin … (MILESTONE_TYPES)
+  anchorPhaseId: "", // verankert an Start/Ende dieser Phase ("" = festes Datum)
+  anchorEdge: "end",
+  anchorLag: 0, // Arbeitstage nach (bzw. vor, negativ) dem Anker
 });
 
-const defaultMilestone = (i) => ({ id: i, name: `Meilenstein ${i + 1}`, date: "" });
+const defaultClosure = () => ({ name: "Betriebsruhe", start: "", end: "" });
+
+const defaultResource = (i) => ({ id: makeId("r"), name: `Ressource ${i + 1}`, role: "", capacity: 5, dailyRate: 0, absences: [] });
+
+function sanitizeResources(list) {
+  return list.map((r, i) => ({
+    id: String(r?.id || makeId("r")),
+    name: String(r?.name ?? `Ressource ${i + 1}`),
+    role: String(r?.role ?? ""),
+    capacity: Math.max(0, Number(r?.capacity ?? 5) || 0),
+    dailyRate: Math.max(0, Number(r?.dailyRate ?? 0) || 0),
+    absences: Array.isArray(r?.absences) ? r.absences.map((a) => ({ start: String(a?.start ?? ""), end: String(a?.end ?? "") })) : [],
+  }));
+}
+
+const sanitizeAssignments = (list) => (Array.isArray(list) ? list : [])
+  .map((a) => ({ resourceId: String(a?.resourceId ?? ""), daysPerWeek: Math.max(0, Number(a?.daysPerWeek) || 0) }))
+  .filter((a) => a.resourceId);
+
+function sanitizeBaselines(list) {
+  const isIso = (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v);
+  return list.filter((b) => b && Array.isArray(b.items)).map((b) => ({
+    id: String(b.id || makeId("b")),
+    name: String(b.name ?? "Basisplan"),
+    createdAt: String(b.createdAt ?? ""),
+    projEnd: isIso(b.projEnd) ? b.projEnd : "",
+    items: b.items.filter((it) => isIso(it?.start) && isIso(it?.end)).map((it) => ({ key: String(it.key), label: String(it.label ?? ""), start: it.start, end: it.end })),
+  }));
+}
+
+function sanitizeScenarios(list) {
+  const num = (v, max = Infinity) => (v == null || v === "" || !Number.isFinite(Number(v)) ? undefined : Math.min(max, Math.max(0, Number(v))));
+  return list.filter((sc) => sc && typeof sc === "object").map((sc) => ({
+    id: String(sc.id || makeId("sc")),
+    name: String(sc.name ?? "Szenario"),
+    overrides: (Array.isArray(sc.overrides) ? sc.overrides : []).filter((o) => o?.phaseId != null && o.phaseId !== "").map((o) => {
+      const out = { phaseId: String(o.phaseId), persons: num(o.persons), personDays: num(o.personDays), daysPerWeekPerPerson: num(o.daysPerWeekPerPerson, 7), goLive: typeof o.goLive === "boolean" ? o.goLive : undefined };
+      return Object.fromEntries(Object.entries(out).filter(([, v]) => v !== undefined));
+    }),
+  }));
+}
+
+function sanitizeClosures(list) {
+  return list.map((c) => ({ name: String(c?.name ?? "Betriebsruhe"), start: String(c?.start ?? ""), end: String(c?.end ?? "") }));
+}
+
+const sanitizePostBlocks = (list) => (Array.isArray(list) ? list : []).map((b, i) => ({
+  id: String(b?.id || makeId("pb")),
+  name: String(b?.name ?? POST_BLOCK_PRESETS[i % POST_BLOCK_PRESETS.length][0]),
+  weeks: Math.max(0, Number(b?.weeks ?? 0) || 0),
+  personDays: Math.max(0, Number(b?.personDays ?? 0) || 0),
+  blocking: !!b?.blocking,
+  color: sanitizeHexColor(b?.color ?? POST_BLOCK_PRESETS[i % POST_BLOCK_PRESETS.length][1], palette.accentLight),
+}));
+
+function sanitizePhases(list) {
+  const seen = new Set();
+  const ids = list.map((p) => { const id = p?.id != null && p.id !== "" && !seen.has(String(p.id)) ? String(p.id) : makeId("ph"); seen.add(id); return id; });
+  return normalizePhaseTree(list.map((p, i) => ({
+    id: ids[i],
+    parentId: p.parentId == null ? "" : String(p.parentId),
+    name: String(p.name ?? `Phase ${i + 1}`),
+    personDays: Number(p.personDays ?? 0),
+    personDaysOptimistic: Math.max(0, Number(p.personDaysOptimistic ?? 0) || 0),
+    personDaysPessimistic: Math.max(0, Number(p.personDaysPessimistic ?? 0) || 0),
+    persons: Number(p.persons ?? 0),
+    daysPerWeekPerPerson: Number(p.daysPerWeekPerPerson ?? 0),
+    goLive: !!p.goLive,
+    hypercareWeeks: Math.max(0, Number(p.hypercareWeeks ?? 2) || 0),
+    hypercarePD: Math.max(0, Number(p.hypercarePD ?? 0) || 0),
+    hypercareBlocking: p.hypercareBlocking !== false,
+    postBlocks: sanitizePostBlocks(p.postBlocks),
+    color: sanitizeHexColor(p.color ?? "#D95017", "#D95017"),
+    endOverride: String(p.endOverride ?? ""),
+    deps: Array.isArray(p.deps) ? sanitizeDeps(p.deps) : i > 0 ? [{ from: ids[i - 1], type: "FS", lag: 0 }] : [], // ohne `deps` sequenziell
+    assignments: sanitizeAssignments(p.assignments),
+    dailyRate: Math.max(0, Number(p.dailyRate ?? 0) || 0),
+    percentComplete: Math.min(100, Math.max(0, Number(p.percentComplete ?? 0) || 0)),
+    actualStart: String(p.actualStart ?? ""),
+    actualFinish: String(p.actualFinish ?? ""),
+  })));
+}
+
+const sanitizeMilestones = (list) => list.map((m, i) => ({
+  id: String(m.id || makeId("ms")), name: String(m.name ?? `Meilenstein ${i + 1}`), date: String(m.date ?? ""),
+  type: Object.keys(MILESTONE_TYPES).includes(m.type) ? m.type : "milestone",
+  anchorPhaseId: m.anchorPhaseId == null ? "" : String(m.anchorPhaseId), anchorEdge: m.anchorEdge === "start" ? "start" : "end", anchorLag: Math.round(Number(m.anchorLag) || 0),
+}));
+
+// Vollständiger Plan-Zustand eines neuen Projekts
+function defaultPlanState(today) {
+  return {
+    chartTitle: "Roadmap",
+    startDate: today,
+    phaseCount: 3,
+    phases: defaultPhases(3),
+    orgColor: palette.softBlue,
+    orgBorderColor: palette.softBlueBorder,
+    hypercareColor: palette.accentLight,
+    hypercareBorderColor: palette.orange,
+    aggMode: "day",
+    timeScale: "month",
+    milestoneCount: 0,
+    milestones: [],
+    calendarMode: "calendar",
+    holidayRegion: "DE",
+    closures: [],
+    showCriticalPath: true,
+    showLoadStrip: false,
+    collapsed: [],
+    resources: [],
+    budget: 0,
+    defaultDailyRate: 0,
+    baselines: [],
+    activeBaselineId: "",
+    forecastRuns: 1000,
+    forecastSeed: 1,
+    scenarios: [],
+  };
+}
+
+// Terminierung + Tageslast eines gespeicherten Plans (Portfolio-Sicht)
+export function summarizePlan(data) {
+  const list = (v) => (Array.isArray(v) ? v : []);
+  const cal = makeWorkCalendar({ mode: data.calendarMode, region: data.holidayRegion ?? "DE", closures: sanitizeClosures(list(data.closures)) });
+  const phases = sanitizePhases(list(data.phases));
+  const { computed } = schedulePhases(phases, data.startDate || toDateValue(new Date()), cal);
+  const load = computeResourceLoad(computed, sanitizeResources(list(data.resources)), cal, data.defaultDailyRate);
+  return { computed, daily: load.total };
+}
+
+// Zeitraum-Schlüssel der Burnrate-Aggregation (Tag / KW / Monat)
+export function burnBucket(iso, aggMode) {
+  if (aggMode === "week") { const { week, year } = getISOWeekParts(iso); return `KW ${String(week).padStart(2, "0")}/${year}`; }
+  return aggMode === "month" ? iso.slice(0, 7) : iso;
+}
+
+/**
+ * Portfolio: Phasenbalken aller Projekte auf einer gemeinsamen Monatsachse und
+ * kombinierte Burnrate je Zeitraum gegen eine Team-Wochenkapazität (PT, Mo–Fr).
+ * plans = [{ id, name, computed, daily }] (siehe summarizePlan)
+ */
+export function buildPortfolio(plans, aggMode, weeklyCapacity) {
+  let start = null; let end = null;
+  for (const pl of plans) {
+    for (const c of pl.computed) {
+      const e = c.post?.length ? c.post[c.post.length - 1].end : c.end;
+      if (!start || c.start < start) start = c.start; if (!end || e > end) end = e;
+    }
+  }
+  if (!start) return { lanes: plans.map((pl) => ({ id: pl.id, name: pl.name, bars: [] })), months: [], burnRows: [], totalWidthPx: 0 };
 
-// Persistenz
+  const viewStart = firstOfMonth(start); const viewEnd = lastOfMonth(end);
+  const months = []; let pxPerDay = 1;
+  for (let m = viewStart; m <= viewEnd; m = nextMonth(m)) {
+    const widthDays = diffDaysInclusive(m, lastOfMonth(m));
+    months.push({ label: formatMonthLabel(m), start: m, offsetDays: diffDaysInclusive(viewStart, m) - 1, widthDays });
+    pxPerDay = Math.max(pxPerDay, MIN_MONTH_LABEL_PX / widthDays);
+  }
+  const px = (iso) => Math.round((diffDaysInclusive(viewStart, iso) - 1) * pxPerDay);
+  const bar = (label, s, e, color, border, post) => ({ label, start: s, end: e, color, border, post, leftPx: px(s), widthPx: Math.max(1, Math.round(diffDaysInclusive(s, e) * pxPerDay)) });
+  const lanes = plans.map((pl) => ({
+    id: pl.id, name: pl.name,
+    bars: pl.computed.flatMap((c, i) => {
+      const label = c.name?.trim() || `Phase ${i + 1}`;
+      const color = sanitizeHexColor(c.color, palette.orange);
+      return [
+        bar(label, c.start, c.end, color, color, false),
+        ...(c.post || []).map((b) => (b.id === HYPERCARE_ID
+          ? bar(`${label} – ${b.name}`, b.start, b.end, palette.accentLight, palette.orange, true)
+          : bar(`${label} – ${b.name}`, b.start, b.end, b.color, shadeHex(b.color, 0.8), true))),
+      ];
+    }),
+  }));
+
+  const buckets = new Map();
+  for (const iso of enumerateDates(start, end)) {
+    const key = burnBucket(iso, aggMode);
+    const b = buckets.get(key) || { label: key, sortKey: iso, byProject: {}, value: 0, weekdays: 0 };
+    const wd = new Date(iso + "T00:00:00").getDay(); if (wd !== 0 && wd !== 6) b.weekdays += 1;
+    for (const pl of plans) { const v = pl.daily[iso] || 0; b.byProject[pl.id] = (b.byProject[pl.id] || 0) + v; b.value += v; }
+    buckets.set(key, b);
+  }
+  const burnRows = [...buckets.values()].map((b) => {
+    const capacity = weeklyCapacity > 0 ? (weeklyCapacity * b.weekdays) / 5 : null;
+    return { ...b, capacity, over: capacity !== null && b.value > capacity + 1e-6 };
+  });
+  return {
+    lanes, burnRows, totalWidthPx: Math.ceil(diffDaysInclusive(viewStart, viewEnd) * pxPerDay),
+    months: months.map((m) => ({ ...m, leftPx: Math.round(m.offsetDays * pxPerDay), widthPx: Math.round(m.widthDays * pxPerDay) })),
+  };
+}
+
+// Persistenz – ein Schlüssel je Projekt + Projektindex; LS_KEY ist der Einzelplan älterer Versionen
 const LS_KEY = "projektplan_state_v1";
+const PROJECTS_KEY = "projektplan_projects_v1";
+const projectKey = (id) => `projektplan_project_${id}`;
+const historyKey = (id) => `projektplan_history_${id}`;
+
+// Gespeicherter Verlauf eines Projekts (verworfen, wenn er zu einer anderen Schema-Version gehört)
+function loadHistory(id) {
+  const h = tryParse(localStorage.getItem(historyKey(id)) || "");
+  return h && h.version === SCHEMA_VERSION && Array.isArray(h.past) && Array.isArray(h.future) ? { past: h.past, future: h.future } : { past: [], future: [] };
+}
+
+// Verlauf speichern; ist der Speicher voll (QuotaExceededError), werden die ältesten Stände verworfen, bis er passt
+function saveHistory(id, h) {
+  for (let cur = h; ; ) {
+    try { localStorage.setItem(historyKey(id), JSON.stringify({ version: SCHEMA_VERSION, ...cur })); return; } catch {
+      if (!cur.past.length && !cur.future.length) { localStorage.removeItem(historyKey(id)); return; }
+      cur = { past: cur.past.slice(Math.ceil(cur.past.length / 2)), future: cur.future.slice(0, Math.floor(cur.future.length / 2)) };
+    }
+  }
+}
 
 function serializeState(state) {
-  return JSON.stringify({ version: 1, ...state });
+  return JSON.stringify({ ...state, version: SCHEMA_VERSION });
 }
 
 function tryParse(json) {
   try { return JSON.parse(json); } catch { return null; }
 }
 
+// Datei zum Herunterladen anbieten
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob); const a = document.createElement("a"); a.href = url; a.download = filename; a.click(); URL.revokeObjectURL(url);
+}
+
+const fmtEur = (x) => (x || 0).toLocaleString("de-DE", { style: "currency", currency: "EUR", maximumFractionDigits: 0 });
+
+// S-Kurve: kumulierte Plankosten je Tag gegen die Budgetlinie (SVG, skaliert auf Containerbreite)
+function SCurveChart({ points, budget }) {
+  if (points.length < 2) return null;
+  const W = 800, H = 220, L = 80, R = 16, T = 12, B = 26;
+  const last = points[points.length - 1].cum;
+  const maxY = Math.max(budget || 0, last, 1) * 1.05;
+  const x = (i) => L + (i / (points.length - 1)) * (W - L - R);
+  const y = (v) => T + (1 - v / maxY) * (H - T - B);
+  const path = points.map((p, i) => `${i ? "L" : "M"} ${x(i).toFixed(1)} ${y(p.cum).toFixed(1)}`).join(" ");
+  const monthTicks = points.map((p, i) => ({ iso: p.iso, i })).filter(({ iso, i }) => i === 0 || iso.endsWith("-01"));
+  const step = Math.max(1, Math.ceil(monthTicks.length / 12));
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ maxHeight: 260 }} role="img" aria-label="S-Kurve der kumulierten Kosten">
+      {[0, 0.5, 1].map((f) => (
+        <g key={`yt-${f}`}>
+          <line x1={L} x2={W - R} y1={y(maxY * f / 1.05)} y2={y(maxY * f / 1.05)} stroke={palette.grayLight} />
+          <text x={L - 6} y={y(maxY * f / 1.05) + 4} fontSize="10" textAnchor="end" fill={palette.grayDark}>{fmtEur(maxY * f / 1.05)}</text>
+        </g>
+      ))}
+      {monthTicks.filter((_, k) => k % step === 0).map(({ iso, i }) => (
+        <text key={`xt-${iso}`} x={x(i)} y={H - 8} fontSize="10" textAnchor="middle" fill={palette.grayDark}>{iso.slice(5, 7)}/{iso.slice(2, 4)}</text>
+      ))}
+      {budget > 0 && (
+        <g>
+          <line x1={L} x2={W - R} y1={y(budget)} y2={y(budget)} stroke={palette.critical} strokeDasharray="6 4" />
+          <text x={W - R} y={y(budget) - 4} fontSize="10" textAnchor="end" fill={palette.critical}>Budget</text>
+        </g>
+      )}
+      <path d={path} fill="none" stroke={palette.orange} strokeWidth={2} />
+      <line x1={L} x2={L} y1={T} y2={H - B} stroke={palette.gray} />
+    </svg>
+  );
+}
+
+const LOAD_STRIP_HEIGHT = 64; // Höhe des Auslastungs-Histogramms unter der Timeline (px)
+
+// Burnrate je Zeitraum als Säulen (gestapelt nach Phasenfarbe) + kumulierte Personentage als Linie (rechte Achse), Tooltip je Säule
+function BurnChart({ rows, series, showCost }) {
+  const [hover, setHover] = useState(null);
+  if (!rows.length) return null;
+  const W = 800, H = 240, L = 56, R = 64, T = 12, B = 26;
+  const fmt = (x) => (x || 0).toLocaleString("de-DE", { maximumFractionDigits: 1 });
+  const maxV = Math.max(...rows.map((r) => r.value), 0.1) * 1.1;
+  const maxC = Math.max(rows[rows.length - 1].cumValue, 0.1) * 1.05;
+  const slot = (W - L - R) / rows.length; const bw = Math.max(0.5, slot * (slot > 4 ? 0.8 : 1));
+  const y = (v) => T + (1 - v / maxV) * (H - T - B);
+  const yc = (v) => T + (1 - v / maxC) * (H - T - B);
+  const cx = (i) => L + (i + 0.5) * slot;
+  const line = rows.map((r, i) => `${i ? "L" : "M"} ${cx(i).toFixed(1)} ${yc(r.cumValue).toFixed(1)}`).join(" ");
+  const step = Math.max(1, Math.ceil(rows.length / 12));
+  const short = (l) => (l.startsWith("KW") ? l.slice(0, 5) : l.length === 7 ? `${l.slice(5)}/${l.slice(2, 4)}` : `${l.slice(8)}.${l.slice(5, 7)}.`);
+  const h = hover !== null ? rows[hover] : null;
+  return (
+    <div className="relative" onMouseLeave={() => setHover(null)}>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ maxHeight: 280 }} role="img" aria-label="Burnrate je Zeitraum">
+        {[0, 0.5, 1].map((f) => (
+          <g key={`yt-${f}`}>
+            <line x1={L} x2={W - R} y1={y(maxV * f / 1.1)} y2={y(maxV * f / 1.1)} stroke={palette.grayLight} />
+            <text x={L - 6} y={y(maxV * f / 1.1) + 4} fontSize="10" textAnchor="end" fill={palette.grayDark}>{fmt(maxV * f / 1.1)}</text>
+            <text x={W - R + 6} y={yc(maxC * f / 1.05) + 4} fontSize="10" fill={palette.black}>{fmt(maxC * f / 1.05)}</text>
+          </g>
+        ))}
+        <text x={L - 6} y={T - 2} fontSize="10" textAnchor="end" fill={palette.grayDark}>PT</text>
+        <text x={W - R + 6} y={T - 2} fontSize="10" fill={palette.black}>Σ PT</text>
+        {rows.map((r, i) => {
+          let acc = 0;
+          return (
+            <g key={`bc-${i}`} opacity={hover === null || hover === i ? 1 : 0.6}>
+              {series.filter((x) => r.byPhase[x.id]).map((x) => {
+                const v = r.byPhase[x.id]; const top = y(acc + v); const height = y(acc) - top; acc += v;
+                return <rect key={x.id} x={cx(i) - bw / 2} y={top} width={bw} height={height} fill={x.color} stroke="#ffffff" strokeWidth={slot > 4 ? 0.75 : 0} />;
+              })}
+            </g>
+          );
+        })}
+        <path d={line} fill="none" stroke={palette.black} strokeWidth={1.5} />
+        {rows.map((r, i) => (i % step === 0 ? <text key={`xt-${i}`} x={cx(i)} y={H - 8} fontSize="10" textAnchor="middle" fill={palette.grayDark}>{short(r.label)}</text> : null))}
+        {rows.map((r, i) => (
+          <rect key={`hit-${i}`} x={L + i * slot} y={T} width={slot} height={H - T - B} fill="transparent" onMouseEnter={() => setHover(i)}>
+            <title>{`${r.label}: ${fmt(r.value)} PT`}</title>
+          </rect>
+        ))}
+        <line x1={L} x2={L} y1={T} y2={H - B} stroke={palette.gray} />
+        <line x1={W - R} x2={W - R} y1={T} y2={H - B} stroke={palette.gray} />
+      </svg>
+      {h && (
+        <div className="pointer-events-none absolute top-0 z-10 rounded-lg border bg-white px-3 py-2 text-xs shadow" style={{ left: `${(cx(hover) / W) * 100}%`, transform: cx(hover) > W / 2 ? "translateX(-100%)" : undefined, borderColor: palette.grayLight, minWidth: 160 }}>
+          <div className="font-medium mb-1">{h.label}</div>
+          <div>Summe: {fmt(h.value)} PT</div>
+          <div>Kumuliert: {fmt(h.cumValue)} PT</div>
+          {showCost && <div>Kosten: {fmtEur(h.cost)} (kum. {fmtEur(h.cumCost)})</div>}
+          {series.filter((x) => h.byPhase[x.id]).map((x) => (
+            <div key={`tt-${x.id}`} className="flex items-center gap-1"><span className="inline-block w-2 h-2 rounded-sm" style={{ background: x.color }} />{x.name}: {fmt(h.byPhase[x.id])} PT</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Szenario-Vergleich: Kennzahlen je Szenario gegen den Plan + überlagerte Timelines (siehe scenarioOverlay)
+function ScenarioCompare({ results, overlay }) {
+  const fmt = (x) => (x || 0).toLocaleString("de-DE", { maximumFractionDigits: 1 });
+  const delta = (d, unit) => (Math.abs(d) < 1e-9 ? "±0" : `${d > 0 ? "+" : "−"}${fmt(Math.abs(d))} ${unit}`);
+  const base = results[0];
+  const laneH = 8; const rowH = 8 + results.length * laneH;
+  return (
+    <>
+      <div className="overflow-auto mb-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b" style={{ borderColor: palette.grayLight }}>
+              <th className="py-2 pr-2">Szenario</th>
+              <th className="py-2 pr-2">GoLive</th>
+              <th className="py-2 pr-2">Projektende</th>
+              <th className="py-2 pr-2">Personentage</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map((x) => (
+              <tr key={`scr-${x.id || "plan"}`} className="border-b last:border-b-0 align-top" style={{ borderColor: palette.grayLight }}>
+                <td className="py-2 pr-2 font-medium"><span className="inline-flex items-center gap-2"><span className="w-3 h-3 inline-block rounded-sm" style={{ background: x.color }} />{x.name}</span></td>
+                <td className="py-2 pr-2">
+                  {x.goLives.length === 0 ? "–" : x.goLives.map((g) => {
+                    const b = base.goLives.find((y) => y.phaseId === g.phaseId);
+                    return <div key={`scg-${x.id}-${g.phaseId}`}>{g.name}: {g.date}{x.id && b ? ` (${delta(diffDaysInclusive(b.date, g.date) - 1, "T")})` : ""}</div>;
+                  })}
+                </td>
+                <td className={`py-2 pr-2 ${x.endShift > 0 ? "text-red-800" : ""}`}>{x.projEnd}{x.id ? ` (${delta(x.endShift, "T")})` : ""}</td>
+                <td className="py-2 pr-2">{fmt(x.totalPD)}{x.id ? ` (${delta(x.pdDelta, "PT")})` : ""}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="w-full rounded-xl border border-[#E9E9E9] overflow-x-auto">
+        <div className="relative" style={{ display: "grid", gridTemplateColumns: `${labelColWidth}px ${overlay.totalWidthPx}px` }}>
+          <div className="h-[46px]" style={{ borderRight: `1px solid ${palette.grayLight}` }} />
+          <div className="relative h-[46px]">
+            {overlay.header.map((tier, k) => tier.segs.map((m, idx) => (
+              <div key={`sch-${tier.unit}-${idx}`} className={`absolute flex items-center overflow-hidden text-xs ${tier.unit === "day" ? "justify-center" : "px-2"} ${k === 0 ? "font-medium" : ""}`}
+                style={{ top: k === 0 ? 0 : 22, height: k === 0 ? 22 : 24, left: m.leftPx, width: m.widthPx, background: k === 1 && idx % 2 === 1 ? palette.grayLight : "transparent", color: k === 0 ? palette.black : palette.grayDark, whiteSpace: "nowrap" }}>{m.label}</div>
+            )))}
+          </div>
+          {overlay.rows.map((row) => (
+            <React.Fragment key={`scl-${row.id}`}>
+              <div className={`pr-3 text-right text-sm ${row.summary ? "font-semibold" : ""}`} style={{ borderRight: `1px solid ${palette.grayLight}`, borderTop: `1px solid ${palette.grayLight}`, lineHeight: `${rowH}px` }}>{row.label}</div>
+              <div className="relative" style={{ borderTop: `1px solid ${palette.grayLight}`, height: rowH }}>
+                {overlay.gridLines.map((x, i) => <div key={`scgl-${i}`} className="absolute" style={{ left: x, top: 0, bottom: 0, width: 1, background: palette.grayLight }} />)}
+                {row.bars.map((b, k) => (
+                  <React.Fragment key={`scb-${row.id}-${b.id || "plan"}`}>
+                    <div className="absolute rounded-sm" title={`${results[k].name}: ${b.start} – ${b.end}${b.goLive ? " (GoLive)" : ""}`} style={{ top: 4 + k * laneH, height: laneH - 2, left: b.leftPx, width: b.widthPx, background: b.color }} />
+                    {b.postWidthPx > 0 && <div className="absolute rounded-sm" style={{ top: 4 + k * laneH, height: laneH - 2, left: b.leftPx + b.widthPx, width: b.postWidthPx, background: b.color, opacity: 0.3 }} />}
+                  </React.Fragment>
+                ))}
+              </div>
+            </React.Fragment>
+          ))}
+          <div className="pr-3 text-right text-xs" style={{ borderRight: `1px solid ${palette.grayLight}`, borderTop: `1px solid ${palette.grayLight}`, color: palette.grayDark, lineHeight: "22px" }}>Projektende</div>
+          <div className="relative h-[22px]" style={{ borderTop: `1px solid ${palette.grayLight}` }}>
+            {overlay.ends.map((e, k) => (
+              <div key={`sce-${e.id || "plan"}`} className="absolute" title={`Projektende ${results[k].name}: ${e.date}`} style={{ left: e.leftPx - 1, top: 0, height: 22, width: 2, background: e.color }} />
+            ))}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+// Portfolio-Sicht: gestapelte Projekt-Timelines + kombinierte Burnrate
+function PortfolioView({ portfolio, aggMode, onAggMode, capacity, onCapacity, onOpen }) {
+  const fmt = (x) => (x || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+  const laneRowHeight = 26;
+  return (
+    <>
+      <section className="rounded-2xl border border-[#E9E9E9] shadow-sm p-5">
+        <h3 className="text-lg font-semibold mb-3">Portfolio-Timeline</h3>
+        <div className="w-full rounded-xl border border-[#E9E9E9] overflow-x-auto">
+          <div style={{ display: "grid", gridTemplateColumns: `${labelColWidth}px ${portfolio.totalWidthPx}px` }}>
+            <div className="h-[36px]" style={{ borderRight: `1px solid ${palette.grayLight}` }} />
+            <div className="relative h-[36px]">
+              {portfolio.months.map((m, idx) => (
+                <div key={`pm-${idx}`} className="absolute top-0 h-full flex items-center px-2 text-xs" style={{ left: m.leftPx, width: m.widthPx, background: idx % 2 === 0 ? "transparent" : palette.grayLight, color: palette.grayDark, whiteSpace: "nowrap" }}>{m.label}</div>
+              ))}
+            </div>
+            {portfolio.lanes.map((lane) => (
+              <React.Fragment key={`lane-${lane.id}`}>
+                <div className="pr-3 py-2 text-right text-sm font-semibold" style={{ borderRight: `1px solid ${palette.grayLight}`, borderTop: `1px solid ${palette.grayLight}` }}>
+                  <button type="button" className="underline" onClick={() => onOpen(lane.id)} title="Projekt öffnen">{lane.name}</button>
+                </div>
+                <div className="relative" style={{ borderTop: `1px solid ${palette.grayLight}`, height: Math.max(1, lane.bars.length) * laneRowHeight + 12 }}>
+                  {lane.bars.map((b, k) => (
+                    <div key={`pb-${lane.id}-${k}`} className="absolute rounded-md text-[10px] px-1 overflow-hidden whitespace-nowrap" title={`${b.label} • ${b.start} – ${b.end}`} style={{ top: 6 + k * laneRowHeight, height: laneRowHeight - 6, left: b.leftPx, width: b.widthPx, background: b.color, border: `1px solid ${b.border}`, color: b.post ? palette.black : "#ffffff", lineHeight: `${laneRowHeight - 8}px` }}>{b.label}</div>
+                  ))}
+                </div>
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+      </section>
+
+      <section className="rounded-2xl border border-[#E9E9E9] shadow-sm p-5">
+        <div className="flex flex-wrap items-center gap-3 mb-3">
+          <h3 className="text-lg font-semibold">Kapazitätssicht (alle Projekte)</h3>
+          <label className="ml-auto flex items-center gap-2 text-sm">Teamkapazität (PT/Woche)
+            <input type="number" min={0} step={1} className="h-9 w-24 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={capacity || ""} placeholder="–" onChange={(e) => onCapacity(Math.max(0, parseFloat(e.target.value || "0")))} />
+          </label>
+          <select className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={aggMode} onChange={(e) => onAggMode(e.target.value)}>
+            <option value="day">Tag</option>
+            <option value="week">Woche (KW)</option>
+            <option value="month">Monat</option>
+          </select>
+        </div>
+        <div className="overflow-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b" style={{ borderColor: palette.grayLight }}>
+                <th className="py-2 pr-2">Zeitraum</th>
+                {portfolio.lanes.map((l) => <th key={`ph-${l.id}`} className="py-2 pr-2">{l.name}</th>)}
+                <th className="py-2 pr-2">Summe PT</th>
+                {capacity > 0 && <th className="py-2 pr-2">Kapazität</th>}
+                {capacity > 0 && <th className="py-2 pr-2">Auslastung</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {portfolio.burnRows.map((r) => (
+                <tr key={`pr-${r.label}`} className={`border-b last:border-b-0 ${r.over ? "bg-red-50 text-red-800" : ""}`} style={{ borderColor: palette.grayLight }}>
+                  <td className="py-2 pr-2">{r.label}</td>
+                  {portfolio.lanes.map((l) => <td key={`pc-${r.label}-${l.id}`} className="py-2 pr-2">{fmt(r.byProject[l.id])}</td>)}
+                  <td className="py-2 pr-2 font-medium">{fmt(r.value)}</td>
+                  {capacity > 0 && <td className="py-2 pr-2">{fmt(r.capacity)}</td>}
+                  {capacity > 0 && <td className="py-2 pr-2">{r.capacity > 0 ? `${fmt((r.value / r.capacity) * 100)} %` : "–"}</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    </>
+  );
+}
+
 export default function ProjektplanWebapp() {
   const today = toDateValue(new Date());
 
+  // Projekte (je Projekt ein eigener localStorage-Schlüssel)
+  const [projects, setProjects] = useState([]); // {id,name}
+  const [activeProjectId, setActiveProjectId] = useState("");
+  const [view, setView] = useState("plan"); // 'plan' | 'portfolio'
+  const [portfolioCapacity, setPortfolioCapacity] = useState(0); // Team-PT je Woche (0 = ohne)
+  const [hydrated, setHydrated] = useState(false); // erst nach dem Laden autospeichern
+  const [shared, setShared] = useState(() => decodeSharedPlan(window.location.hash)); // geteilter Plan aus #plan=… ({ data, errors })
+  const readOnly = !!shared?.data; // Betrachter: nichts wird gespeichert, Bearbeiten gesperrt
+  const [portfolioAgg, setPortfolioAgg] = useState("month");
+  const [dialog, setDialog] = useState(null); // { title, intro, lines, info } – Fehlerdialog (Import/Laden), info = Hinweis
+  const [csvImport, setCsvImport] = useState(null); // { text } – CSV-Import der Phasenliste (Dialog offen)
+  const [historyInfo, setHistoryInfo] = useState({ past: 0, future: 0, rev: 0 });
+  const [dragSnap, setDragSnap] = useState("day"); // Raster beim Ziehen: 'day' | 'week'
+  const [exportPageFormat, setExportPageFormat] = useState("A4"); // PDF-Export: 'A4' | 'A3' (Querformat)
+  const [exportBurnTable, setExportBurnTable] = useState(false); // Burnrate-Tabelle in SVG/PDF aufnehmen
+  const [icsPhases, setIcsPhases] = useState(false); // Kalender-Export: Phasen als mehrtägige Termine
+  const [drag, setDrag] = useState(null); // { kind: 'move'|'resize'|'milestone', row, index, x0, dx }
+  const [rowDrag, setRowDrag] = useState(null); // Zeilen-Umsortierung in der Phasentabelle: { from, over }
+
   // State
   const [chartTitle, setChartTitle] = useState("Roadmap");
   const [startDate, setStartDate] = useState(today);
   const [phaseCount, setPhaseCount] = useState(3);
-  const [phases, setPhases] = useState(Array.from({ length: 3 }, (_, i) => defaultPhase(i)));
+  const [phases, setPhases] = useState(() => defaultPhases(3));
   const [orgColor, setOrgColor] = useState(palette.softBlue);
   const [orgBorderColor, setOrgBorderColor] = useState(palette.softBlueBorder);
   const [hypercareColor, setHypercareColor] = useState(palette.accentLight);
   const [hypercareBorderColor, setHypercareBorderColor] = useState(palette.orange);
 
   const [aggMode, setAggMode] = useState("day"); // 'day' | 'week' | 'month'
+  const [timeScale, setTimeScale] = useState("month"); // Zoomstufe der Timeline (TIME_SCALES)
 
   const [milestoneCount, setMilestoneCount] = useState(0);
   const [milestones, setMilestones] = useState([]); // {id,name,date}
 
+  const [calendarMode, setCalendarMode] = useState("calendar"); // 'calendar' | 'workdays'
+  const [holidayRegion, setHolidayRegion] = useState("DE"); // '' | 'DE' | Bundesland-Kürzel
+  const [closures, setClosures] = useState([]); // {name,start,end} – Betriebsruhe
+  const [showCriticalPath, setShowCriticalPath] = useState(true);
+  const [showLoadStrip, setShowLoadStrip] = useState(false); // Auslastungs-Histogramm unter der Timeline
+  const [burnView, setBurnView] = useState("chart"); // 'chart' | 'table'
+  const [collapsed, setCollapsed] = useState([]); // IDs eingeklappter Sammelphasen (Timeline + Bildexport)
+  const [resources, setResources] = useState([]); // {id,name,role,capacity,dailyRate,absences}
+  const [budget, setBudget] = useState(0); // Gesamtbudget in € (0 = keins)
+  const [defaultDailyRate, setDefaultDailyRate] = useState(0); // €/PT
+  const [baselines, setBaselines] = useState([]); // {id,name,createdAt,projEnd,items:[{key,label,start,end}]}
+  const [activeBaselineId, setActiveBaselineId] = useState(""); // "" = kein Vergleich
+  const [baselineName, setBaselineName] = useState("");
+  const [forecastRuns, setForecastRuns] = useState(1000); // Läufe der Monte-Carlo-Prognose
+  const [forecastSeed, setForecastSeed] = useState(1); // Seed → reproduzierbare Prognose
+  const [forecast, setForecast] = useState(null); // { done, total, summary } – siehe forecastSummary
+  const [goalSeek, setGoalSeek] = useState({ target: "end", date: "", vary: "persons", maxPersons: 10 }); // Zielsuche-Formular
+  const [goalSeekResult, setGoalSeekResult] = useState(null); // Vorschlag zur Prüfung, siehe goalSeekStaffing
+  const [scenarios, setScenarios] = useState([]); // {id,name,overrides:[{phaseId,persons?,personDays?,daysPerWeekPerPerson?,goLive?}]}
+  const [scenarioName, setScenarioName] = useState("");
+  const [editScenarioId, setEditScenarioId] = useState("");
+
   // Refs
   const timelineRef = useRef(null);
   const fileRef = useRef(null);
+  const historyRef = useRef({ past: [], future: [] });
+  const lastPlanRef = useRef(null); // zuletzt gesehener Plan-Zustand (Ausgangspunkt des nächsten Schritts)
+  const skipHistoryRef = useRef(false); // nächste Zustandsänderung stammt aus Undo/Redo/Projektwechsel
+  const lastEditRef = useRef(0);
+
+  // Plan-Zustand übernehmen (Laden, Import, Projektwechsel) – fehlende Felder bleiben unverändert
+  const applyPlanState = (data) => {
+    if (data.chartTitle !== undefined) setChartTitle(String(data.chartTitle));
+    if (isIsoDate(data.startDate)) setStartDate(data.startDate);
+    if (Array.isArray(data.phases)) { setPhases(sanitizePhases(data.phases)); setPhaseCount(data.phases.length); }
+    if (AGG_MODES.includes(data.aggMode)) setAggMode(data.aggMode);
+    if (Object.keys(TIME_SCALES).includes(data.timeScale)) setTimeScale(data.timeScale);
+    if (data.orgColor) setOrgColor(sanitizeHexColor(data.orgColor, palette.softBlue));
+    if (data.orgBorderColor) setOrgBorderColor(sanitizeHexColor(data.orgBorderColor, palette.softBlueBorder));
+    if (data.hypercareColor) setHypercareColor(sanitizeHexColor(data.hypercareColor, palette.accentLight));
+    if (data.hypercareBorderColor) setHypercareBorderColor(sanitizeHexColor(data.hypercareBorderColor, palette.orange));
+    if (Array.isArray(data.milestones)) { setMilestones(sanitizeMilestones(data.milestones)); setMilestoneCount(data.milestones.length); }
+    if (data.calendarMode === "calendar" || data.calendarMode === "workdays") setCalendarMode(data.calendarMode);
+    if (typeof data.holidayRegion === "string") setHolidayRegion(data.holidayRegion);
+    if (Array.isArray(data.closures)) setClosures(sanitizeClosures(data.closures));
+    if (typeof data.showCriticalPath === "boolean") setShowCriticalPath(data.showCriticalPath);
+    if (typeof data.showLoadStrip === "boolean") setShowLoadStrip(data.showLoadStrip);
+    if (Array.isArray(data.collapsed)) setCollapsed(data.collapsed.map(String));
+    if (Array.isArray(data.resources)) setResources(sanitizeResources(data.resources));
+    if (data.budget != null) setBudget(Math.max(0, Number(data.budget) || 0));
+    if (data.defaultDailyRate != null) setDefaultDailyRate(Math.max(0, Number(data.defaultDailyRate) || 0));
+    if (Array.isArray(data.baselines)) setBaselines(sanitizeBaselines(data.baselines));
+    if (typeof data.activeBaselineId === "string") setActiveBaselineId(data.activeBaselineId);
+    if (Number.isFinite(Number(data.forecastRuns))) setForecastRuns(Math.min(FORECAST_MAX_RUNS, Math.max(100, Math.round(Number(data.forecastRuns)))));
+    if (Number.isFinite(Number(data.forecastSeed))) setForecastSeed(Math.round(Number(data.forecastSeed)));
+    if (Array.isArray(data.scenarios)) setScenarios(sanitizeScenarios(data.scenarios));
+  };
+
+  // Gespeichertes Projekt lesen (migriert). Unlesbare Stände werden gesichert statt später überschrieben.
+  const loadStoredPlan = (id) => {
+    const text = localStorage.getItem(projectKey(id)); if (!text) return null;
+    const { data, errors } = parsePlanDocument(text);
+    if (!data) {
+      localStorage.setItem(`${projectKey(id)}_defekt`, text);
+      setDialog({ title: "Gespeicherter Plan konnte nicht geladen werden", intro: `Der bisherige Stand wurde unter „${projectKey(id)}_defekt“ gesichert.`, lines: errors });
+    } else if (errors.length) {
+      setDialog({ title: "Gespeicherter Plan enthält ungültige Werte", intro: "Der Plan wurde geladen – bitte folgende Felder prüfen:", lines: errors });
+    }
+    return data;
+  };
 
-  // Load from localStorage on mount
+  // Load from localStorage on mount (Einzelplan älterer Versionen wird zum ersten Projekt)
+  const hydrateFromStorage = () => {
+    let index = tryParse(localStorage.getItem(PROJECTS_KEY) || "");
+    if (!index || !Array.isArray(index.projects) || !index.projects.length) {
+      const legacyText = localStorage.getItem(LS_KEY);
+      const legacy = tryParse(legacyText || "");
+      const id = makeId("p");
+      if (legacyText) localStorage.setItem(projectKey(id), legacyText); // unverändert – Migration beim Laden
+      index = { activeId: id, projects: [{ id, name: String(legacy?.chartTitle || "Projekt 1") }] };
+    }
+    const projectList = index.projects.map((p) => ({ id: String(p.id), name: String(p.name ?? "Projekt") }));
+    const activeId = projectList.some((p) => p.id === index.activeId) ? index.activeId : projectList[0].id;
+    setProjects(projectList); setActiveProjectId(activeId);
+    if (Number(index.portfolioCapacity) > 0) setPortfolioCapacity(Number(index.portfolioCapacity));
+    const data = loadStoredPlan(activeId);
+    if (data) applyPlanState(data);
+    setHistory(loadHistory(activeId));
+    setHydrated(true);
+  };
+  // Geteilter Link: nur anzeigen – ohne Hydrierung schreibt keiner der Autosave-Effekte in den localStorage
+  // (über eine Ref, damit der Effekt nur beim Mounten läuft und trotzdem den aktuellen Stand sieht)
+  const initialLoadRef = useRef(null);
+  initialLoadRef.current = () => {
+    if (shared?.data) { applyPlanState({ ...defaultPlanState(today), ...shared.data }); return; }
+    if (shared) setDialog({ title: "Geteilter Plan konnte nicht geöffnet werden", intro: "Es werden deine eigenen Pläne angezeigt.", lines: shared.errors });
+    setShared(null); hydrateFromStorage();
+  };
+  useEffect(() => { initialLoadRef.current(); }, []);
+  // Neuer Link im selben Tab eingefügt → neu laden, damit der Betrachter ihn zeigt
   useEffect(() => {
-    const raw = localStorage.getItem(LS_KEY);
-    if (!raw) return;
-    const data = tryParse(raw);
-    if (!data) return;
-    try {
-      if (data.chartTitle) setChartTitle(String(data.chartTitle));
-      if (data.startDate) setStartDate(String(data.startDate));
-      if (Array.isArray(data.phases)) {
-        setPhases(data.phases.map((p, i) => ({
-          id: i,
-          name: String(p.name ?? `Phase ${i + 1}`),
-          personDays: Number(p.personDays ?? 0),
-          persons: Number(p.persons ?? 0),
-          daysPerWeekPerPerson: Number(p.daysPerWeekPerPerson ?? 0),
-          goLive: !!p.goLive,
-          color: sanitizeHexColor(p.color ?? "#D95017", "#D95017"),
-          endOverride: String(p.endOverride ?? ""),
-        })));
-        setPhaseCount(data.phases.length);
-      }
-      if (typeof data.aggMode === "string") setAggMode(data.aggMode);
-      if (data.orgColor) setOrgColor(sanitizeHexColor(data.orgColor, palette.softBlue));
-      if (data.orgBorderColor) setOrgBorderColor(sanitizeHexColor(data.orgBorderColor, palette.softBlueBorder));
-      if (data.hypercareColor) setHypercareColor(sanitizeHexColor(data.hypercareColor, palette.accentLight));
-      if (data.hypercareBorderColor) setHypercareBorderColor(sanitizeHexColor(data.hypercareBorderColor, palette.orange));
-      if (Array.isArray(data.milestones)) {
-        setMilestones(data.milestones.map((m, i) => ({ id: i, name: String(m.name ?? `Meilenstein ${i + 1}`), date: String(m.date ?? "") })));
-        setMilestoneCount(data.milestones.length);
-      }
-    } catch (e) { /* noop */ }
+    const onHash = () => { if (window.location.hash.startsWith(SHARE_HASH_PREFIX)) window.location.reload(); };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
   }, []);
 
+  // Plandaten (Verlauf/Rückgängig) und vollständiger Stand inkl. Ansicht, Basispläne und Prognose-Einstellungen (Speichern/Export)
+  const planData = useMemo(() => ({
+    chartTitle,
+    startDate,
+    phaseCount,
+    phases,
+    orgColor,
+    orgBorderColor,
+    hypercareColor,
+    hypercareBorderColor,
+    milestoneCount,
+    milestones,
+    calendarMode,
+    holidayRegion,
+    closures,
+    resources,
+    budget,
+    defaultDailyRate,
+    scenarios,
+  }), [chartTitle, startDate, phaseCount, phases, orgColor, orgBorderColor, hypercareColor, hypercareBorderColor, milestoneCount, milestones, calendarMode, holidayRegion, closures, resources, budget, defaultDailyRate, scenarios]);
+
+  const planState = useMemo(() => ({
+    ...planData,
+    aggMode,
+    timeScale,
+    showCriticalPath,
+    showLoadStrip,
+    collapsed,
+    baselines,
+    activeBaselineId,
+    forecastRuns,
+    forecastSeed,
+  }), [planData, aggMode, timeScale, showCriticalPath, showLoadStrip, collapsed, baselines, activeBaselineId, forecastRuns, forecastSeed]);
+
   // Auto-save to localStorage
   useEffect(() => {
-    const state = {
-      chartTitle,
-      startDate,
-      phaseCount,
-      phases,
-      orgColor,
-      orgBorderColor,
-      hypercareColor,
-      hypercareBorderColor,
-      aggMode,
-      milestoneCount,
-      milestones,
+    if (!hydrated || !activeProjectId) return;
+    localStorage.setItem(projectKey(activeProjectId), serializeState(planState));
+  }, [planState, activeProjectId, hydrated]);
+
+  // Verlauf: vor jeder Änderung der Plandaten den vorherigen Stand ablegen (auch gespeichert, damit ein Reload nichts verliert);
+  // Zoom, Einklappen, Basispläne usw. landen nicht im Verlauf
+  const setHistory = useCallback((h) => {
+    historyRef.current = h;
+    setHistoryInfo((prev) => ({ past: h.past.length, future: h.future.length, rev: prev.rev + 1 }));
+  }, []);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    const prev = lastPlanRef.current; lastPlanRef.current = planData;
+    if (!prev || skipHistoryRef.current) { skipHistoryRef.current = false; return; }
+    const now = Date.now();
+    if (now - lastEditRef.current > HISTORY_COALESCE_MS) setHistory(historyRecord(historyRef.current, prev));
+    lastEditRef.current = now;
+  }, [planData, hydrated, setHistory]);
+
+  useEffect(() => {
+    if (!hydrated || !activeProjectId) return;
+    saveHistory(activeProjectId, historyRef.current);
+  }, [historyInfo, activeProjectId, hydrated]);
+
+  const restoreFromHistory = (step) => {
+    const r = step(historyRef.current, planData); if (!r) return;
+    skipHistoryRef.current = true; lastEditRef.current = 0;
+    applyPlanState(r.state); setHistory(r.history);
+  };
+  const undo = () => restoreFromHistory(historyUndo);
+  const redo = () => restoreFromHistory(historyRedo);
+  const undoRedoRef = useRef(null);
+  undoRedoRef.current = { undo, redo };
+
+  // Strg+Z / Strg+Umschalt+Z (bzw. Strg+Y); ⌘ unter macOS – in Eingabefeldern bleibt das native Rückgängig des Browsers
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const t = e.target;
+      if (t && (["INPUT", "TEXTAREA", "SELECT"].includes(t.tagName) || t.isContentEditable)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z") { e.preventDefault(); if (e.shiftKey) undoRedoRef.current.redo(); else undoRedoRef.current.undo(); }
+      else if (key === "y") { e.preventDefault(); undoRedoRef.current.redo(); }
     };
-    localStorage.setItem(LS_KEY, serializeState(state));
-  }, [chartTitle, startDate, phaseCount, phases, orgColor, orgBorderColor, hypercareColor, hypercareBorderColor, aggMode, milestoneCount, milestones]);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    localStorage.setItem(PROJECTS_KEY, JSON.stringify({ activeId: activeProjectId, projects, portfolioCapacity }));
+  }, [projects, activeProjectId, portfolioCapacity, hydrated]);
+
+  // Projektverwaltung
+  const openProject = (id, data) => {
+    applyPlanState({ ...defaultPlanState(today), ...(data || loadStoredPlan(id) || {}) });
+    skipHistoryRef.current = true; lastEditRef.current = 0; setHistory(loadHistory(id));
+    setActiveProjectId(id); setView("plan");
+  };
+  const switchProject = (id) => { if (id !== activeProjectId) openProject(id); else setView("plan"); };
+  const addProject = (name, data) => {
+    const id = makeId("p");
+    localStorage.setItem(projectKey(id), serializeState(data));
+    setProjects((prev) => [...prev, { id, name }]);
+    openProject(id, data);
+  };
+  const createProject = () => { addProject(`Projekt ${projects.length + 1}`, defaultPlanState(today)); };
+  const duplicateProject = () => {
+    const cur = projects.find((p) => p.id === activeProjectId);
+    addProject(`${cur?.name || "Projekt"} (Kopie)`, planState);
+  };
+  // Betrachter verlassen: Fragment entfernen, eigene Pläne laden; übernehmen legt den geteilten Plan als neues Projekt an
+  const leaveSharedView = () => {
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    setShared(null); hydrateFromStorage();
+  };
+  const adoptSharedPlan = () => {
+    const data = { ...defaultPlanState(today), ...shared.data };
+    leaveSharedView(); addProject(String(data.chartTitle || "Geteilter Plan"), data);
+  };
+  const renameProject = (name) => { setProjects((prev) => prev.map((p) => (p.id === activeProjectId ? { ...p, name } : p))); };
+  const deleteProject = () => {
+    if (projects.length <= 1) return;
+    const cur = projects.find((p) => p.id === activeProjectId);
+    if (!window.confirm(`Projekt „${cur?.name}“ endgültig löschen?`)) return;
+    localStorage.removeItem(projectKey(activeProjectId)); localStorage.removeItem(historyKey(activeProjectId));
+    const rest = projects.filter((p) => p.id !== activeProjectId);
+    setProjects(rest); openProject(rest[0].id);
+  };
 
   // Helpers to sync counts and updates
   const syncPhaseCount = (n) => {
     setPhaseCount(n);
     setPhases((prev) => {
       const arr = [...prev];
-      if (n > arr.length) { for (let i = arr.length; i < n; i++) arr.push(defaultPhase(i)); }
+      if (n > arr.length) { for (let i = arr.length; i < n; i++) arr.push(defaultPhase(i, arr[i - 1]?.id)); }
+      else if (n < arr.length) { arr.length = n; }
+      return arr.map((p, i) => ({ ...p, name: p.name || `Phase ${i + 1}` }));
+    });
+    if (n < phases.length) { releaseMilestoneAnchors(phases.slice(0, n)); pruneScenarioOverrides(phases.slice(0, n)); }
+  };
+
+  const updatePhase = (i, patch) => { setPhases((prev) => prev.map((p, idx) => (idx === i ? { ...p, ...patch } : p))); };
+
+  const syncMilestoneCount = (n) => {
+    setMilestoneCount(n);
+    setMilestones((prev) => {
+      const arr = [...prev];
+      if (n > arr.length) { for (let i = arr.length; i < n; i++) arr.push(defaultMilestone(i)); }
       else if (n < arr.length) { arr.length = n; }
-      return arr.map((p, i) => ({ ...p, id: i, name: p.name || `Phase ${i + 1}` }));
+      return arr.map((m, i) => ({ ...m, name: m.name || `Meilenstein ${i + 1}` }));
     });
   };
 
-  const updatePhase = (i, patch) => { setPhases((prev) => prev.map((p, idx) => (idx === i ? { ...p, ...patch } : p))); };
+  // Einzelne Zeilen: einfügen (darunter), duplizieren, löschen, verschieben
+  // Einfügen/Duplizieren/Löschen wirken auf den ganzen Block (Phase + Unterphasen)
+  const setPhaseList = (next) => { setPhases(next); setPhaseCount(next.length); };
+  const insertPhaseAfter = (i) => {
+    setPhaseList(insertPhase(phases, subtreeEnd(phases, i), { ...defaultPhase(phases.length, phases[i]?.id), parentId: phases[i]?.parentId || "" }));
+  };
+  const duplicatePhase = (i) => {
+    const end = subtreeEnd(phases, i); const ids = new Map(phases.slice(i, end).map((p) => [p.id, makeId("ph")]));
+    const copy = phases.slice(i, end).map((p, k) => ({
+      ...p, id: ids.get(p.id), parentId: k === 0 ? p.parentId : ids.get(p.parentId) || p.parentId,
+      name: k === 0 ? `${p.name || `Phase ${i + 1}`} (Kopie)` : p.name,
+      deps: (p.deps || []).map((d) => ({ ...d, from: ids.get(d.from) || d.from })),
+    }));
+    setPhaseList([...phases.slice(0, end), ...copy, ...phases.slice(end)]);
+  };
+  const deletePhase = (i) => {
+    const end = subtreeEnd(phases, i); if (end - i >= phases.length) return;
+    let next = phases; for (let j = end - 1; j >= i; j--) next = removePhase(next, j);
+    setPhaseList(next); setCollapsed((prev) => prev.filter((id) => next.some((p) => p.id === id)));
+    releaseMilestoneAnchors(next); pruneScenarioOverrides(next);
+  };
+  // Meilensteine an entfernten Phasen behalten ihren zuletzt berechneten Termin als festes Datum
+  const releaseMilestoneAnchors = (next) => {
+    const ids = new Set(next.map((p) => p.id));
+    setMilestones((prev) => prev.map((m, k) => (m.anchorPhaseId && !ids.has(m.anchorPhaseId) ? { ...m, anchorPhaseId: "", date: schedule.milestones[k]?.date || m.date } : m)));
+  };
+  // CSV-Import: Phasen anhängen (an die letzte oberste Phase gekettet) oder die Liste ersetzen
+  const applyPhaseCsv = (replace) => {
+    const rows = parsePhaseCsv(csvImport?.text || "").phases; if (!rows.length) return;
+    const base = replace ? [] : phases; let prevId = [...base].reverse().find((p) => !p.parentId)?.id;
+    const added = rows.map((r, k) => { const p = { ...defaultPhase(base.length + k, prevId), ...r }; prevId = p.id; return p; });
+    setPhaseList([...base, ...added]); if (replace) { setCollapsed([]); releaseMilestoneAnchors(added); pruneScenarioOverrides(added); }
+    setCsvImport(null);
+  };
+  const reorderPhase = (from, to) => { if (from !== to) setPhaseList(movePhaseBlock(phases, from, to)); };
+  const indentRow = (i) => { setPhases(indentPhase(phases, i)); };
+  const outdentRow = (i) => { setPhases(outdentPhase(phases, i)); };
+  // Unterphase anhängen; die erste übernimmt den Aufwand der bisherigen Einzelphase
+  const addSubphase = (i) => {
+    const parent = phases[i]; const end = subtreeEnd(phases, i); const first = end === i + 1;
+    const child = { ...defaultPhase(phases.length), parentId: parent.id, name: `${parent.name || `Phase ${i + 1}`} – Teil ${end - i}`, color: parent.color };
+    const lastChild = phases.slice(i + 1, end).reverse().find((p) => p.parentId === parent.id);
+    if (first) Object.assign(child, { personDays: parent.personDays, persons: parent.persons, daysPerWeekPerPerson: parent.daysPerWeekPerPerson, assignments: parent.assignments, dailyRate: parent.dailyRate });
+    else if (lastChild) child.deps = [{ from: lastChild.id, type: "FS", lag: 0 }];
+    setPhaseList(dropHierarchyDeps([...phases.slice(0, end), child, ...phases.slice(end)]));
+    setCollapsed((prev) => prev.filter((id) => id !== parent.id));
+  };
+  const toggleCollapsed = (id) => { setCollapsed((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id])); };
+
+  const setMilestoneList = (next) => { setMilestones(next); setMilestoneCount(next.length); };
+  const insertMilestoneAfter = (i) => { setMilestoneList([...milestones.slice(0, i + 1), defaultMilestone(milestones.length), ...milestones.slice(i + 1)]); };
+  const duplicateMilestone = (i) => { setMilestoneList([...milestones.slice(0, i + 1), { ...milestones[i], id: makeId("ms"), name: `${milestones[i].name} (Kopie)` }, ...milestones.slice(i + 1)]); };
+  const deleteMilestone = (i) => { setMilestoneList(milestones.filter((_, idx) => idx !== i)); };
+
+  const updateMilestone = (i, patch) => { setMilestones((prev) => prev.map((m, idx) => (idx === i ? { ...m, ...patch } : m))); };
+
+  const updateDep = (i, k, patch) => { updatePhase(i, { deps: (phases[i]?.deps || []).map((d, idx) => (idx === k ? { ...d, ...patch } : d)) }); };
+  const removeDep = (i, k) => { updatePhase(i, { deps: (phases[i]?.deps || []).filter((_, idx) => idx !== k) }); };
+  const addDep = (i) => {
+    const candidate = phases.find((p, idx) => idx !== i && !(phases[i]?.deps || []).some((d) => d.from === p.id));
+    if (candidate) updatePhase(i, { deps: [...(phases[i]?.deps || []), { from: candidate.id, type: "FS", lag: 0 }] });
+  };
+
+  // Nachlauf-Blöcke nach dem GoLive
+  const addPostBlock = (i) => { const list = phases[i]?.postBlocks || []; updatePhase(i, { postBlocks: [...list, defaultPostBlock(list.length)] }); };
+  const updatePostBlock = (i, k, patch) => { updatePhase(i, { postBlocks: (phases[i]?.postBlocks || []).map((b, idx) => (idx === k ? { ...b, ...patch } : b)) }); };
+  const removePostBlock = (i, k) => { updatePhase(i, { postBlocks: (phases[i]?.postBlocks || []).filter((_, idx) => idx !== k) }); };
 
-  const syncMilestoneCount = (n) => {
-    setMilestoneCount(n);
-    setMilestones((prev) => {
-      const arr = [...prev];
-      if (n > arr.length) { for (let i = arr.length; i < n; i++) arr.push(defaultMilestone(i)); }
-      else if (n < arr.length) { arr.length = n; }
-      return arr.map((m, i) => ({ ...m, id: i, name: m.name || `Meilenstein ${i + 1}` }));
-    });
+  const addResource = () => { setResources((prev) => [...prev, defaultResource(prev.length)]); };
+  const updateResource = (id, patch) => { setResources((prev) => prev.map((r) => (r.id === id ? { ...r, ...patch } : r))); };
+  const removeResource = (id) => {
+    setResources((prev) => prev.filter((r) => r.id !== id));
+    setPhases((prev) => prev.map((p) => ({ ...p, assignments: (p.assignments || []).filter((a) => a.resourceId !== id) })));
+  };
+  const setAssignment = (i, resourceId, daysPerWeek) => {
+    const rest = (phases[i]?.assignments || []).filter((a) => a.resourceId !== resourceId);
+    updatePhase(i, { assignments: daysPerWeek > 0 ? [...rest, { resourceId, daysPerWeek }] : rest });
+  };
+  const updateAbsence = (id, k, patch) => {
+    const r = resources.find((x) => x.id === id); if (!r) return;
+    updateResource(id, { absences: r.absences.map((a, idx) => (idx === k ? { ...a, ...patch } : a)) });
   };
 
-  const updateMilestone = (i, patch) => { setMilestones((prev) => prev.map((m, idx) => (idx === i ? { ...m, ...patch } : m))); };
+  const addClosure = () => { setClosures((prev) => [...prev, defaultClosure()]); };
+  const updateClosure = (i, patch) => { setClosures((prev) => prev.map((c, idx) => (idx === i ? { ...c, ...patch } : c))); };
+  const removeClosure = (i) => { setClosures((prev) => prev.filter((_, idx) => idx !== i)); };
+
+  const forecastPhases = forecast?.summary?.phases;
 
   // Compute schedule + Burnrate + Milestones
   const schedule = useMemo(() => {
-    let cursor = startDate;
+    const cal = makeWorkCalendar({ mode: calendarMode, region: holidayRegion, closures });
+    const { computed, links, issues } = schedulePhases(phases, startDate, cal);
     const items = [];
 
-    const computed = phases.map((p, i) => {
-      const { weeks, days } = computePhaseDays(p.personDays, p.persons, p.daysPerWeekPerPerson);
-
-      let start, end;
-      if (p.endOverride) { end = p.endOverride; start = computeBackwardStart(end, days); }
-      else { start = cursor; end = addDays(start, days - 1); }
-
-      cursor = addDays(end, 1);
-
-      const barColor = sanitizeHexColor(p.color || palette.orange, palette.orange);
+    const levels = phaseLevels(phases);
+    const hidden = hiddenPhases(phases, collapsed);
+    computed.forEach((c, i) => {
+      if (hidden[i]) return; // unter einer eingeklappten Sammelphase
+      const barColor = sanitizeHexColor(c.color || palette.orange, palette.orange);
 
       items.push({
         type: "phase",
-        label: p.name?.trim() || `Phase ${i + 1}`,
-        start, end,
+        phaseIndex: i,
+        level: levels[i], summary: !!c.summary, collapsed: !!c.summary && collapsed.includes(c.id),
+        label: c.name?.trim() || `Phase ${i + 1}`,
+        start: c.start, end: c.end,
         color: barColor, border: barColor,
-        goLive: !!p.goLive,
-        data: { weeks, days, persons: Number(p.persons) || 0, pd: Number(p.personDays) || 0, dpp: Number(p.daysPerWeekPerPerson) || 0 },
+        goLive: !!c.goLive,
+        critical: c.critical,
+        progress: actualProgress(c),
+        data: { earlyStart: c.start, earlyFinish: c.end, lateStart: c.lateStart, lateFinish: c.lateFinish, slack: c.slack, weeks: c.weeks, days: c.days, persons: Number(c.persons) || 0, pd: Number(c.personDays) || 0, dpp: Number(c.daysPerWeekPerPerson) || 0 },
       });
 
-      if (p.goLive) {
-        const hcStart = cursor; const hcEnd = addDays(hcStart, 14 - 1); cursor = addDays(hcEnd, 1);
-        items.push({ type: "hypercare", label: `${p.name?.trim() || `Phase ${i + 1}`} – Hypercare (2 Wochen)`, start: hcStart, end: hcEnd, color: sanitizeHexColor(hypercareColor, palette.accentLight), border: sanitizeHexColor(hypercareBorderColor, palette.orange), goLive: false, data: { fixedDays: 14 } });
+      for (const b of c.post || []) {
+        const hc = b.id === HYPERCARE_ID;
+        items.push({ type: hc ? "hypercare" : "post", blockId: b.id, phaseIndex: i, level: levels[i], label: `${c.name?.trim() || `Phase ${i + 1}`} – ${b.name} (${fmtWeeks(b.weeks)})`, start: b.start, end: b.end, color: hc ? sanitizeHexColor(hypercareColor, palette.accentLight) : b.color, border: hc ? sanitizeHexColor(hypercareBorderColor, palette.orange) : shadeHex(b.color, 0.8), goLive: false, critical: c.critical && b.blocking, data: { fixedDays: b.days, pd: b.personDays } });
       }
-
-      return { ...p, weeks, days, start, end };
     });
 
-    // Projektgrenzen inkl. Milestones
+    // Projektgrenzen inkl. Milestones (verankerte folgen ihrer Phase)
+    const msResolved = resolveMilestones(milestones, computed, cal);
     let projStart = startDate; let projEnd = startDate;
     if (items.length) {
       projStart = items.reduce((minIso, it) => (new Date(it.start) < new Date(minIso) ? it.start : minIso), startDate);
       projEnd = items.reduce((maxIso, it) => (new Date(it.end) > new Date(maxIso) ? it.end : maxIso), startDate);
     }
-    for (const m of milestones) {
+    for (const m of msResolved) {
       if (!m?.date) continue; const d = toDateValue(new Date(m.date + "T00:00:00"));
       if (new Date(d) < new Date(projStart)) projStart = d; if (new Date(d) > new Date(projEnd)) projEnd = d;
     }
 
-    // **Ansichtsbereich** auf volle Monate erweitern
-    const viewStart = firstOfMonth(projStart);
-    const viewEnd = lastOfMonth(projEnd);
-    const totalViewDays = Math.max(1, diffDaysInclusive(viewStart, viewEnd));
-
-    // Monate vorberechnen (volle Monate)
-    let monthCursor = viewStart; const months = [];
-    while (new Date(monthCursor + "T00:00:00") <= new Date(viewEnd + "T00:00:00")) {
-      const segStart = monthCursor; const segEnd = lastOfMonth(segStart);
-      const offsetDays = diffDaysInclusive(viewStart, segStart) - 1; // 0-based
-      const widthDays = diffDaysInclusive(segStart, segEnd);
-      months.push({ label: formatMonthLabel(segStart), offsetDays, widthDays, start: segStart, end: segEnd });
-      monthCursor = nextMonth(monthCursor);
-    }
-
-    // **Skalierung**: Jeder begonnene Monat min. N Pixel breit
-    const MIN_MONTH_PX = MIN_MONTH_LABEL_PX;
-    let pxPerDay = 0;
-    for (const m of months) pxPerDay = Math.max(pxPerDay, MIN_MONTH_PX / m.widthDays);
-    pxPerDay = Math.max(pxPerDay, 1); // mind. 1 px/Tag
-
-    const totalWidthPx = Math.ceil(totalViewDays * pxPerDay);
+    // **Ansichtsbereich** je Zoomstufe auf volle Einheiten erweitern (inkl. Geisterbalken des Basisplans)
+    const baseline = baselines.find((b) => b.id === activeBaselineId) || null;
+    const baseByKey = new Map((baseline?.items || []).map((b) => [b.key, b]));
+    let rangeStart = projStart; let rangeEnd = projEnd;
+    for (const b of baseByKey.values()) { if (b.start < rangeStart) rangeStart = b.start; if (b.end > rangeEnd) rangeEnd = b.end; }
+    for (const w of Object.values(forecastPhases || {})) if (w.p95 > rangeEnd) rangeEnd = w.p95; // Whisker der Prognose
+    // **Skalierung** je Zoomstufe (Monat: jeder begonnene Monat min. MIN_MONTH_LABEL_PX breit)
+    const scale = buildTimeScale(rangeStart, rangeEnd, timeScale);
+    const { viewStart, viewEnd, totalViewDays, pxPerDay, totalWidthPx } = scale;
 
     // Projektorganisation-Zeile vorn anstellen
     const itemsWithOrg = [
@@ -399,103 +3449,329 @@ export default function ProjektplanWebapp() {
       const widthDays = diffDaysInclusive(it.start, it.end);
       const leftPx = Math.max(0, Math.round(offsetDays * pxPerDay));
       const widthPx = Math.max(1, Math.round(widthDays * pxPerDay));
-      return { ...it, leftPx, widthPx };
+      const base = it.phaseIndex !== undefined ? baseByKey.get(it.blockId ? postBlockKey(phases[it.phaseIndex].id, it.blockId) : baselineKey(it.type, phases[it.phaseIndex].id)) : undefined;
+      const ghost = base ? {
+        start: base.start, end: base.end,
+        leftPx: Math.max(0, Math.round((diffDaysInclusive(viewStart, base.start) - 1) * pxPerDay)),
+        widthPx: Math.max(1, Math.round(diffDaysInclusive(base.start, base.end) * pxPerDay)),
+        ...baselineVariance(base, it),
+      } : null;
+      return { ...it, leftPx, widthPx, ghost };
     });
 
-    // Burnrate (weiterhin auf Projektbereich, nicht View)
-    const allDates = enumerateDates(projStart, projEnd); const dailyPD = Object.create(null);
-    for (const it of items) {
-      if (it.type !== "phase") continue; const n = diffDaysInclusive(it.start, it.end); const perDay = distributePDUniform(it.data.pd, n);
-      let cur = it.start; for (let k = 0; k < n; k++) { dailyPD[cur] = (dailyPD[cur] || 0) + perDay; cur = addDays(cur, 1); }
-    }
-    const rows = [];
-    if (aggMode === "day") { for (const iso of allDates) rows.push({ label: iso, value: dailyPD[iso] || 0, sortKey: iso }); }
-    else if (aggMode === "week") {
-      const map = new Map(); for (const iso of allDates) { const { week, year } = getISOWeekParts(iso); const key = `KW ${String(week).padStart(2, "0")}/${year}`; const prev = map.get(key) || { sum: 0, firstIso: iso }; prev.sum += dailyPD[iso] || 0; if (new Date(iso) < new Date(prev.firstIso)) prev.firstIso = iso; map.set(key, prev); }
-      for (const [key, v] of map.entries()) rows.push({ label: key, value: v.sum, sortKey: v.firstIso }); rows.sort((a, b) => new Date(a.sortKey) - new Date(b.sortKey));
-    } else {
-      const map = new Map(); for (const iso of allDates) { const m = iso.slice(0, 7); const prev = map.get(m) || { sum: 0 }; prev.sum += dailyPD[iso] || 0; map.set(m, prev); }
-      for (const [m, v] of map.entries()) rows.push({ label: m, value: v.sum, sortKey: m + "-01" }); rows.sort((a, b) => new Date(a.sortKey) - new Date(b.sortKey));
-    }
+    // Burnrate (weiterhin auf Projektbereich, nicht View) – Aufwand nur auf Arbeitstage verteilen
+    // Aufschlüsselung je Ressource ("" = ohne Zuordnung) + Überlastungstage
+    const allDates = enumerateDates(projStart, projEnd);
+    const load = computeResourceLoad(computed, resources, cal, defaultDailyRate);
+    const resKeys = [...resources.map((r) => r.id), ...(load.byResource[""] ? [""] : [])];
+    const rows = aggregateBurn(allDates, load, resKeys, aggMode);
+    // Reihen für Diagramm und Histogramm: je Phase mit Aufwand ihre Balkenfarbe
+    const burnSeries = computed.map((c, i) => ({ id: c.id, name: c.name?.trim() || `Phase ${i + 1}`, color: sanitizeHexColor(c.color || palette.orange, palette.orange) })).filter((x) => load.byPhase[x.id]);
+    const loadStrip = loadHistogram(load, viewStart, viewEnd, pxPerDay);
+
+    // Kumulierte Kosten (S-Kurve)
+    let cumDaily = 0; const costCurve = allDates.map((iso) => { cumDaily += load.cost[iso] || 0; return { iso, cum: cumDaily }; });
+    const budgetExceededOn = budgetExhaustedOn(allDates, load.cost, budget);
 
-    // Meilensteine pro Phasen-Item ablegen (unter der Phase rendern) – PX-Positionen
-    const msByItem = {};
-    for (let idx = 0; idx < positioned.length; idx++) {
-      const it = positioned[idx]; if (it.type !== "phase") continue;
-      for (const m of milestones) {
-        if (!m?.date) continue; if (dateWithin(m.date, it.start, it.end)) {
-          const offsetDays = diffDaysInclusive(viewStart, m.date) - 1;
-          const leftPx = Math.round(offsetDays * pxPerDay);
-          (msByItem[idx] ||= []).push({ name: m.name || "Meilenstein", leftPx, date: m.date });
-        }
+    // Meilenstein-Zeile über der Timeline – jeder Meilenstein, auch in Lücken, in der Hypercare oder nach der letzten Phase
+    const msLane = milestoneLane(msResolved, viewStart, pxPerDay);
+
+    // Abhängigkeitspfeile: Phasenindex → Zeilenindex (inkl. Org-Zeile)
+    // Eingeklappte Unterphasen: Pfeil an der sichtbaren Sammelphase ansetzen
+    const parentIndex = phases.map((p) => { const j = phases.findIndex((q) => q.id === p.parentId); return j >= 0 ? j : undefined; });
+    const rowOf = (i, blockId) => {
+      for (let cur = i, b = blockId; cur !== undefined; cur = parentIndex[cur], b = null) {
+        const row = positioned.findIndex((it) => it.phaseIndex === cur && (b ? it.blockId === b : it.type === "phase"));
+        if (row >= 0) return row;
       }
+      return -1;
+    };
+    const linkRows = links
+      .map((l) => ({ ...l, fromRow: rowOf(l.from, l.via), toRow: rowOf(l.to, null) }))
+      .filter((l) => l.fromRow !== l.toRow);
+
+    // Heute-Linie + Status gegenüber linearem Soll
+    const todayPx = dateWithin(today, viewStart, viewEnd) ? Math.round((diffDaysInclusive(viewStart, today) - 1) * pxPerDay) : null;
+    const behindPlan = phasesBehindPlan(computed, today, cal);
+
+    const variance = computed.map((c) => baselineVariance(baseByKey.get(baselineKey("phase", c.id)), c));
+    const projEndShift = baseline?.projEnd ? diffDaysInclusive(baseline.projEnd, projEnd) - 1 : null;
+
+    // Legende: je Nachlauf-Block (Name + Farbe) ein Eintrag
+    const postLegend = [];
+    for (const c of computed) for (const b of c.post || []) {
+      if (b.id !== HYPERCARE_ID && !postLegend.some((x) => x.name === b.name && x.color === b.color)) postLegend.push({ name: b.name, color: b.color });
     }
 
-    // Monate mit PX-Positionen
-    const monthsPx = months.map((m) => ({
-      ...m,
-      leftPx: Math.round(m.offsetDays * pxPerDay),
-      widthPx: Math.round(m.widthDays * pxPerDay),
-      rightPx: Math.round((m.offsetDays + m.widthDays) * pxPerDay),
-      label: m.label,
+    return { cal, burnDates: allDates, load, postLegend, hasHierarchy: levels.some((l) => l > 0), computed, links: linkRows, issues, todayPx, behindPlan, baseline, variance, projEndShift, resKeys, overload: load.overload, totalCost: rows.length ? rows[rows.length - 1].cumCost : 0, costCurve, budgetExceededOn, items: positioned, projStart, projEnd, viewStart, viewEnd, totalViewDays, months: scale.months, header: scale.header, gridLines: scale.gridLines, burnRows: rows, burnSeries, loadStrip, milestones: msResolved, milestoneLane: msLane, pxPerDay, totalWidthPx };
+  }, [phases, startDate, orgColor, orgBorderColor, hypercareColor, hypercareBorderColor, aggMode, milestones, calendarMode, holidayRegion, closures, collapsed, resources, defaultDailyRate, budget, baselines, activeBaselineId, timeScale, today, forecastPhases]);
+
+  // Zeilenpositionen der Timeline messen (dynamische Zeilenhöhen) → Abhängigkeitspfeile
+  const rowRefs = useRef([]);
+  const [rowBoxes, setRowBoxes] = useState([]);
+  useLayoutEffect(() => {
+    const measure = () => setRowBoxes(schedule.items.map((_, idx) => {
+      const el = rowRefs.current[idx]; return el ? { top: el.offsetTop, height: el.offsetHeight } : null;
     }));
+    measure();
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, [schedule]);
 
-    return { computed, items: positioned, projStart, projEnd, viewStart, viewEnd, totalViewDays, months: monthsPx, burnRows: rows, msByItem, pxPerDay, totalWidthPx };
-  }, [phases, startDate, orgColor, orgBorderColor, hypercareColor, hypercareBorderColor, aggMode, milestones]);
+  // Unterer Abstand des Balkens: Platz für den Geisterbalken des Basisplans
+  const barBottom = (row) => 10 + (schedule.items[row].ghost ? 7 : 0);
+  const barAnchor = (row) => {
+    const it = schedule.items[row]; const box = rowBoxes[row]; if (!it || !box) return null;
+    const bottom = barBottom(row);
+    return { left: it.leftPx, right: it.leftPx + it.widthPx, top: box.top, y: box.top + (10 + box.height - bottom) / 2 };
+  };
+  const gridHeight = rowBoxes.reduce((h, b) => (b ? Math.max(h, b.top + b.height) : h), 0);
+
+  // Drag & Drop: Balken verschieben / am rechten Rand verlängern, Meilensteine verschieben
+  const dragDays = drag ? snapDragDays(drag.dx, schedule.pxPerDay, dragSnap) : 0;
+  const dragShiftPx = Math.round(dragDays * schedule.pxPerDay);
+  // Meilensteine landen im Arbeitstage-Modus auf dem nächsten Arbeitstag
+  const milestoneDropDate = (iso) => (calendarMode === "workdays" ? nextWorkday(addDays(iso, dragDays), schedule.cal) : addDays(iso, dragDays));
+  const startDrag = (e, kind, row, index) => {
+    if (readOnly || e.button !== 0) return;
+    e.preventDefault(); e.stopPropagation();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setDrag({ kind, row, index, x0: e.clientX, dx: 0 });
+  };
+  const moveDrag = (e) => { if (drag) setDrag((d) => d && { ...d, dx: e.clientX - d.x0 }); };
+  const endDrag = () => {
+    if (!drag) return;
+    setDrag(null); if (!dragDays) return;
+    if (drag.kind === "milestone") { updateMilestone(drag.index, { date: milestoneDropDate(milestones[drag.index].date) }); return; }
+    const patch = barDragPatch(phases[drag.index], schedule.computed[drag.index], drag.kind, dragDays, schedule.cal);
+    if (patch) updatePhase(drag.index, patch);
+  };
+  const dragHandlers = { onPointerMove: moveDrag, onPointerUp: endDrag, onPointerCancel: () => setDrag(null) };
+
+  // Basispläne
+  const saveBaseline = () => {
+    const name = baselineName.trim() || `Basisplan ${baselines.length + 1}`;
+    const snap = snapshotBaseline(name, schedule.computed, schedule.projEnd);
+    setBaselines((prev) => [...prev, snap]); setActiveBaselineId(snap.id); setBaselineName("");
+  };
+  const deleteBaseline = (id) => {
+    setBaselines((prev) => prev.filter((b) => b.id !== id));
+    if (activeBaselineId === id) setActiveBaselineId("");
+  };
+  const fmtShift = (d) => (d > 0 ? `+${d}` : String(d));
+
+  // Szenarien: Varianten mit überschriebenen Phasenparametern – der Plan selbst bleibt unverändert
+  const addScenario = () => {
+    const sc = { id: makeId("sc"), name: scenarioName.trim() || `Szenario ${scenarios.length + 1}`, overrides: [] };
+    setScenarios((prev) => [...prev, sc]); setEditScenarioId(sc.id); setScenarioName("");
+  };
+  const deleteScenario = (id) => {
+    setScenarios((prev) => prev.filter((sc) => sc.id !== id));
+    if (editScenarioId === id) setEditScenarioId("");
+  };
+  const renameScenario = (id, name) => setScenarios((prev) => prev.map((sc) => (sc.id === id ? { ...sc, name } : sc)));
+  // value undefined = Wert aus dem Plan; leere Überschreibungen fallen weg
+  const setScenarioOverride = (id, phaseId, field, value) => setScenarios((prev) => prev.map((sc) => {
+    if (sc.id !== id) return sc;
+    const cur = sc.overrides.find((o) => o.phaseId === phaseId) || { phaseId };
+    const next = { ...cur, [field]: value }; if (value === undefined) delete next[field];
+    const rest = sc.overrides.filter((o) => o.phaseId !== phaseId);
+    return { ...sc, overrides: Object.keys(next).length > 1 ? [...rest, next] : rest };
+  }));
+  const pruneScenarioOverrides = (next) => {
+    const ids = new Set(next.map((p) => p.id));
+    setScenarios((prev) => prev.map((sc) => ({ ...sc, overrides: sc.overrides.filter((o) => ids.has(o.phaseId)) })));
+  };
+  const scenarioResults = useMemo(() => (scenarios.length ? compareScenarios(phases, startDate, scenarios, schedule.cal) : []), [phases, startDate, scenarios, schedule.cal]);
+  const scenarioView = useMemo(() => scenarioOverlay(scenarioResults, timeScale), [scenarioResults, timeScale]);
+  const editScenario = scenarios.find((sc) => sc.id === editScenarioId) || null;
+
+  // Prognose: Monte-Carlo-Läufe in Etappen (setTimeout), damit die Oberfläche bedienbar bleibt; jede Eingabe startet neu
+  const hasEstimates = phases.some((p) => threePoint(p).spread);
+  useEffect(() => {
+    if (!hasEstimates) { setForecast(null); return undefined; }
+    let sim = null; let timer = null;
+    const step = () => {
+      sim ||= createForecast(phases, startDate, makeWorkCalendar({ mode: calendarMode, region: holidayRegion, closures }), forecastSeed);
+      const done = sim.run(Math.min(FORECAST_BATCH, forecastRuns - sim.samples.projEnd.length));
+      const finished = done >= forecastRuns;
+      setForecast((prev) => ({ done, total: forecastRuns, summary: finished ? forecastSummary(sim) : prev?.summary || null }));
+      if (!finished) timer = setTimeout(step, 0);
+    };
+    timer = setTimeout(step, 150);
+    return () => clearTimeout(timer);
+  }, [hasEstimates, phases, startDate, calendarMode, holidayRegion, closures, forecastRuns, forecastSeed]);
+  // Zielsuche: Vorschlag berechnen und erst nach Prüfung im Dialog übernehmen
+  const goalSeekTargetLabel = (target) => (target === "end" ? "Projektende" : `GoLive „${phases.find((p) => p.id === target)?.name?.trim() || "Phase"}“`);
+  const runGoalSeek = () => {
+    if (!goalSeek.date) return;
+    const target = goalSeek.target === "end" || phases.some((p) => p.id === goalSeek.target && p.goLive) ? goalSeek.target : "end";
+    setGoalSeekResult({ ...goalSeekStaffing(phases, startDate, schedule.cal, { ...goalSeek, target }), target, date: goalSeek.date, maxPersons: goalSeek.maxPersons });
+  };
+  const applyGoalSeek = () => {
+    const { changes, field } = goalSeekResult;
+    setPhases((prev) => prev.map((p) => { const ch = changes.find((c) => c.id === p.id); return ch ? { ...p, [field]: ch.to } : p; }));
+    setGoalSeekResult(null);
+  };
+  const whiskerPx = (iso) => diffDaysInclusive(schedule.viewStart, iso) * schedule.pxPerDay;
+
+  // Portfolio: gespeicherte Projekte + aktueller (ungespeicherter) Stand des aktiven Projekts
+  const portfolio = useMemo(() => {
+    if (view !== "portfolio") return null;
+    const plans = projects.map((p) => {
+      const data = p.id === activeProjectId ? planState : parsePlanDocument(localStorage.getItem(projectKey(p.id)) || "").data || defaultPlanState(today);
+      return { id: p.id, name: p.name, ...summarizePlan(data) };
+    });
+    return buildPortfolio(plans, portfolioAgg, portfolioCapacity);
+  }, [view, projects, activeProjectId, planState, portfolioAgg, portfolioCapacity, today]);
 
   // Export Bild
   const handleSaveImage = async () => {
     if (!timelineRef.current) return; const node = timelineRef.current;
     const canvas = await html2canvas(node, { backgroundColor: "#ffffff", scale: 2, useCORS: true });
-    canvas.toBlob((blob) => { if (!blob) return; const url = URL.createObjectURL(blob); const a = document.createElement("a"); a.href = url; a.download = `${(chartTitle || "roadmap").replace(/\s+/g, "_")}.png`; a.click(); URL.revokeObjectURL(url); }, "image/png");
+    canvas.toBlob((blob) => { if (blob) downloadBlob(blob, `${(chartTitle || "roadmap").replace(/\s+/g, "_")}.png`); }, "image/png");
+  };
+
+  // Vektor-Export (SVG / PDF): gesamte Planbreite aus dem Terminplan gezeichnet, nicht aus dem Scroll-Container
+  const exportDrawing = () => {
+    const hc = sanitizeHexColor(hypercareColor, palette.accentLight);
+    const legend = [
+      { label: "Phase", color: palette.orange },
+      { label: "Hypercare", color: hc, border: sanitizeHexColor(hypercareBorderColor, palette.orange) },
+      ...schedule.postLegend.map((b) => ({ label: b.name, color: b.color, border: shadeHex(b.color, 0.8) })),
+      { label: "Projektorganisation (laufend)", color: sanitizeHexColor(orgColor, palette.softBlue), border: sanitizeHexColor(orgBorderColor, palette.softBlueBorder) },
+      { label: "GoLive", star: true },
+      ...Object.entries(MILESTONE_TYPES).filter(([type]) => schedule.milestoneLane.some((m) => m.type === type)).map(([type, t]) => ({ label: t.label, symbol: type })),
+      showCriticalPath && { label: "Kritischer Pfad", color: "#ffffff", border: palette.critical },
+      schedule.baseline && { label: `Basisplan „${schedule.baseline.name}“`, color: palette.gray, border: palette.grayDark },
+    ].filter(Boolean);
+    const table = exportBurnTable ? {
+      title: "Burnrate",
+      columns: [aggMode === "day" ? "Tag (Datum)" : aggMode === "week" ? "Kalenderwoche" : "Monat", "Personentage", ...(showCost ? ["Kosten", "Kosten kumuliert"] : [])],
+      rows: schedule.burnRows.map((r) => [r.label, fmtNum(r.value), ...(showCost ? [fmtEur(r.cost), fmtEur(r.cumCost)] : [])]),
+    } : null;
+    return roadmapDrawing(schedule, { title: chartTitle, legend, showCriticalPath, table });
+  };
+  const exportFileBase = () => (chartTitle || "roadmap").replace(/\s+/g, "_");
+  const handleExportSVG = () => { downloadBlob(new Blob([drawingToSvg(exportDrawing())], { type: "image/svg+xml" }), `${exportFileBase()}.svg`); };
+  const handleExportPDF = () => { downloadBlob(new Blob([drawingToPdf(exportDrawing(), exportPageFormat, chartTitle)], { type: "application/pdf" }), `${exportFileBase()}_${exportPageFormat}.pdf`); };
+
+  // Link teilen: kompletter Plan im Fragment (wird nicht an den Server übertragen)
+  const handleShareLink = () => {
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${SHARE_HASH_PREFIX}${encodeSharedPlan(planState)}`;
+    navigator.clipboard?.writeText(url).catch(() => {});
+    setDialog({
+      info: true, title: "Link teilen", intro: `${navigator.clipboard ? "Der Link wurde in die Zwischenablage kopiert. " : ""}Empfänger sehen den Plan schreibgeschützt und können ihn in ihre eigenen Pläne übernehmen.`,
+      lines: [url, ...(url.length > 8000 ? [`Hinweis: Der Link ist ${url.length.toLocaleString("de-DE")} Zeichen lang – manche E-Mail-Programme kürzen so lange Links.`] : [])],
+    });
+  };
+
+  // Kalender (.ics) – UIDs je Projekt stabil, damit Outlook beim erneuten Import aktualisiert
+  const handleExportIcs = () => {
+    const ics = buildIcs({ ...planState, milestones: schedule.milestones }, schedule.computed, { projectId: activeProjectId, includePhases: icsPhases });
+    downloadBlob(new Blob([ics], { type: "text/calendar;charset=utf-8" }), `${exportFileBase()}.ics`);
+  };
+
+  // Tabellen: CSV (aktuelle Ansicht) bzw. Excel-Arbeitsmappe mit allen Aggregationen
+  const burnTableFor = (mode) => burnExportTable(mode === aggMode ? schedule.burnRows : aggregateBurn(schedule.burnDates, schedule.load, schedule.resKeys, mode), mode, { withCost: showCost, resources, resKeys: schedule.resKeys });
+  const handleExportPhasesCsv = () => { downloadBlob(new Blob([tableToCsv(phaseExportTable(schedule.computed, calendarMode))], { type: "text/csv" }), `${exportFileBase()}_Phasen.csv`); };
+  const handleExportBurnCsv = () => { downloadBlob(new Blob([tableToCsv(burnTableFor(aggMode))], { type: "text/csv" }), `${exportFileBase()}_Burnrate_${aggMode}.csv`); };
+  const handleExportXlsx = () => {
+    const xlsx = buildXlsx([phaseExportTable(schedule.computed, calendarMode), ...AGG_MODES.map(burnTableFor)]);
+    downloadBlob(new Blob([xlsx], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" }), `${exportFileBase()}.xlsx`);
+  };
+  const handleCsvFile = (e) => {
+    const file = e.target.files?.[0]; if (!file) return; const reader = new FileReader();
+    reader.onload = () => setCsvImport({ text: String(reader.result) });
+    reader.readAsText(file);
+    e.target.value = "";
   };
 
   // Export/Import JSON
   const handleExportJSON = () => {
-    const state = { chartTitle, startDate, phaseCount, phases, orgColor, orgBorderColor, hypercareColor, hypercareBorderColor, aggMode, milestoneCount, milestones };
-    const blob = new Blob([serializeState(state)], { type: "application/json" });
-    const url = URL.createObjectURL(blob); const a = document.createElement("a"); a.href = url; a.download = `${(chartTitle || "projektplan").replace(/\s+/g, "_")}.json`; a.click(); URL.revokeObjectURL(url);
+    downloadBlob(new Blob([serializeState(planState)], { type: "application/json" }), `${(chartTitle || "projektplan").replace(/\s+/g, "_")}.json`);
+  };
+
+  // MS Project (MSPDI-XML)
+  const handleExportMspdi = () => {
+    downloadBlob(new Blob([buildMspdi({ ...planState, milestones: schedule.milestones }, schedule.computed, schedule.cal)], { type: "application/xml" }), `${exportFileBase()}.xml`);
+  };
+  const importMspdi = (fileName, text) => {
+    let parsed;
+    try { parsed = parseMspdi(text); } catch (err) { setDialog({ title: `Import von „${fileName}“ fehlgeschlagen`, intro: "Die Datei wurde nicht übernommen.", lines: [err.message] }); return; }
+    const data = { ...defaultPlanState(today), ...parsed.data };
+    const errors = validatePlan(data);
+    if (errors.length) { setDialog({ title: `Import von „${fileName}“ fehlgeschlagen`, intro: "Die Datei wurde nicht übernommen. Ungültige Felder:", lines: errors }); return; }
+    addProject(data.chartTitle, data);
+    if (parsed.warnings.length) setDialog({ title: `„${fileName}“ aus MS Project übernommen`, intro: "Nicht alles ließ sich abbilden:", lines: parsed.warnings });
   };
 
   const handleImportJSONClick = () => { fileRef.current?.click(); };
   const handleImportJSONFile = (e) => {
     const file = e.target.files?.[0]; if (!file) return; const reader = new FileReader();
     reader.onload = () => {
-      const data = tryParse(String(reader.result)); if (!data) return;
-      try {
-        if (data.chartTitle) setChartTitle(String(data.chartTitle));
-        if (data.startDate) setStartDate(String(data.startDate));
-        if (Array.isArray(data.phases)) { setPhases(data.phases.map((p, i) => ({ id: i, name: String(p.name ?? `Phase ${i + 1}`), personDays: Number(p.personDays ?? 0), persons: Number(p.persons ?? 0), daysPerWeekPerPerson: Number(p.daysPerWeekPerPerson ?? 0), goLive: !!p.goLive, color: sanitizeHexColor(p.color ?? "#D95017", "#D95017"), endOverride: String(p.endOverride ?? "") }))); setPhaseCount(data.phases.length); }
-        if (typeof data.aggMode === "string") setAggMode(data.aggMode);
-        if (data.orgColor) setOrgColor(sanitizeHexColor(data.orgColor, palette.softBlue));
-        if (data.orgBorderColor) setOrgBorderColor(sanitizeHexColor(data.orgBorderColor, palette.softBlueBorder));
-        if (data.hypercareColor) setHypercareColor(sanitizeHexColor(data.hypercareColor, palette.accentLight));
-        if (data.hypercareBorderColor) setHypercareBorderColor(sanitizeHexColor(data.hypercareBorderColor, palette.orange));
-        if (Array.isArray(data.milestones)) { setMilestones(data.milestones.map((m, i) => ({ id: i, name: String(m.name ?? `Meilenstein ${i + 1}`), date: String(m.date ?? "") }))); setMilestoneCount(data.milestones.length); }
-      } catch (e) { /* noop */ }
+      if (/\.xml$/i.test(file.name) || String(reader.result).trimStart().startsWith("<")) { importMspdi(file.name, String(reader.result)); return; }
+      const { data, errors } = parsePlanDocument(String(reader.result));
+      if (errors.length) { setDialog({ title: `Import von „${file.name}“ fehlgeschlagen`, intro: "Die Datei wurde nicht übernommen. Ungültige Felder:", lines: errors }); return; }
+      // Import legt ein neues Projekt an, statt den aktuellen Plan zu überschreiben
+      addProject(String(data.chartTitle || file.name.replace(/\.json$/i, "")), data);
     };
+    reader.onerror = () => { setDialog({ title: `Import von „${file.name}“ fehlgeschlagen`, intro: "Die Datei konnte nicht gelesen werden.", lines: [String(reader.error?.message || reader.error)] }); };
     reader.readAsText(file);
     // reset input value to allow re-uploading the same file later
     e.target.value = "";
   };
 
   const fmtNum = (x) => (x || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+  const levels = phaseLevels(phases);
+  const showCost = schedule.totalCost > 0 || budget > 0;
 
   return (
     <div className="min-h-screen w-full bg-white text-slate-900">
       {/* Header */}
       <header className="sticky top-0 z-10 border-b border-[#E9E9E9] bg-white/90 backdrop-blur px-6 py-4 flex items-center justify-between">
-        <h1 className="text-2xl font-semibold tracking-tight" style={{ color: palette.orange }}>Roadmap-Konfigurator</h1>
-        <div className="flex items-center gap-2">
-          <button className="rounded-2xl px-3 h-10 text-white shadow" style={{ backgroundColor: palette.black }} onClick={handleExportJSON}>Daten speichern</button>
-          <button className="rounded-2xl px-3 h-10 text-white shadow" style={{ backgroundColor: palette.orange }} onClick={handleImportJSONClick}>Daten laden</button>
-          <input type="file" accept="application/json" ref={fileRef} onChange={handleImportJSONFile} className="hidden" />
+        <div className="flex flex-wrap items-center gap-3">
+          <h1 className="text-2xl font-semibold tracking-tight" style={{ color: palette.orange }}>Roadmap-Konfigurator</h1>
+          {readOnly && <span className="rounded-lg px-2 py-1 text-sm" style={{ background: palette.accentLight }}>Geteilter Plan – nur Lesen</span>}
+          {/* Projektwechsel */}
+          {!readOnly && <>
+            <select className="h-9 rounded-lg border px-2 text-sm" style={{ borderColor: palette.grayLight }} value={activeProjectId} onChange={(e) => switchProject(e.target.value)} title="Projekt wechseln">
+              {projects.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <input type="text" className="h-9 w-44 rounded-lg border px-2 text-sm" style={{ borderColor: palette.grayLight }} value={projects.find((p) => p.id === activeProjectId)?.name || ""} onChange={(e) => renameProject(e.target.value)} title="Projekt umbenennen" />
+            <button type="button" className="text-sm underline" onClick={createProject}>Neu</button>
+            <button type="button" className="text-sm underline" onClick={duplicateProject}>Duplizieren</button>
+            <button type="button" className="text-sm underline disabled:opacity-50" disabled={projects.length <= 1} onClick={deleteProject}>Löschen</button>
+            <button type="button" className="rounded-xl px-3 h-9 text-sm border" style={{ borderColor: palette.grayLight, background: view === "portfolio" ? palette.accentLight : "transparent" }} onClick={() => setView(view === "portfolio" ? "plan" : "portfolio")}>{view === "portfolio" ? "Zurück zum Projekt" : "Portfolio"}</button>
+          </>}
         </div>
+        {readOnly ? (
+          <div className="flex items-center gap-2">
+            <button type="button" className="rounded-xl px-3 h-10 text-sm border" style={{ borderColor: palette.grayLight }} onClick={leaveSharedView}>Eigene Pläne öffnen</button>
+            <button className="rounded-2xl px-3 h-10 text-white shadow" style={{ backgroundColor: palette.orange }} onClick={adoptSharedPlan}>In meine Pläne übernehmen</button>
+          </div>
+        ) : (
+          <div className="flex items-center gap-2">
+            <button type="button" className="rounded-xl px-3 h-10 text-sm border" style={{ borderColor: palette.grayLight }} onClick={handleShareLink} title="Plan als Link (im URL-Fragment) weitergeben">Link teilen</button>
+            <button type="button" className="rounded-xl px-3 h-10 text-sm border disabled:opacity-40" style={{ borderColor: palette.grayLight }} disabled={!historyInfo.past} onClick={undo} title="Rückgängig (Strg+Z)">↶ Rückgängig</button>
+            <button type="button" className="rounded-xl px-3 h-10 text-sm border disabled:opacity-40" style={{ borderColor: palette.grayLight }} disabled={!historyInfo.future} onClick={redo} title="Wiederholen (Strg+Umschalt+Z)">↷ Wiederholen</button>
+            <button className="rounded-2xl px-3 h-10 text-white shadow" style={{ backgroundColor: palette.black }} onClick={handleExportJSON}>Daten speichern</button>
+            <button className="rounded-2xl px-3 h-10 text-white shadow" style={{ backgroundColor: palette.orange }} onClick={handleImportJSONClick} title="JSON oder MS-Project-XML (MSPDI)">Daten laden</button>
+            <input type="file" accept="application/json,.json,application/xml,text/xml,.xml" ref={fileRef} onChange={handleImportJSONFile} className="hidden" />
+          </div>
+        )}
       </header>
 
-      <main className="mx-auto max-w-6xl px-6 py-6 grid gap-8">
-        {/* Config Panel */}
-        <section className="rounded-2xl border border-[#E9E9E9] shadow-sm p-5">
+      {view === "portfolio" && portfolio && (
+        <main className="mx-auto max-w-6xl px-6 py-6 grid gap-8">
+          <PortfolioView portfolio={portfolio} aggMode={portfolioAgg} onAggMode={setPortfolioAgg} capacity={portfolioCapacity} onCapacity={setPortfolioCapacity} onOpen={switchProject} />
+        </main>
+      )}
+
+      {/* Projektansicht (bleibt gemountet, damit Messungen/Refs erhalten bleiben) */}
+      <main className="mx-auto max-w-6xl px-6 py-6 grid gap-8" style={{ display: view === "portfolio" ? "none" : undefined }}>
+        {/* Config Panel (im Betrachter ausgeblendet) */}
+        {!readOnly && <section className="rounded-2xl border border-[#E9E9E9] shadow-sm p-5">
           <div className="grid grid-cols-1 lg:grid-cols-12 gap-4">
             {/* Titel */}
             <label className="lg:col-span-4 flex flex-col gap-1">
@@ -537,7 +3813,7 @@ export default function ProjektplanWebapp() {
 
             {/* Formel + Auswertungsauswahl */}
             <div className="lg:col-span-12 flex items-center gap-3">
-              <div className="text-xs text-slate-700 rounded-lg bg-[#F8E1D7] px-3 py-2">Dauer (Wochen) = Personentage / (Personen * Tage/Woche/Person)</div>
+              <div className="text-xs text-slate-700 rounded-lg bg-[#F8E1D7] px-3 py-2">Dauer (Wochen) = Personentage / (Personen * Tage/Woche/Person){calendarMode === "workdays" ? " · 1 Woche = 5 Arbeitstage" : ""}</div>
               <div className="ml-auto flex items-center gap-2">
                 <label className="text-sm text-slate-700">Auswertung:</label>
                 <select className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={aggMode} onChange={(e) => setAggMode(e.target.value)}>
@@ -548,8 +3824,68 @@ export default function ProjektplanWebapp() {
               </div>
             </div>
 
+            {/* Kosten */}
+            <div className="lg:col-span-12 flex flex-wrap items-end gap-4">
+              <label className="flex flex-col gap-1">
+                <span className="text-sm font-medium text-slate-700">Projektbudget (€)</span>
+                <input type="number" min={0} step={1000} className="h-10 w-44 rounded-xl border px-3" style={{ borderColor: palette.grayLight }} value={budget || ""} placeholder="kein Budget" onChange={(e) => setBudget(Math.max(0, parseFloat(e.target.value || "0")))} />
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-sm font-medium text-slate-700">Standardtagessatz (€/PT)</span>
+                <input type="number" min={0} step={50} className="h-10 w-44 rounded-xl border px-3" style={{ borderColor: palette.grayLight }} value={defaultDailyRate || ""} placeholder="0" onChange={(e) => setDefaultDailyRate(Math.max(0, parseFloat(e.target.value || "0")))} />
+              </label>
+              <div className="text-xs text-slate-500 pb-2">Tagessatz: Ressource vor Phase vor Standard.</div>
+            </div>
+
+            {/* Arbeitskalender */}
+            <div className="lg:col-span-12 grid grid-cols-1 lg:grid-cols-12 gap-4">
+              <label className="lg:col-span-3 flex flex-col gap-1">
+                <span className="text-sm font-medium text-slate-700">Kalender</span>
+                <select className="h-10 rounded-xl border px-2" style={{ borderColor: palette.grayLight }} value={calendarMode} onChange={(e) => setCalendarMode(e.target.value)}>
+                  <option value="calendar">Kalendertage</option>
+                  <option value="workdays">Arbeitstage (Mo–Fr)</option>
+                </select>
+              </label>
+              <label className="lg:col-span-3 flex flex-col gap-1">
+                <span className="text-sm font-medium text-slate-700">Feiertage (Bundesland)</span>
+                <select className="h-10 rounded-xl border px-2" style={{ borderColor: palette.grayLight }} value={holidayRegion} disabled={calendarMode !== "workdays"} onChange={(e) => setHolidayRegion(e.target.value)}>
+                  {BUNDESLAENDER.map(([code, name]) => <option key={code || "none"} value={code}>{name}</option>)}
+                </select>
+              </label>
+              <div className="lg:col-span-6 flex flex-col gap-1">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-medium text-slate-700">Betriebsruhe</span>
+                  <button type="button" className="ml-auto text-xs underline disabled:opacity-50" disabled={calendarMode !== "workdays"} onClick={addClosure}>+ Zeitraum</button>
+                </div>
+                {closures.length === 0 && <div className="text-xs text-slate-500">Keine Schließtage definiert (z. B. Weihnachtsruhe).</div>}
+                {closures.map((c, i) => (
+                  <div key={`cl-${i}`} className="flex items-center gap-2">
+                    <input type="text" className="flex-1 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={c.name} onChange={(e) => updateClosure(i, { name: e.target.value })} />
+                    <input type="date" className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={c.start} onChange={(e) => updateClosure(i, { start: e.target.value })} title="von" />
+                    <input type="date" className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={c.end} onChange={(e) => updateClosure(i, { end: e.target.value })} title="bis" />
+                    <button type="button" className="text-xs underline" onClick={() => removeClosure(i)} title="Zeitraum entfernen">Entfernen</button>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Validierung der Abhängigkeiten */}
+            {schedule.issues.length > 0 && (
+              <div className="lg:col-span-12 rounded-xl border border-red-300 bg-red-50 px-4 py-3 text-sm text-red-800">
+                <div className="font-medium mb-1">Bitte Abhängigkeiten prüfen:</div>
+                <ul className="list-disc pl-5">
+                  {schedule.issues.map((msg, i) => <li key={`iss-${i}`}>{msg}</li>)}
+                </ul>
+              </div>
+            )}
+
             {/* Phasenliste */}
-            <div className="lg:col-span-12 mt-2 overflow-auto">
+            <div className="lg:col-span-12 mt-2 flex items-center gap-3">
+              <h4 className="font-medium">Phasen</h4>
+              <button type="button" className="text-xs underline" onClick={handleExportPhasesCsv} title="Terminierte Phasen als CSV (Excel)">CSV-Export</button>
+              <button type="button" className="text-xs underline" onClick={() => setCsvImport({ text: "" })} title="Phasenliste aus CSV oder Excel übernehmen">CSV-Import</button>
+            </div>
+            <div className="lg:col-span-12 overflow-auto">
               <table className="w-full text-sm">
                 <thead>
                   <tr className="text-left border-b" style={{ borderColor: palette.grayLight }}>
@@ -559,28 +3895,118 @@ export default function ProjektplanWebapp() {
                     <th className="py-2 pr-2">Personentage</th>
                     <th className="py-2 pr-2">Personen</th>
                     <th className="py-2 pr-2">Tage/Woche/Person</th>
+                    <th className="py-2 pr-2" title="Für nicht zugeordneten Aufwand; leer = Standardtagessatz">Tagessatz (€)</th>
                     <th className="py-2 pr-2">GoLive relevant</th>
-                    <th className="py-2 pr-2">Dauer (Tage)</th>
+                    <th className="py-2 pr-2">{calendarMode === "workdays" ? "Dauer (Arbeitstage)" : "Dauer (Tage)"}</th>
+                    <th className="py-2 pr-2" title="Verschiebbarkeit ohne Auswirkung auf das Projektende (inkl. blockierender Nachlauf-Blöcke)">Puffer (Tage)</th>
                     <th className="py-2 pr-2">Start</th>
+                    {schedule.baseline && <th className="py-2 pr-2" title={`Verschiebung gegenüber „${schedule.baseline.name}“ in Kalendertagen`}>Abw. Start / Ende</th>}
                     <th className="py-2 pr-2">Ende (Override)</th>
+                    <th className="py-2 pr-2">Fortschritt (%)</th>
+                    <th className="py-2 pr-2" title="Ist-Termine übersteuern die Planung">Ist-Start / Ist-Ende</th>
+                    <th className="py-2 pr-2" title="EA = Ende → Anfang, AA = Anfang → Anfang, EE = Ende → Ende; Verzug in Tagen">Vorgänger</th>
+                    <th className="py-2 pr-2" />
                   </tr>
                 </thead>
                 <tbody>
                   {schedule.computed.map((comp, i) => (
-                    <tr key={i} className="border-b last:border-b-0" style={{ borderColor: palette.grayLight }}>
-                      <td className="py-2 pr-2 text-slate-500">{i + 1}</td>
-                      <td className="py-2 pr-2"><input type="text" className="w-full h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={phases[i]?.name || ""} onChange={(e) => updatePhase(i, { name: e.target.value })} /></td>
+                    <tr
+                      key={comp.id}
+                      className="border-b last:border-b-0"
+                      style={{ borderColor: palette.grayLight, opacity: rowDrag?.from === i ? 0.5 : 1, boxShadow: rowDrag && rowDrag.over === i && rowDrag.from !== i ? `inset 0 ${rowDrag.from > i ? 2 : -2}px 0 ${palette.orange}` : undefined }}
+                      onDragOver={(e) => { if (!rowDrag) return; e.preventDefault(); if (rowDrag.over !== i) setRowDrag({ ...rowDrag, over: i }); }}
+                      onDrop={(e) => { e.preventDefault(); if (rowDrag) reorderPhase(rowDrag.from, i); setRowDrag(null); }}
+                    >
+                      <td className="py-2 pr-2 text-slate-500 whitespace-nowrap">
+                        <span draggable className="cursor-grab select-none pr-1" title="Ziehen zum Umsortieren" onDragStart={(e) => { e.dataTransfer.effectAllowed = "move"; e.dataTransfer.setData("text/plain", comp.id); setRowDrag({ from: i, over: i }); }} onDragEnd={() => setRowDrag(null)}>⠿</span>{i + 1}
+                      </td>
+                      <td className="py-2 pr-2" style={{ paddingLeft: levels[i] * 20 }}><input type="text" className="w-full h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight, fontWeight: comp.summary ? 600 : undefined }} value={phases[i]?.name || ""} onChange={(e) => updatePhase(i, { name: e.target.value })} /></td>
                       <td className="py-2 pr-2"><input type="color" className="h-9 w-14 rounded border" value={phases[i]?.color || "#D95017"} onChange={(e) => updatePhase(i, { color: e.target.value })} title="Phasenfarbe" /></td>
-                      <td className="py-2 pr-2"><input type="number" min={0} step={0.5} className="w-28 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={phases[i]?.personDays} onChange={(e) => updatePhase(i, { personDays: parseFloat(e.target.value || "0") })} /></td>
-                      <td className="py-2 pr-2"><input type="number" min={0} step={1} className="w-24 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={phases[i]?.persons} onChange={(e) => updatePhase(i, { persons: parseInt(e.target.value || "0", 10) })} /></td>
-                      <td className="py-2 pr-2"><input type="number" min={0} step={0.5} className="w-32 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={phases[i]?.daysPerWeekPerPerson} onChange={(e) => updatePhase(i, { daysPerWeekPerPerson: parseFloat(e.target.value || "0") })} /></td>
+                      {comp.summary ? (
+                        <td className="py-2 pr-2 text-slate-500" title="Summe der Unterphasen">{fmtNum(comp.personDays)}</td>
+                      ) : (
+                        <td className="py-2 pr-2"><input type="number" min={0} step={0.5} className="w-28 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={phases[i]?.personDays} onChange={(e) => updatePhase(i, { personDays: parseFloat(e.target.value || "0") })} /></td>
+                      )}
+                      {comp.summary ? (
+                        <td className="py-2 pr-2 text-slate-400" colSpan={3}>aus Unterphasen</td>
+                      ) : effectiveStaffing(phases[i] || {}).assigned ? (
+                        <>
+                          <td className="py-2 pr-2 text-slate-500" title="Aus der Ressourcenzuordnung">{effectiveStaffing(phases[i]).persons}</td>
+                          <td className="py-2 pr-2 text-slate-500" title="Aus der Ressourcenzuordnung">{fmtNum(effectiveStaffing(phases[i]).daysPerWeekPerPerson)}</td>
+                        </>
+                      ) : (
+                        <>
+                          <td className="py-2 pr-2"><input type="number" min={0} step={1} className="w-24 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={phases[i]?.persons} onChange={(e) => updatePhase(i, { persons: parseInt(e.target.value || "0", 10) })} /></td>
+                          <td className="py-2 pr-2"><input type="number" min={0} step={0.5} className="w-32 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={phases[i]?.daysPerWeekPerPerson} onChange={(e) => updatePhase(i, { daysPerWeekPerPerson: parseFloat(e.target.value || "0") })} /></td>
+                        </>
+                      )}
+                      {!comp.summary && <td className="py-2 pr-2"><input type="number" min={0} step={50} className="w-28 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={phases[i]?.dailyRate || ""} placeholder={defaultDailyRate ? String(defaultDailyRate) : "–"} onChange={(e) => updatePhase(i, { dailyRate: parseFloat(e.target.value || "0") })} /></td>}
                       <td className="py-2 pr-2"><label className="inline-flex items-center gap-2"><input type="checkbox" checked={phases[i]?.goLive || false} onChange={(e) => updatePhase(i, { goLive: e.target.checked })} className="h-4 w-4" /><span>GoLive</span></label></td>
                       <td className="py-2 pr-2">{comp.days}</td>
+                      <td className="py-2 pr-2 whitespace-nowrap" title={`Frühester Start ${comp.start} · Frühestes Ende ${comp.end}\nSpätester Start ${comp.lateStart} · Spätestes Ende ${comp.lateFinish}`} style={{ color: comp.critical ? palette.critical : undefined, fontWeight: comp.critical ? 600 : undefined }}>
+                        {comp.slack}{comp.critical && <span className="ml-1 text-xs">kritisch</span>}
+                      </td>
                       <td className="py-2 pr-2">{comp.start}</td>
+                      {schedule.baseline && (
+                        <td className="py-2 pr-2 whitespace-nowrap">
+                          {schedule.variance[i] ? (
+                            <span style={{ color: schedule.variance[i].endShift > 0 ? palette.critical : undefined }}>
+                              {fmtShift(schedule.variance[i].startShift)} / {fmtShift(schedule.variance[i].endShift)} T
+                            </span>
+                          ) : <span className="text-slate-400" title="Im Basisplan nicht enthalten">neu</span>}
+                        </td>
+                      )}
+                      {comp.summary ? (
+                        <>
+                          <td className="py-2 pr-2 text-slate-500" title="Ende der letzten Unterphase">{comp.end}</td>
+                          <td className="py-2 pr-2 text-slate-500" title="Nach Personentagen gewichtet">{fmtNum(comp.percentComplete)}</td>
+                          <td className="py-2 pr-2 text-slate-400">–</td>
+                        </>
+                      ) : (
+                        <>
+                          <td className="py-2 pr-2">
+                            <div className="flex items-center gap-2">
+                              <input type="date" className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={phases[i]?.endOverride || comp.end} onChange={(e) => { const v = e.target.value; if (!v || v === comp.end) updatePhase(i, { endOverride: "" }); else updatePhase(i, { endOverride: v }); }} />
+                              <button type="button" className="text-xs underline" onClick={() => updatePhase(i, { endOverride: "" })} title="Override entfernen">Zurücksetzen</button>
+                            </div>
+                          </td>
+                          <td className="py-2 pr-2"><input type="number" min={0} max={100} step={5} className="w-20 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={phases[i]?.actualFinish ? 100 : phases[i]?.percentComplete || 0} disabled={!!phases[i]?.actualFinish} onChange={(e) => updatePhase(i, { percentComplete: Math.min(100, Math.max(0, parseFloat(e.target.value || "0"))) })} /></td>
+                          <td className="py-2 pr-2">
+                            <div className="flex flex-col gap-1">
+                              <input type="date" className="h-8 rounded-lg border px-1" style={{ borderColor: palette.grayLight }} value={phases[i]?.actualStart || ""} onChange={(e) => updatePhase(i, { actualStart: e.target.value })} title="Ist-Start" />
+                              <input type="date" className="h-8 rounded-lg border px-1" style={{ borderColor: palette.grayLight }} value={phases[i]?.actualFinish || ""} onChange={(e) => updatePhase(i, { actualFinish: e.target.value })} title="Ist-Ende" />
+                            </div>
+                          </td>
+                        </>
+                      )}
+                      <td className="py-2 pr-2">
+                        <div className="flex flex-col gap-1">
+                          {(phases[i]?.deps || []).map((d, k) => (
+                            <div key={`dep-${i}-${k}`} className="flex items-center gap-1 whitespace-nowrap">
+                              <select className="h-8 w-36 rounded-lg border px-1" style={{ borderColor: palette.grayLight }} value={d.from} onChange={(e) => updateDep(i, k, { from: e.target.value })}>
+                                {!phases.some((p) => p.id === d.from) && <option value={d.from}>(gelöscht)</option>}
+                                {phases.map((p, idx) => idx !== i && <option key={`dopt-${p.id}`} value={p.id}>{idx + 1}. {p.name || `Phase ${idx + 1}`}</option>)}
+                              </select>
+                              <select className="h-8 rounded-lg border px-1" style={{ borderColor: palette.grayLight }} value={d.type} onChange={(e) => updateDep(i, k, { type: e.target.value })}>
+                                {DEP_TYPES.map(([t, short, long]) => <option key={t} value={t} title={long}>{short}</option>)}
+                              </select>
+                              <input type="number" step={1} className="h-8 w-16 rounded-lg border px-1" style={{ borderColor: palette.grayLight }} value={d.lag} onChange={(e) => updateDep(i, k, { lag: parseInt(e.target.value || "0", 10) })} title="Verzug in Tagen (negativ = Überlappung)" />
+                              <button type="button" className="text-xs underline" onClick={() => removeDep(i, k)} title="Abhängigkeit entfernen">×</button>
+                            </div>
+                          ))}
+                          {phases.length > 1 && <button type="button" className="text-xs underline self-start" onClick={() => addDep(i)}>+ Vorgänger</button>}
+                        </div>
+                      </td>
                       <td className="py-2 pr-2">
-                        <div className="flex items-center gap-2">
-                          <input type="date" className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={phases[i]?.endOverride || comp.end} onChange={(e) => { const v = e.target.value; if (!v || v === comp.end) updatePhase(i, { endOverride: "" }); else updatePhase(i, { endOverride: v }); }} />
-                          <button type="button" className="text-xs underline" onClick={() => updatePhase(i, { endOverride: "" })} title="Override entfernen">Zurücksetzen</button>
+                        <div className="flex flex-col gap-1 items-start whitespace-nowrap">
+                          <button type="button" className="text-xs underline" onClick={() => insertPhaseAfter(i)} title="Neue Phase darunter einfügen">+ Darunter</button>
+                          {levels[i] < MAX_PHASE_DEPTH - 1 && <button type="button" className="text-xs underline" onClick={() => addSubphase(i)}>+ Unterphase</button>}
+                          <span className="flex gap-2">
+                            <button type="button" className="text-xs underline" onClick={() => outdentRow(i)} disabled={!levels[i]} title="Eine Ebene höher">← Ausrücken</button>
+                            <button type="button" className="text-xs underline" onClick={() => indentRow(i)} title="Unter die vorherige Phase gleicher Ebene">Einrücken →</button>
+                          </span>
+                          <button type="button" className="text-xs underline" onClick={() => duplicatePhase(i)}>Duplizieren</button>
+                          <button type="button" className="text-xs underline disabled:opacity-50" disabled={subtreeEnd(phases, i) - i >= phases.length} onClick={() => deletePhase(i)} title="Löscht die Phase samt Unterphasen; Nachfolger übernehmen deren Vorgänger">Löschen</button>
                         </div>
                       </td>
                     </tr>
@@ -589,6 +4015,62 @@ export default function ProjektplanWebapp() {
               </table>
             </div>
 
+            {/* Nach dem GoLive: Hypercare + Nachlauf-Blöcke je GoLive-Phase */}
+            {phases.some((p) => p.goLive) && (
+              <div className="lg:col-span-12 mt-6">
+                <h4 className="font-medium mb-2">Nach dem GoLive</h4>
+                <div className="overflow-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left border-b" style={{ borderColor: palette.grayLight }}>
+                        <th className="py-2 pr-2">GoLive-Phase</th>
+                        <th className="py-2 pr-2">Block</th>
+                        <th className="py-2 pr-2">Farbe</th>
+                        <th className="py-2 pr-2">Dauer (Wochen)</th>
+                        <th className="py-2 pr-2" title="Fließen in Burnrate und Kosten (Tagessatz der Phase)">Personentage</th>
+                        <th className="py-2 pr-2" title="Ende→Anfang-Nachfolger starten erst nach dem Block">Blockiert Nachfolger</th>
+                        <th className="py-2 pr-2">Zeitraum</th>
+                        <th className="py-2 pr-2" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {phases.map((p, i) => {
+                        if (!p.goLive) return null;
+                        const post = schedule.computed[i]?.post || [];
+                        const span = (id) => { const b = post.find((x) => x.id === id); return b ? `${b.start} – ${b.end}` : "–"; };
+                        return (
+                          <React.Fragment key={`pg-${p.id}`}>
+                            <tr className="border-t" style={{ borderColor: palette.grayLight }}>
+                              <td className="py-2 pr-2 font-medium" rowSpan={1 + (p.postBlocks || []).length}>{p.name || `Phase ${i + 1}`}</td>
+                              <td className="py-2 pr-2">Hypercare</td>
+                              <td className="py-2 pr-2 text-xs text-slate-500">siehe Darstellung</td>
+                              <td className="py-2 pr-2"><input type="number" min={0} step={0.5} className="w-24 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={p.hypercareWeeks ?? 2} onChange={(e) => updatePhase(i, { hypercareWeeks: Math.max(0, parseFloat(e.target.value || "0")) })} title="0 = keine Hypercare" /></td>
+                              <td className="py-2 pr-2"><input type="number" min={0} step={0.5} className="w-24 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={p.hypercarePD ?? 0} onChange={(e) => updatePhase(i, { hypercarePD: Math.max(0, parseFloat(e.target.value || "0")) })} /></td>
+                              <td className="py-2 pr-2"><input type="checkbox" className="h-4 w-4" checked={p.hypercareBlocking !== false} onChange={(e) => updatePhase(i, { hypercareBlocking: e.target.checked })} /></td>
+                              <td className="py-2 pr-2 whitespace-nowrap text-slate-500">{span(HYPERCARE_ID)}</td>
+                              <td className="py-2 pr-2"><button type="button" className="text-xs underline" onClick={() => addPostBlock(i)}>+ Nachlauf-Block</button></td>
+                            </tr>
+                            {(p.postBlocks || []).map((b, k) => (
+                              <tr key={`pb-${p.id}-${b.id}`}>
+                                <td className="py-2 pr-2"><input type="text" className="w-full h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={b.name} onChange={(e) => updatePostBlock(i, k, { name: e.target.value })} /></td>
+                                <td className="py-2 pr-2"><input type="color" className="h-9 w-14 rounded border" value={b.color} onChange={(e) => updatePostBlock(i, k, { color: e.target.value })} title="Blockfarbe" /></td>
+                                <td className="py-2 pr-2"><input type="number" min={0} step={0.5} className="w-24 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={b.weeks} onChange={(e) => updatePostBlock(i, k, { weeks: Math.max(0, parseFloat(e.target.value || "0")) })} /></td>
+                                <td className="py-2 pr-2"><input type="number" min={0} step={0.5} className="w-24 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={b.personDays} onChange={(e) => updatePostBlock(i, k, { personDays: Math.max(0, parseFloat(e.target.value || "0")) })} /></td>
+                                <td className="py-2 pr-2"><input type="checkbox" className="h-4 w-4" checked={!!b.blocking} onChange={(e) => updatePostBlock(i, k, { blocking: e.target.checked })} /></td>
+                                <td className="py-2 pr-2 whitespace-nowrap text-slate-500">{span(b.id)}</td>
+                                <td className="py-2 pr-2"><button type="button" className="text-xs underline" onClick={() => removePostBlock(i, k)}>Entfernen</button></td>
+                              </tr>
+                            ))}
+                          </React.Fragment>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="text-xs text-slate-500 mt-1">Blöcke folgen lückenlos aufeinander; Nachfolger (EA) warten bis zum Ende des letzten blockierenden Blocks.</div>
+              </div>
+            )}
+
             {/* Meilensteine */}
             <div className="lg:col-span-12 mt-6">
               <div className="flex items-center gap-3 mb-2">
@@ -606,15 +4088,119 @@ export default function ProjektplanWebapp() {
                       <tr className="text-left border-b" style={{ borderColor: palette.grayLight }}>
                         <th className="py-2 pr-2" style={{ width: 60 }}>#</th>
                         <th className="py-2 pr-2">Name</th>
-                        <th className="py-2 pr-2" style={{ width: 220 }}>Datum</th>
+                        <th className="py-2 pr-2">Typ</th>
+                        <th className="py-2 pr-2" style={{ width: 180 }}>Datum</th>
+                        <th className="py-2 pr-2" title="An Start oder Ende einer Phase verankert – wandert mit der Terminierung">Verankerung</th>
+                        <th className="py-2 pr-2" />
                       </tr>
                     </thead>
                     <tbody>
                       {Array.from({ length: milestoneCount }).map((_, i) => (
-                        <tr key={`msr-${i}`} className="border-b last:border-b-0" style={{ borderColor: palette.grayLight }}>
+                        <tr key={milestones[i]?.id ?? `msr-${i}`} className="border-b last:border-b-0" style={{ borderColor: palette.grayLight }}>
                           <td className="py-2 pr-2 text-slate-500">{i + 1}</td>
                           <td className="py-2 pr-2"><input type="text" className="w-full h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={milestones[i]?.name || `Meilenstein ${i + 1}`} onChange={(e) => updateMilestone(i, { name: e.target.value })} /></td>
-                          <td className="py-2 pr-2"><input type="date" className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={milestones[i]?.date || ""} onChange={(e) => updateMilestone(i, { date: e.target.value })} /></td>
+                          <td className="py-2 pr-2">
+                            <select className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={milestones[i]?.type || "milestone"} onChange={(e) => updateMilestone(i, { type: e.target.value })}>
+                              {Object.entries(MILESTONE_TYPES).map(([type, t]) => <option key={type} value={type}>{t.label}</option>)}
+                            </select>
+                          </td>
+                          <td className="py-2 pr-2">
+                            {schedule.milestones[i]?.anchored
+                              ? <span className="inline-block h-9 leading-9 px-2" style={{ color: palette.grayDark }} title="Ergibt sich aus der Verankerung">{schedule.milestones[i].date}</span>
+                              : <input type="date" className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={milestones[i]?.date || ""} onChange={(e) => updateMilestone(i, { date: e.target.value })} />}
+                          </td>
+                          <td className="py-2 pr-2">
+                            <div className="flex items-center gap-1">
+                              <select className="h-9 w-40 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={milestones[i]?.anchorPhaseId || ""} onChange={(e) => updateMilestone(i, e.target.value ? { anchorPhaseId: e.target.value } : { anchorPhaseId: "", date: schedule.milestones[i]?.date || milestones[i]?.date || "" })}>
+                                <option value="">festes Datum</option>
+                                {phases.map((p, k) => <option key={p.id} value={p.id}>{p.name || `Phase ${k + 1}`}</option>)}
+                              </select>
+                              {milestones[i]?.anchorPhaseId && <>
+                                <select className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={milestones[i].anchorEdge} onChange={(e) => updateMilestone(i, { anchorEdge: e.target.value })}>
+                                  <option value="start">Start</option>
+                                  <option value="end">Ende</option>
+                                </select>
+                                <input type="number" className="h-9 w-16 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={milestones[i].anchorLag} onChange={(e) => updateMilestone(i, { anchorLag: Math.round(Number(e.target.value) || 0) })} title={calendarMode === "workdays" ? "Versatz in Arbeitstagen (negativ = davor)" : "Versatz in Tagen (negativ = davor)"} />
+                              </>}
+                            </div>
+                          </td>
+                          <td className="py-2 pr-2 whitespace-nowrap">
+                            <button type="button" className="text-xs underline mr-2" onClick={() => insertMilestoneAfter(i)}>+ Darunter</button>
+                            <button type="button" className="text-xs underline mr-2" onClick={() => duplicateMilestone(i)}>Duplizieren</button>
+                            <button type="button" className="text-xs underline" onClick={() => deleteMilestone(i)}>Löschen</button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Ressourcen-Pool */}
+            <div className="lg:col-span-12 mt-6">
+              <div className="flex items-center gap-3 mb-2">
+                <h4 className="font-medium">Ressourcen</h4>
+                <button type="button" className="ml-auto text-sm underline" onClick={addResource}>+ Ressource</button>
+              </div>
+              {resources.length === 0 ? (
+                <div className="text-xs text-slate-500">Ohne Ressourcen wird je Phase mit anonymen Personen und Tagen/Woche gerechnet.</div>
+              ) : (
+                <div className="overflow-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left border-b" style={{ borderColor: palette.grayLight }}>
+                        <th className="py-2 pr-2">Name</th>
+                        <th className="py-2 pr-2">Rolle</th>
+                        <th className="py-2 pr-2">Kapazität (Tage/Woche)</th>
+                        <th className="py-2 pr-2">Tagessatz (€)</th>
+                        <th className="py-2 pr-2">Abwesenheiten</th>
+                        <th className="py-2 pr-2" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {resources.map((r) => (
+                        <tr key={r.id} className="border-b last:border-b-0 align-top" style={{ borderColor: palette.grayLight }}>
+                          <td className="py-2 pr-2"><input type="text" className="w-full h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={r.name} onChange={(e) => updateResource(r.id, { name: e.target.value })} /></td>
+                          <td className="py-2 pr-2"><input type="text" className="w-full h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={r.role} placeholder="z. B. Entwickler" onChange={(e) => updateResource(r.id, { role: e.target.value })} /></td>
+                          <td className="py-2 pr-2"><input type="number" min={0} max={7} step={0.5} className="w-24 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={r.capacity} onChange={(e) => updateResource(r.id, { capacity: parseFloat(e.target.value || "0") })} /></td>
+                          <td className="py-2 pr-2"><input type="number" min={0} step={50} className="w-28 h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={r.dailyRate} onChange={(e) => updateResource(r.id, { dailyRate: parseFloat(e.target.value || "0") })} /></td>
+                          <td className="py-2 pr-2">
+                            <div className="flex flex-col gap-1">
+                              {r.absences.map((a, k) => (
+                                <div key={`abs-${r.id}-${k}`} className="flex items-center gap-1">
+                                  <input type="date" className="h-8 rounded-lg border px-1" style={{ borderColor: palette.grayLight }} value={a.start} onChange={(e) => updateAbsence(r.id, k, { start: e.target.value })} title="von" />
+                                  <input type="date" className="h-8 rounded-lg border px-1" style={{ borderColor: palette.grayLight }} value={a.end} onChange={(e) => updateAbsence(r.id, k, { end: e.target.value })} title="bis" />
+                                  <button type="button" className="text-xs underline" onClick={() => updateResource(r.id, { absences: r.absences.filter((_, idx) => idx !== k) })} title="Abwesenheit entfernen">×</button>
+                                </div>
+                              ))}
+                              <button type="button" className="text-xs underline self-start" onClick={() => updateResource(r.id, { absences: [...r.absences, { start: "", end: "" }] })}>+ Abwesenheit</button>
+                            </div>
+                          </td>
+                          <td className="py-2 pr-2"><button type="button" className="text-xs underline" onClick={() => removeResource(r.id)}>Entfernen</button></td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  {/* Zuordnung Phase × Ressource (Tage/Woche) */}
+                  <h5 className="text-sm font-medium mt-4 mb-1">Zuordnung (Tage/Woche je Phase)</h5>
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left border-b" style={{ borderColor: palette.grayLight }}>
+                        <th className="py-2 pr-2">Phase</th>
+                        {resources.map((r) => <th key={`ah-${r.id}`} className="py-2 pr-2">{r.name}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {phases.map((p, i) => (
+                        <tr key={`asg-${p.id}`} className="border-b last:border-b-0" style={{ borderColor: palette.grayLight }}>
+                          <td className="py-2 pr-2">{p.name || `Phase ${i + 1}`}</td>
+                          {resources.map((r) => (
+                            <td key={`ac-${i}-${r.id}`} className="py-2 pr-2">
+                              <input type="number" min={0} max={7} step={0.5} className="w-20 h-8 rounded-lg border px-1" style={{ borderColor: palette.grayLight }} value={(p.assignments || []).find((a) => a.resourceId === r.id)?.daysPerWeek || ""} placeholder="–" onChange={(e) => setAssignment(i, r.id, parseFloat(e.target.value || "0"))} />
+                            </td>
+                          ))}
                         </tr>
                       ))}
                     </tbody>
@@ -622,78 +4208,331 @@ export default function ProjektplanWebapp() {
                 </div>
               )}
             </div>
+
+            {/* Drei-Punkt-Schätzung für die Prognose */}
+            <div className="lg:col-span-12 mt-6">
+              <div className="flex flex-wrap items-center gap-3 mb-2">
+                <h4 className="font-medium">Drei-Punkt-Schätzung</h4>
+                <label className="ml-auto flex items-center gap-2 text-sm">Läufe
+                  <input type="number" min={100} max={FORECAST_MAX_RUNS} step={100} className="h-9 w-24 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={forecastRuns} onChange={(e) => setForecastRuns(Math.min(FORECAST_MAX_RUNS, Math.max(100, parseInt(e.target.value || "0", 10) || 100)))} />
+                </label>
+                <label className="flex items-center gap-2 text-sm" title="Gleicher Seed → gleiche Prognose">Seed
+                  <input type="number" step={1} className="h-9 w-24 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={forecastSeed} onChange={(e) => setForecastSeed(parseInt(e.target.value || "0", 10) || 0)} />
+                </label>
+              </div>
+              <div className="overflow-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left border-b" style={{ borderColor: palette.grayLight }}>
+                      <th className="py-2 pr-2">Phase</th>
+                      <th className="py-2 pr-2">Optimistisch (PT)</th>
+                      <th className="py-2 pr-2">Wahrscheinlich (PT)</th>
+                      <th className="py-2 pr-2">Pessimistisch (PT)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {phases.map((p, i) => (schedule.computed[i]?.summary ? null : (
+                      <tr key={`tp-${p.id}`} className="border-b last:border-b-0" style={{ borderColor: palette.grayLight }}>
+                        <td className="py-1 pr-2">{p.name?.trim() || `Phase ${i + 1}`}</td>
+                        <td className="py-1 pr-2"><input type="number" min={0} step={0.5} className="w-24 h-8 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={p.personDaysOptimistic || ""} placeholder={fmtNum(p.personDays)} onChange={(e) => updatePhase(i, { personDaysOptimistic: Math.max(0, parseFloat(e.target.value || "0") || 0) })} /></td>
+                        <td className="py-1 pr-2"><input type="number" min={0} step={0.5} className="w-24 h-8 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={p.personDays} onChange={(e) => updatePhase(i, { personDays: parseFloat(e.target.value || "0") })} /></td>
+                        <td className="py-1 pr-2"><input type="number" min={0} step={0.5} className="w-24 h-8 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={p.personDaysPessimistic || ""} placeholder={fmtNum(p.personDays)} onChange={(e) => updatePhase(i, { personDaysPessimistic: Math.max(0, parseFloat(e.target.value || "0") || 0) })} /></td>
+                      </tr>
+                    )))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="text-xs text-slate-500 mt-1">Leere Eckwerte = kein Spielraum. Sobald eine Phase eine Spanne hat, simuliert die Prognose die Termine (Dreiecksverteilung, lokal im Browser); „Wahrscheinlich“ sind die Personentage des Plans.</div>
+            </div>
+
+            {/* Zielsuche: Besetzung aus Zieltermin */}
+            <div className="lg:col-span-12 mt-6">
+              <div className="flex flex-wrap items-center gap-3 mb-2">
+                <h4 className="font-medium">Zielsuche</h4>
+                <label className="flex items-center gap-2 text-sm">Ziel
+                  <select className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={goalSeek.target} onChange={(e) => setGoalSeek({ ...goalSeek, target: e.target.value })}>
+                    <option value="end">Projektende</option>
+                    {phases.filter((p) => p.goLive).map((p) => <option key={`gs-${p.id}`} value={p.id}>GoLive: {p.name?.trim() || "Phase"}</option>)}
+                  </select>
+                </label>
+                <label className="flex items-center gap-2 text-sm">spätestens am
+                  <input type="date" className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={goalSeek.date} onChange={(e) => setGoalSeek({ ...goalSeek, date: e.target.value })} />
+                </label>
+                <label className="flex items-center gap-2 text-sm">anpassen
+                  <select className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={goalSeek.vary} onChange={(e) => setGoalSeek({ ...goalSeek, vary: e.target.value })}>
+                    <option value="persons">Personen</option>
+                    <option value="daysPerWeekPerPerson">Tage/Woche/Person</option>
+                  </select>
+                </label>
+                {goalSeek.vary === "persons" && (
+                  <label className="flex items-center gap-2 text-sm">max. Teamgröße
+                    <input type="number" min={1} step={1} className="h-9 w-20 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={goalSeek.maxPersons} onChange={(e) => setGoalSeek({ ...goalSeek, maxPersons: Math.max(1, parseInt(e.target.value || "1", 10) || 1) })} />
+                  </label>
+                )}
+                <button type="button" className="ml-auto rounded-xl px-3 h-9 text-white disabled:opacity-40" style={{ backgroundColor: palette.black }} disabled={!goalSeek.date} onClick={runGoalSeek}>Besetzung berechnen</button>
+              </div>
+              <div className="text-xs text-slate-500">Erhöht die Besetzung terminbestimmender Phasen in ganzen Personen bzw. Tagen, bis der Zieltermin gehalten wird. Der Vorschlag wird vor dem Übernehmen angezeigt; Phasen mit Ist-Terminen, fixiertem Ende oder Ressourcen-Zuordnung bleiben unverändert.</div>
+            </div>
+
+            {/* Basispläne */}
+            <div className="lg:col-span-12 mt-6">
+              <div className="flex flex-wrap items-center gap-3 mb-2">
+                <h4 className="font-medium">Basispläne</h4>
+                <input type="text" className="ml-auto h-9 w-56 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={baselineName} placeholder={`Basisplan ${baselines.length + 1}`} onChange={(e) => setBaselineName(e.target.value)} />
+                <button type="button" className="rounded-xl px-3 h-9 text-white" style={{ backgroundColor: palette.black }} onClick={saveBaseline}>Aktuellen Plan einfrieren</button>
+              </div>
+              {baselines.length === 0 ? (
+                <div className="text-xs text-slate-500">Ein Basisplan friert die aktuelle Terminierung ein; danach zeigt die Timeline Abweichungen als Geisterbalken.</div>
+              ) : (
+                <div className="flex flex-col gap-1 text-sm">
+                  <label className="inline-flex items-center gap-2"><input type="radio" name="baseline" checked={!activeBaselineId} onChange={() => setActiveBaselineId("")} />Kein Vergleich</label>
+                  {baselines.map((b) => (
+                    <div key={b.id} className="flex items-center gap-3">
+                      <label className="inline-flex items-center gap-2"><input type="radio" name="baseline" checked={activeBaselineId === b.id} onChange={() => setActiveBaselineId(b.id)} />{b.name}</label>
+                      <span className="text-xs text-slate-500">{b.createdAt ? new Date(b.createdAt).toLocaleString("de-DE") : ""} · Ende {b.projEnd || "–"}</span>
+                      <button type="button" className="text-xs underline" onClick={() => deleteBaseline(b.id)}>Löschen</button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Szenarien (Was-wäre-wenn) */}
+            <div className="lg:col-span-12 mt-6">
+              <div className="flex flex-wrap items-center gap-3 mb-2">
+                <h4 className="font-medium">Szenarien</h4>
+                {scenarios.length > 0 && (
+                  <select className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={editScenarioId} onChange={(e) => setEditScenarioId(e.target.value)}>
+                    <option value="">– Szenario bearbeiten –</option>
+                    {scenarios.map((sc) => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+                  </select>
+                )}
+                <input type="text" className="ml-auto h-9 w-56 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={scenarioName} placeholder={`Szenario ${scenarios.length + 1}`} onChange={(e) => setScenarioName(e.target.value)} />
+                <button type="button" className="rounded-xl px-3 h-9 text-white" style={{ backgroundColor: palette.black }} onClick={addScenario}>Szenario anlegen</button>
+              </div>
+              {!editScenario ? (
+                <div className="text-xs text-slate-500">Ein Szenario überschreibt Besetzung, Personentage oder GoLive einzelner Phasen; der Plan bleibt unverändert. Der Vergleich erscheint unter der Timeline.</div>
+              ) : (
+                <div>
+                  <div className="flex flex-wrap items-center gap-3 mb-2 text-sm">
+                    <label className="flex items-center gap-2">Name
+                      <input type="text" className="h-9 w-56 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={editScenario.name} onChange={(e) => renameScenario(editScenario.id, e.target.value)} />
+                    </label>
+                    <span className="text-xs text-slate-500">Leere Felder übernehmen den Wert aus dem Plan.</span>
+                    <button type="button" className="ml-auto text-xs underline" onClick={() => deleteScenario(editScenario.id)}>Szenario löschen</button>
+                  </div>
+                  <div className="overflow-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left border-b" style={{ borderColor: palette.grayLight }}>
+                          <th className="py-2 pr-2">Phase</th>
+                          <th className="py-2 pr-2">Personen</th>
+                          <th className="py-2 pr-2">Personentage</th>
+                          <th className="py-2 pr-2">Tage/Woche je Person</th>
+                          <th className="py-2 pr-2">GoLive</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {phases.map((p, i) => {
+                          if (schedule.computed[i]?.summary) return null;
+                          const ov = editScenario.overrides.find((o) => o.phaseId === p.id) || {};
+                          const staff = effectiveStaffing(p);
+                          const numCell = (field, planValue, max) => (
+                            <td className="py-1 pr-2">
+                              <input type="number" min={0} max={max} step="any" className="h-8 w-24 rounded-lg border px-2" style={{ borderColor: palette.grayLight, background: ov[field] !== undefined ? palette.accentLight : "transparent" }} value={ov[field] ?? ""} placeholder={fmtNum(planValue)}
+                                onChange={(e) => setScenarioOverride(editScenario.id, p.id, field, e.target.value === "" ? undefined : Math.min(max ?? Infinity, Math.max(0, parseFloat(e.target.value) || 0)))} />
+                            </td>
+                          );
+                          return (
+                            <tr key={`sco-${p.id}`} className="border-b last:border-b-0" style={{ borderColor: palette.grayLight }}>
+                              <td className="py-1 pr-2">{p.name?.trim() || `Phase ${i + 1}`}</td>
+                              {numCell("persons", staff.persons)}
+                              {numCell("personDays", Number(p.personDays) || 0)}
+                              {numCell("daysPerWeekPerPerson", staff.daysPerWeekPerPerson, 7)}
+                              <td className="py-1 pr-2">
+                                <select className="h-8 rounded-lg border px-2" style={{ borderColor: palette.grayLight, background: ov.goLive !== undefined ? palette.accentLight : "transparent" }} value={ov.goLive === undefined ? "" : ov.goLive ? "1" : "0"}
+                                  onChange={(e) => setScenarioOverride(editScenario.id, p.id, "goLive", e.target.value === "" ? undefined : e.target.value === "1")}>
+                                  <option value="">wie Plan ({p.goLive ? "ja" : "nein"})</option>
+                                  <option value="1">ja</option>
+                                  <option value="0">nein</option>
+                                </select>
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+            </div>
           </div>
-        </section>
+        </section>}
 
         {/* Timeline Card (exportierbarer Bereich – nur HEX-Farben) */}
         <section ref={timelineRef} className="rounded-2xl border border-[#E9E9E9] shadow-sm p-5">
           {/* Titel + Aktionen */}
           <div className="flex items-center justify-between mb-3">
-            <input type="text" value={chartTitle} onChange={(e) => setChartTitle(e.target.value)} className="text-xl font-semibold bg-transparent focus:outline-none border-b border-transparent" style={{ color: palette.black }} />
-            <div className="flex gap-2">
+            <input type="text" value={chartTitle} readOnly={readOnly} onChange={(e) => setChartTitle(e.target.value)} className="text-xl font-semibold bg-transparent focus:outline-none border-b border-transparent" style={{ color: palette.black }} />
+            <div className="flex items-center gap-3">
+              <label className="inline-flex items-center gap-2 text-sm" title="Zeitskala der Timeline">Zoom
+                <select className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={timeScale} onChange={(e) => setTimeScale(e.target.value)}>
+                  {Object.entries(TIME_SCALES).map(([key, z]) => <option key={key} value={key}>{z.label}</option>)}
+                </select>
+              </label>
+              <label className="inline-flex items-center gap-2 text-sm"><input type="checkbox" className="h-4 w-4" checked={showCriticalPath} onChange={(e) => setShowCriticalPath(e.target.checked)} />Kritischer Pfad</label>
+              <label className="inline-flex items-center gap-2 text-sm" title="Personentage je Tag als Histogramm unter den Balken"><input type="checkbox" className="h-4 w-4" checked={showLoadStrip} onChange={(e) => setShowLoadStrip(e.target.checked)} />Auslastung</label>
+              {!readOnly && <label className="inline-flex items-center gap-2 text-sm" title="Raster beim Ziehen von Balken und Meilensteinen">Raster
+                <select className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={dragSnap} onChange={(e) => setDragSnap(e.target.value)}>
+                  <option value="day">Tag</option>
+                  <option value="week">Woche</option>
+                </select>
+              </label>}
               <button className="rounded-2xl px-4 h-10 text-white shadow" style={{ backgroundColor: palette.black }} onClick={handleSaveImage}>Speichern</button>
             </div>
           </div>
 
-          {/* Scroll-Container für Timeline, damit Monatslabels immer vollständig sichtbar (min. 140px pro Monat) */}
+          {/* Scroll-Container für Timeline, damit Kopfbeschriftungen immer vollständig sichtbar (Monatszoom: min. 140px pro Monat) */}
           <div className="w-full rounded-xl border border-[#E9E9E9] overflow-x-auto">
-            {/* Month bands (Header) */}
+            {/* Zeitskala (Header): zwei Zeilen je Zoomstufe, z. B. Quartale über Monaten oder Monate über KW */}
             <div className="relative" style={{ display: "grid", gridTemplateColumns: `${labelColWidth}px ${schedule.totalWidthPx}px` }}>
               <div className="h-[46px]" style={{ borderRight: `1px solid ${palette.grayLight}` }} />
               <div className="relative h-[46px]" style={{ width: `${schedule.totalWidthPx}px` }}>
-                {schedule.months.map((m, idx) => (
+                {schedule.header.map((tier, k) => tier.segs.map((m, idx) => (
                   <div
-                    key={idx}
-                    className="absolute top-0 h-full flex items-center px-2 text-xs"
+                    key={`${tier.unit}-${idx}`}
+                    className={`absolute flex items-center overflow-hidden text-xs ${tier.unit === "day" ? "justify-center" : "px-2"} ${k === 0 ? "font-medium" : ""}`}
                     title={`${m.label} (${m.start} – ${m.end})`}
                     style={{
+                      top: k === 0 ? 0 : 22,
+                      height: k === 0 ? 22 : 24,
                       left: `${m.leftPx}px`,
                       width: `${m.widthPx}px`,
-                      background: idx % 2 === 0 ? "transparent" : palette.grayLight,
-                      color: palette.grayDark,
+                      background: k === 0 ? "transparent" : (tier.unit === "day" ? m.weekend : idx % 2 === 1) ? palette.grayLight : "transparent",
+                      borderLeft: k === 0 && idx > 0 ? `1px solid ${palette.gray}` : undefined,
+                      color: k === 0 ? palette.black : palette.grayDark,
                       whiteSpace: "nowrap",
                     }}
                   >
                     <span>{m.label}</span>
                   </div>
-                ))}
+                )))}
+                {schedule.todayPx !== null && (
+                  <div className="absolute bottom-0 -translate-x-1/2 text-[10px] font-semibold px-1 rounded" style={{ left: `${schedule.todayPx}px`, color: "#ffffff", background: palette.critical }}>Heute</div>
+                )}
               </div>
             </div>
 
             {/* Rows Grid (Label links, Balken rechts) */}
             <div className="relative w-full mt-0 overflow-x-auto">
-              <div className="relative" style={{ minWidth: (labelColWidth + schedule.months.length * MIN_MONTH_LABEL_PX) + "px" }}>
+              <div className="relative" style={{ minWidth: (labelColWidth + schedule.totalWidthPx) + "px" }}>
                 {/* Oberer Trennstrich der Balkenfläche */}
                 <div className="absolute" style={{ left: labelColWidth, right: 0, top: 0, height: 1, background: palette.grayLight }} />
 
-                {/* Monatsend-Linien über alle Zeilen */}
+                {/* Heute-Linie über alle Zeilen */}
+                {schedule.todayPx !== null && (
+                  <div className="pointer-events-none absolute" style={{ left: labelColWidth + schedule.todayPx, top: 0, bottom: 0, width: 2, background: palette.critical, zIndex: 1 }} title={`Heute (${today})`} />
+                )}
+
+                {/* Rasterlinien (Monatsenden bzw. Wochen-/Quartals-/Jahresenden je Zoomstufe) über alle Zeilen */}
                 <div className="pointer-events-none absolute" style={{ left: labelColWidth, right: 0, top: 0, bottom: 0 }}>
-                  {schedule.months.map((m, i) => (
-                    <div key={`mline-${i}`} className="absolute" style={{ left: `${labelColWidth + m.rightPx}px`, top: 0, bottom: 0, width: 1, background: palette.black, opacity: 0.9 }} />
+                  {schedule.gridLines.map((x, i) => (
+                    <div key={`mline-${i}`} className="absolute" style={{ left: `${x}px`, top: 0, bottom: 0, width: 1, background: palette.black, opacity: 0.9 }} />
                   ))}
                 </div>
 
+                {/* Meilenstein-Zeile: alle Meilensteine mit Symbol je Typ; verankerte folgen ihrer Phase und lassen sich nicht ziehen */}
+                {schedule.milestoneLane.length > 0 && (
+                  <div className="grid" style={{ gridTemplateColumns: `${labelColWidth}px ${schedule.totalWidthPx}px`, borderBottom: `1px solid ${palette.grayLight}` }}>
+                    <div className="pr-3 py-2 flex items-center justify-end text-sm font-medium" style={{ borderRight: `1px solid ${palette.grayLight}`, color: palette.black }}>Meilensteine</div>
+                    <div className="relative" style={{ height: 34 + Math.max(...schedule.milestoneLane.map((m) => m.level)) * 13, width: `${schedule.totalWidthPx}px` }}>
+                      {schedule.milestoneLane.map((m) => {
+                        const movable = !readOnly && !m.anchored; const dragging = drag && drag.kind === "milestone" && drag.index === m.index;
+                        return (
+                          <div key={`ms-${m.id ?? m.index}`} className="absolute -translate-x-1/2 flex flex-col items-center" title={`${m.name} • ${MILESTONE_TYPES[m.type]?.label || "Meilenstein"} • ${m.date}${m.anchored ? ` • verankert an ${m.anchorLabel}` : movable ? " • ziehen = verschieben" : ""}`} {...(movable ? { onPointerDown: (e) => startDrag(e, "milestone", -1, m.index), ...dragHandlers } : {})} style={{ left: `${m.leftPx + (dragging ? dragShiftPx : 0)}px`, top: 4, color: palette.black, cursor: movable ? (dragging ? "grabbing" : "grab") : "default", touchAction: "none" }}>
+                            <svg width="14" height="14" viewBox="0 0 14 14" aria-hidden="true"><path d={milestoneSymbolPath(m.type, 7, 7, 6)} fill={palette.black} /></svg>
+                            <div style={{ fontSize: 10, marginTop: 2 + m.level * 13, whiteSpace: "nowrap" }}>{dragging ? milestoneDropDate(m.date) : m.name}</div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
+
                 <div className="grid" style={{ gridTemplateColumns: `${labelColWidth}px ${schedule.totalWidthPx}px` }}>
                   {schedule.items.map((it, idx) => (
                     <React.Fragment key={`row-${idx}`}>
-                      {/* Label-Zelle – mehrzeilig, kein Truncation */}
-                      <div className="pr-3 py-2 flex items-center" style={{ borderRight: `1px solid ${palette.grayLight}`, minHeight: minRowHeight }}>
-                        <span className="text-sm w-full" style={{ color: palette.black, textAlign: "right", whiteSpace: "normal", wordBreak: "break-word", lineHeight: 1.25 }} title={it.label}>
+                      {/* Label-Zelle – mehrzeilig, kein Truncation; mit Unterphasen als eingerückter Baum */}
+                      <div className="pr-3 py-2 flex items-center gap-1" style={{ borderRight: `1px solid ${palette.grayLight}`, minHeight: minRowHeight, paddingLeft: schedule.hasHierarchy ? 8 + (it.level || 0) * 16 : undefined }}>
+                        {schedule.hasHierarchy && (
+                          it.summary ? (
+                            <button type="button" className="w-4 shrink-0 text-xs" style={{ color: palette.grayDark }} onClick={() => toggleCollapsed(phases[it.phaseIndex].id)} title={it.collapsed ? "Unterphasen einblenden" : "Unterphasen ausblenden"}>{it.collapsed ? "▸" : "▾"}</button>
+                          ) : <span className="w-4 shrink-0" />
+                        )}
+                        <span className="text-sm w-full" style={{ color: palette.black, textAlign: schedule.hasHierarchy ? "left" : "right", whiteSpace: "normal", wordBreak: "break-word", lineHeight: 1.25, fontWeight: it.summary ? 600 : undefined }} title={it.label}>
                           {it.label}
                         </span>
                       </div>
 
                       {/* Balken-Zelle */}
-                      <div className="relative py-2" style={{ minHeight: minRowHeight, width: `${schedule.totalWidthPx}px` }}>
-                        {/* Phasen-/Org-/HC-Balken */}
-                        <div className="absolute rounded-xl shadow-sm" title={`${it.label} • ${it.start} – ${it.end}`} style={{
-                          top: 10,
-                          bottom: it.type === "phase" && (schedule.msByItem[idx]?.length || 0) > 0 ? 28 : 10,
-                          left: `${it.leftPx}px`,
-                          width: `${Math.max(it.widthPx, 1)}px`,
-                          background: sanitizeHexColor(it.color, palette.orange),
-                          border: `1px solid ${sanitizeHexColor(it.border, palette.orange)}`,
-                        }} />
+                      <div ref={(el) => { rowRefs.current[idx] = el; }} className="relative py-2" style={{ minHeight: minRowHeight, width: `${schedule.totalWidthPx}px` }}>
+                        {/* Phasen-/Org-/HC-Balken – Phasen ohne Ist-Termine lassen sich ziehen */}
+                        {(() => {
+                          const draggable = !readOnly && it.type === "phase" && !it.summary && !phases[it.phaseIndex]?.actualStart && !phases[it.phaseIndex]?.actualFinish;
+                          const dragging = drag && drag.kind !== "milestone" && drag.row === idx;
+                          const left = it.leftPx + (dragging && drag.kind === "move" ? dragShiftPx : 0);
+                          const width = Math.max(dragging && drag.kind === "resize" ? it.widthPx + dragShiftPx : it.widthPx, Math.max(1, Math.round(schedule.pxPerDay)));
+                          const w = it.type === "phase" && !it.summary ? forecastPhases?.[phases[it.phaseIndex]?.id] : null;
+                          return (
+                            <>
+                              {/* Prognose: Streuung des Phasenendes P5–P95 (Strich = P50) hinter dem Balken */}
+                              {w?.p5 && w.p95 > w.p5 && (
+                                <div className="pointer-events-none absolute" style={{ top: 10, bottom: barBottom(idx), left: `${whiskerPx(w.p5)}px`, width: `${whiskerPx(w.p95) - whiskerPx(w.p5)}px` }}>
+                                  <div className="absolute left-0 right-0" style={{ top: "50%", height: 1, background: palette.black }} />
+                                  <div className="absolute left-0" style={{ top: "25%", bottom: "25%", width: 1, background: palette.black }} />
+                                  <div className="absolute right-0" style={{ top: "25%", bottom: "25%", width: 1, background: palette.black }} />
+                                  <div className="absolute" style={{ left: `${whiskerPx(w.p50) - whiskerPx(w.p5) - 1}px`, top: "15%", bottom: "15%", width: 2, background: palette.black }} />
+                                </div>
+                              )}
+                              <div className="absolute rounded-xl shadow-sm overflow-hidden" title={`${it.label} • ${it.start} – ${it.end}${it.type === "phase" ? ` • ${fmtNum(it.progress)} % erledigt` : ""}${draggable ? " • ziehen = verschieben, rechter Rand = Dauer" : ""}`} {...(draggable ? { onPointerDown: (e) => startDrag(e, "move", idx, it.phaseIndex), ...dragHandlers } : {})} style={{
+                                top: 10,
+                                bottom: barBottom(idx),
+                                left: `${left}px`,
+                                width: `${width}px`,
+                                background: it.summary ? shadeHex(sanitizeHexColor(it.color, palette.orange), 0.75) : sanitizeHexColor(it.color, palette.orange),
+                                border: showCriticalPath && it.critical ? `2px solid ${palette.critical}` : `1px solid ${sanitizeHexColor(it.border, palette.orange)}`,
+                                cursor: draggable ? (dragging ? "grabbing" : "grab") : undefined,
+                                touchAction: draggable ? "none" : undefined,
+                                opacity: dragging ? 0.8 : 1,
+                              }}>
+                                {/* Fortschritt: erledigter Anteil dunkler */}
+                                {it.type === "phase" && it.progress > 0 && (
+                                  <div className="absolute left-0 top-0 bottom-0" style={{ width: `${it.progress}%`, background: shadeHex(it.color, 0.65) }} />
+                                )}
+                                {draggable && (
+                                  <div className="absolute right-0 top-0 bottom-0" style={{ width: 8, cursor: "ew-resize" }} onPointerDown={(e) => startDrag(e, "resize", idx, it.phaseIndex)} {...dragHandlers} />
+                                )}
+                              </div>
+                              {dragging && (
+                                <div className="pointer-events-none absolute text-[10px] px-1 rounded whitespace-nowrap" style={{ left: `${left + width + 4}px`, top: 10, color: "#ffffff", background: palette.black, zIndex: 2 }}>
+                                  Ende → {drag.kind === "move" ? prevWorkday(addDays(it.end, dragDays), schedule.cal) : maxIso(prevWorkday(addDays(it.end, dragDays), schedule.cal), it.start)}
+                                </div>
+                              )}
+                            </>
+                          );
+                        })()}
+
+                        {/* Geisterbalken: Lage im gewählten Basisplan */}
+                        {it.ghost && (
+                          <div className="absolute rounded" title={`Basisplan: ${it.ghost.start} – ${it.ghost.end}`} style={{
+                            bottom: barBottom(idx) - 7,
+                            height: 5,
+                            left: `${it.ghost.leftPx}px`,
+                            width: `${it.ghost.widthPx}px`,
+                            background: palette.gray,
+                            border: `1px solid ${palette.grayDark}`,
+                          }} />
+                        )}
 
                         {/* GoLive hinter Phase */}
                         {it.type === "phase" && it.goLive && (
@@ -702,22 +4541,53 @@ export default function ProjektplanWebapp() {
                             <div style={{ fontSize: 10, marginTop: 2 }}>GoLive</div>
                           </div>
                         )}
-
-                        {/* Meilensteine in dieser Zeile (nur für Phase) */}
-                        {it.type === "phase" && (schedule.msByItem[idx]?.length || 0) > 0 && (
-                          <div className="absolute left-0 right-0" style={{ bottom: 4 }}>
-                            {schedule.msByItem[idx].map((m, j) => (
-                              <div key={`ms-${idx}-${j}`} className="absolute -translate-x-1/2 flex flex-col items-center" style={{ left: `${m.leftPx}px`, color: palette.black }}>
-                                <div style={{ fontSize: 14, lineHeight: "12px" }}>★</div>
-                                <div style={{ fontSize: 10, marginTop: 2, whiteSpace: "nowrap" }}>{m.name}</div>
-                              </div>
-                            ))}
-                          </div>
-                        )}
                       </div>
                     </React.Fragment>
                   ))}
                 </div>
+
+                {/* Auslastungs-Histogramm: Personentage je Tag auf der Skala der Balken, gestapelt nach Phase; rot = Ressource über Kapazität */}
+                {showLoadStrip && (
+                  <div className="grid" style={{ gridTemplateColumns: `${labelColWidth}px ${schedule.totalWidthPx}px`, borderTop: `1px solid ${palette.grayLight}` }}>
+                    <div className="pr-3 py-2 flex flex-col items-end justify-center text-sm font-medium" style={{ borderRight: `1px solid ${palette.grayLight}`, color: palette.black }}>
+                      <span>Auslastung</span>
+                      <span className="text-xs font-normal" style={{ color: palette.grayDark }}>max. {fmtNum(schedule.loadStrip.max)} PT/Tag</span>
+                    </div>
+                    <svg width={schedule.totalWidthPx} height={LOAD_STRIP_HEIGHT} style={{ display: "block" }} role="img" aria-label="Auslastung je Tag">
+                      {schedule.loadStrip.bars.map((b) => {
+                        let acc = 0; const scaleY = (LOAD_STRIP_HEIGHT - 8) / Math.max(schedule.loadStrip.max, 0.1);
+                        return (
+                          <g key={`ls-${b.iso}`}>
+                            <title>{`${b.iso}: ${fmtNum(b.value)} PT${b.over ? " – Kapazität überschritten" : ""}`}</title>
+                            {schedule.burnSeries.filter((x) => b.byPhase[x.id]).map((x) => {
+                              const hgt = b.byPhase[x.id] * scaleY; acc += hgt;
+                              return <rect key={x.id} x={b.leftPx} y={LOAD_STRIP_HEIGHT - acc} width={Math.max(b.widthPx, 0.5)} height={hgt} fill={b.over ? palette.critical : x.color} />;
+                            })}
+                          </g>
+                        );
+                      })}
+                    </svg>
+                  </div>
+                )}
+
+                {/* Abhängigkeitspfeile zwischen den Balken */}
+                {schedule.links.length > 0 && gridHeight > 0 && (
+                  <svg className="pointer-events-none absolute" style={{ left: labelColWidth, top: 0, overflow: "visible" }} width={schedule.totalWidthPx} height={gridHeight}>
+                    <defs>
+                      <marker id="dep-arrow" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+                        <path d="M 0 0 L 6 3 L 0 6 z" fill={palette.grayDark} />
+                      </marker>
+                      <marker id="dep-arrow-critical" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+                        <path d="M 0 0 L 6 3 L 0 6 z" fill={palette.critical} />
+                      </marker>
+                    </defs>
+                    {schedule.links.map((l, k) => {
+                      const from = barAnchor(l.fromRow); const to = barAnchor(l.toRow); if (!from || !to) return null;
+                      const crit = showCriticalPath && l.critical;
+                      return <path key={`link-${k}`} d={dependencyPath(l.type, from, to)} fill="none" stroke={crit ? palette.critical : palette.grayDark} strokeWidth={crit ? 1.75 : 1.25} markerEnd={crit ? "url(#dep-arrow-critical)" : "url(#dep-arrow)"} />;
+                    })}
+                  </svg>
+                )}
               </div>
             </div>
           </div>
@@ -725,59 +4595,284 @@ export default function ProjektplanWebapp() {
           {/* Legende */}
           <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
             <span className="inline-flex items-center gap-2"><span className="w-4 h-4 inline-block rounded" style={{ background: palette.orange }} /> Phase</span>
-            <span className="inline-flex items-center gap-2"><span className="w-4 h-4 inline-block rounded" style={{ background: sanitizeHexColor(hypercareColor, palette.accentLight), border: `1px solid ${sanitizeHexColor(hypercareBorderColor, palette.orange)}` }} /> Hypercare (2 Wochen)</span>
+            <span className="inline-flex items-center gap-2"><span className="w-4 h-4 inline-block rounded" style={{ background: sanitizeHexColor(hypercareColor, palette.accentLight), border: `1px solid ${sanitizeHexColor(hypercareBorderColor, palette.orange)}` }} /> Hypercare</span>
+            {schedule.postLegend.map((b) => (
+              <span key={`pl-${b.name}-${b.color}`} className="inline-flex items-center gap-2"><span className="w-4 h-4 inline-block rounded" style={{ background: b.color, border: `1px solid ${shadeHex(b.color, 0.8)}` }} /> {b.name}</span>
+            ))}
             <span className="inline-flex items-center gap-2"><span className="w-4 h-4 inline-block rounded" style={{ background: sanitizeHexColor(orgColor, palette.softBlue), border: `1px solid ${sanitizeHexColor(orgBorderColor, palette.softBlueBorder)}` }} /> Projektorganisation (laufend)</span>
             <span className="inline-flex items-center gap-2">★ GoLive</span>
-            <span className="inline-flex items-center gap-2">★ Meilenstein</span>
+            {Object.entries(MILESTONE_TYPES).filter(([type]) => schedule.milestoneLane.some((m) => m.type === type)).map(([type, t]) => (
+              <span key={`mt-${type}`} className="inline-flex items-center gap-2"><svg width="14" height="14" viewBox="0 0 14 14" aria-hidden="true"><path d={milestoneSymbolPath(type, 7, 7, 6)} fill={palette.black} /></svg> {t.label}</span>
+            ))}
+            {schedule.links.length > 0 && <span className="inline-flex items-center gap-2" style={{ color: palette.grayDark }}>→ Abhängigkeit</span>}
+            {forecastPhases && <span className="inline-flex items-center gap-2"><span className="relative inline-block" style={{ width: 18, height: 10, borderLeft: `1px solid ${palette.black}`, borderRight: `1px solid ${palette.black}` }}><span className="absolute left-0 right-0" style={{ top: 4, height: 1, background: palette.black }} /></span> Prognose Phasenende P5–P95</span>}
+            {showCriticalPath && <span className="inline-flex items-center gap-2"><span className="w-4 h-4 inline-block rounded" style={{ border: `2px solid ${palette.critical}` }} /> Kritischer Pfad</span>}
+            <span className="inline-flex items-center gap-2"><span className="inline-block" style={{ width: 2, height: 16, background: palette.critical }} /> Heute</span>
+            {schedule.baseline && <span className="inline-flex items-center gap-2"><span className="w-4 inline-block rounded" style={{ height: 5, background: palette.gray, border: `1px solid ${palette.grayDark}` }} /> Basisplan „{schedule.baseline.name}“{schedule.projEndShift !== null && ` (Projektende ${fmtShift(schedule.projEndShift)} T)`}</span>}
+          </div>
+
+          {/* Status zum Stichtag: Ist-Fortschritt gegen lineares Soll */}
+          <div className="mt-4 text-sm">
+            {schedule.behindPlan.length === 0 ? (
+              <span style={{ color: palette.grayDark }}>Status {today}: alle Phasen im Plan.</span>
+            ) : (
+              <div>
+                <div className="font-medium" style={{ color: palette.critical }}>Status {today}: {schedule.behindPlan.length} {schedule.behindPlan.length === 1 ? "Phase" : "Phasen"} hinter Plan</div>
+                <ul className="list-disc pl-5">
+                  {schedule.behindPlan.map((r) => (
+                    <li key={`bp-${r.index}`}>{r.name}: Ist {fmtNum(r.actual)} % / Soll {fmtNum(r.expected)} % (−{fmtNum(r.gap)} Pkt.)</li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         </section>
 
+        {/* ===== Prognose (Monte Carlo) ===== */}
+        {forecast && (
+          <section className="rounded-2xl border border-[#E9E9E9] shadow-sm p-5">
+            <div className="flex flex-wrap items-center gap-3 mb-3">
+              <h3 className="text-lg font-semibold">Terminprognose</h3>
+              <span className="text-sm text-slate-500">{forecast.done < forecast.total ? `Simulation läuft … ${forecast.done} / ${forecast.total} Läufe` : `${forecast.total} Läufe, Seed ${forecastSeed}`}</span>
+            </div>
+            {forecast.summary && (
+              <div className="overflow-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left border-b" style={{ borderColor: palette.grayLight }}>
+                      <th className="py-2 pr-2">Termin</th>
+                      <th className="py-2 pr-2" title="Deterministische Terminierung mit den wahrscheinlichen Personentagen">Plan</th>
+                      <th className="py-2 pr-2" title="Mit 50 % Wahrscheinlichkeit bis hier erreicht">P50</th>
+                      <th className="py-2 pr-2" title="Mit 80 % Wahrscheinlichkeit bis hier erreicht">P80</th>
+                      <th className="py-2 pr-2" title="Mit 95 % Wahrscheinlichkeit bis hier erreicht">P95</th>
+                      <th className="py-2 pr-2">Plantermin gehalten</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[{ key: "end", name: "Projektende", ...forecast.summary.projEnd }, ...forecast.summary.goLives.map((g) => ({ key: g.phaseId, ...g, name: `GoLive: ${g.name}` }))].map((r) => (
+                      <tr key={`fc-${r.key}`} className="border-b last:border-b-0" style={{ borderColor: palette.grayLight }}>
+                        <td className="py-2 pr-2 font-medium">{r.name}</td>
+                        <td className="py-2 pr-2">{r.planned}</td>
+                        <td className="py-2 pr-2">{r.p50}</td>
+                        <td className="py-2 pr-2">{r.p80}</td>
+                        <td className="py-2 pr-2">{r.p95}</td>
+                        <td className={`py-2 pr-2 ${r.onTime < 0.5 ? "text-red-800 font-medium" : ""}`}>{fmtNum(r.onTime * 100)} %</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* ===== Szenario-Vergleich ===== */}
+        {scenarioResults.length > 1 && (
+          <section className="rounded-2xl border border-[#E9E9E9] shadow-sm p-5">
+            <h3 className="text-lg font-semibold mb-3">Szenario-Vergleich</h3>
+            <ScenarioCompare results={scenarioResults} overlay={scenarioView} />
+          </section>
+        )}
+
         {/* ===== Burnrate-Auswertung ===== */}
         <section className="rounded-2xl border border-[#E9E9E9] shadow-sm p-5">
           <div className="flex items-center justify-between mb-3">
             <h3 className="text-lg font-semibold">Burnrate-Auswertung</h3>
             <div className="flex items-center gap-2">
+              <div className="inline-flex rounded-lg border overflow-hidden" style={{ borderColor: palette.grayLight }}>
+                {[["chart", "Diagramm"], ["table", "Tabelle"]].map(([key, label]) => (
+                  <button key={key} type="button" className="px-3 h-9 text-sm" style={{ background: burnView === key ? palette.accentLight : "transparent" }} onClick={() => setBurnView(key)}>{label}</button>
+                ))}
+              </div>
               <label className="text-sm">Aggregation:</label>
               <select className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={aggMode} onChange={(e) => setAggMode(e.target.value)}>
                 <option value="day">Tag</option>
                 <option value="week">Woche (KW)</option>
                 <option value="month">Monat</option>
               </select>
+              <button type="button" className="rounded-xl px-3 h-9 text-sm border" style={{ borderColor: palette.grayLight }} onClick={handleExportBurnCsv} title="Burnrate der gewählten Aggregation als CSV">CSV</button>
             </div>
           </div>
 
-          <div className="overflow-auto">
-            <table className="w-full text-sm">
-              <thead>
-                <tr className="text-left border-b" style={{ borderColor: palette.grayLight }}>
-                  <th className="py-2 pr-2" style={{ width: 260 }}>{aggMode === "day" ? "Tag (Datum)" : aggMode === "week" ? "Kalenderwoche" : "Monat"}</th>
-                  <th className="py-2 pr-2">Summe Personentage</th>
-                </tr>
-              </thead>
-              <tbody>
-                {schedule.burnRows.map((r, i) => (
-                  <tr key={`br-${i}`} className="border-b last:border-b-0" style={{ borderColor: palette.grayLight }}>
-                    <td className="py-2 pr-2">{r.label}</td>
-                    <td className="py-2 pr-2">{fmtNum(r.value)}</td>
+          {/* Kosten & Budget */}
+          {showCost && (
+            <div className="mb-4">
+              <div className="flex flex-wrap items-center gap-4 text-sm mb-2">
+                <span>Geplante Kosten: <strong>{fmtEur(schedule.totalCost)}</strong></span>
+                {budget > 0 && <span>Budget: <strong>{fmtEur(budget)}</strong> ({fmtNum((schedule.totalCost / budget) * 100)} %)</span>}
+                {schedule.budgetExceededOn && <span className="rounded-lg bg-red-50 px-2 py-1 text-red-800">Budget überschritten ab {schedule.budgetExceededOn}</span>}
+              </div>
+              <SCurveChart points={schedule.costCurve} budget={budget} />
+            </div>
+          )}
+
+          {/* Überlastung je Ressource */}
+          {schedule.overload.length > 0 && (
+            <div className="mb-3 rounded-xl border border-red-300 bg-red-50 px-4 py-3 text-sm text-red-800">
+              <div className="font-medium mb-1">Überlastung:</div>
+              <ul className="list-disc pl-5">
+                {schedule.overload.map((o) => {
+                  const r = resources.find((x) => x.id === o.resourceId);
+                  return <li key={`ol-${o.resourceId}`}>{r?.name || "Ressource"}: {o.days.length} {o.days.length === 1 ? "Tag" : "Tage"} über Kapazität (ab {o.days[0]}, Spitze {fmtNum(o.peak)} PT/Tag)</li>;
+                })}
+              </ul>
+            </div>
+          )}
+
+          {burnView === "chart" ? (
+            <div>
+              <BurnChart rows={schedule.burnRows} series={schedule.burnSeries} showCost={showCost} />
+              <div className="mt-2 flex flex-wrap items-center gap-4 text-sm">
+                {schedule.burnSeries.map((x) => <span key={`bl-${x.id}`} className="inline-flex items-center gap-2"><span className="w-3 h-3 inline-block rounded-sm" style={{ background: x.color, border: `1px solid ${shadeHex(x.color, 0.8)}` }} /> {x.name}</span>)}
+                <span className="inline-flex items-center gap-2"><span className="inline-block" style={{ width: 16, height: 2, background: palette.black }} /> Personentage kumuliert</span>
+              </div>
+            </div>
+          ) : (
+            <div className="overflow-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left border-b" style={{ borderColor: palette.grayLight }}>
+                    <th className="py-2 pr-2" style={{ width: 260 }}>{aggMode === "day" ? "Tag (Datum)" : aggMode === "week" ? "Kalenderwoche" : "Monat"}</th>
+                    <th className="py-2 pr-2">Summe Personentage</th>
+                    {showCost && <th className="py-2 pr-2">Kosten</th>}
+                    {showCost && <th className="py-2 pr-2">Kosten kumuliert</th>}
+                    {resources.length > 0 && schedule.resKeys.map((k) => <th key={`brh-${k}`} className="py-2 pr-2">{k ? resources.find((r) => r.id === k)?.name : "Ohne Zuordnung"}</th>)}
                   </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
+                </thead>
+                <tbody>
+                  {schedule.burnRows.map((r, i) => (
+                    <tr key={`br-${i}`} className="border-b last:border-b-0" style={{ borderColor: palette.grayLight }}>
+                      <td className="py-2 pr-2">{r.label}</td>
+                      <td className="py-2 pr-2">{fmtNum(r.value)}</td>
+                      {showCost && <td className="py-2 pr-2">{fmtEur(r.cost)}</td>}
+                      {showCost && <td className={`py-2 pr-2 ${budget > 0 && r.cumCost > budget + 1e-6 ? "text-red-800 font-medium" : ""}`}>{fmtEur(r.cumCost)}</td>}
+                      {resources.length > 0 && schedule.resKeys.map((k) => (
+                        <td key={`brc-${i}-${k}`} className={`py-2 pr-2 ${r.over.has(k) ? "bg-red-50 text-red-800 font-medium" : ""}`} title={r.over.has(k) ? "Kapazität überschritten" : undefined}>{fmtNum(r.byRes[k])}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </section>
 
         {/* Export/Print */}
         <section className="rounded-2xl border border-[#E9E9E9] shadow-sm p-5 flex items-center justify-between">
-          <div className="text-sm text-slate-600">Drucke die Seite oder exportiere als PDF über deinen Browser.</div>
-          <div className="flex gap-3">
+          <div className="text-sm text-slate-600">Drucke die Seite, speichere ein Bild oder exportiere die gesamte Roadmap verlustfrei als SVG bzw. mehrseitiges PDF.</div>
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="inline-flex items-center gap-2 text-sm"><input type="checkbox" className="h-4 w-4" checked={exportBurnTable} onChange={(e) => setExportBurnTable(e.target.checked)} />Burnrate-Tabelle</label>
+            <label className="inline-flex items-center gap-2 text-sm" title="Phasen zusätzlich als mehrtägige Termine in die Kalenderdatei"><input type="checkbox" className="h-4 w-4" checked={icsPhases} onChange={(e) => setIcsPhases(e.target.checked)} />Phasen im Kalender</label>
+            <label className="inline-flex items-center gap-2 text-sm">Format
+              <select className="h-9 rounded-lg border px-2" style={{ borderColor: palette.grayLight }} value={exportPageFormat} onChange={(e) => setExportPageFormat(e.target.value)}>
+                {Object.keys(PDF_PAGE_SIZES).map((f) => <option key={f} value={f}>{f} quer</option>)}
+              </select>
+            </label>
+            <button className="rounded-2xl px-4 h-10 text-white shadow" style={{ backgroundColor: palette.black }} onClick={handleExportSVG}>SVG</button>
+            <button className="rounded-2xl px-4 h-10 text-white shadow" style={{ backgroundColor: palette.black }} onClick={handleExportPDF}>PDF</button>
+            <button className="rounded-2xl px-4 h-10 text-white shadow" style={{ backgroundColor: palette.black }} onClick={handleExportMspdi} title="MSPDI-XML für MS Project">MS Project</button>
+            <button className="rounded-2xl px-4 h-10 text-white shadow" style={{ backgroundColor: palette.black }} onClick={handleExportXlsx} title="Phasen und Burnrate (Tag/KW/Monat) als Excel-Arbeitsmappe">Excel</button>
+            <button className="rounded-2xl px-4 h-10 text-white shadow" style={{ backgroundColor: palette.black }} onClick={handleExportIcs} title="Meilensteine, GoLive und Hypercare als iCalendar-Datei (Outlook)">Kalender</button>
             <button className="rounded-2xl px-4 h-10 text-white shadow" style={{ backgroundColor: palette.black }} onClick={() => window.print()}>Drucken</button>
             <button className="rounded-2xl px-4 h-10 text-white shadow" style={{ backgroundColor: palette.orange }} onClick={handleSaveImage}>Speichern</button>
           </div>
         </section>
-
-        {/* Footer */}
-        <footer className="pb-10 text-xs text-slate-500">© {new Date().getFullYear()} – Projektplaner (Burnrate-basiert)</footer>
       </main>
+
+      {/* Footer */}
+      <footer className="mx-auto max-w-6xl px-6 pb-10 text-xs text-slate-500">© {new Date().getFullYear()} – Projektplaner (Burnrate-basiert)</footer>
+
+      {/* CSV-Import der Phasenliste */}
+      {csvImport && (() => {
+        const preview = parsePhaseCsv(csvImport.text);
+        return (
+          <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4" onClick={() => setCsvImport(null)}>
+            <div role="dialog" aria-modal="true" aria-labelledby="csv-title" className="w-full max-w-2xl rounded-2xl bg-white p-5 shadow-xl" onClick={(e) => e.stopPropagation()}>
+              <h3 id="csv-title" className="text-lg font-semibold mb-2">Phasen aus CSV übernehmen</h3>
+              <p className="text-sm mb-2 text-slate-600">Zeilen aus der Schätz-Tabelle einfügen oder eine CSV-Datei wählen. Spalten: Phase; Personentage; Personen; Tage/Woche/Person (optional Tagessatz, GoLive, Farbe) – mit oder ohne Kopfzeile.</p>
+              <textarea className="w-full h-48 rounded-xl border p-2 font-mono text-xs" style={{ borderColor: palette.grayLight }} value={csvImport.text} onChange={(e) => setCsvImport({ text: e.target.value })} placeholder={"Phase;Personentage;Personen;Tage/Woche/Person\nKonzept;20;2;5"} autoFocus />
+              <div className="mt-2 flex flex-wrap items-center gap-3 text-sm">
+                <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleCsvFile} />
+                <span className="text-slate-600">{preview.phases.length} {preview.phases.length === 1 ? "Phase" : "Phasen"} erkannt</span>
+              </div>
+              {csvImport.text.trim() !== "" && preview.errors.length > 0 && (
+                <ul className="mt-2 list-disc pl-5 text-sm text-red-800 max-h-32 overflow-auto">
+                  {preview.errors.map((l, i) => <li key={`ce-${i}`}>{l}</li>)}
+                </ul>
+              )}
+              <div className="mt-4 flex justify-end gap-2">
+                <button type="button" className="rounded-xl px-4 h-9 border" style={{ borderColor: palette.grayLight }} onClick={() => setCsvImport(null)}>Abbrechen</button>
+                <button type="button" className="rounded-xl px-4 h-9 text-white disabled:opacity-40" style={{ backgroundColor: palette.black }} disabled={!preview.phases.length} onClick={() => applyPhaseCsv(true)}>Ersetzen</button>
+                <button type="button" className="rounded-xl px-4 h-9 text-white disabled:opacity-40" style={{ backgroundColor: palette.orange }} disabled={!preview.phases.length} onClick={() => applyPhaseCsv(false)}>Anhängen</button>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* Zielsuche: Vorschlag prüfen */}
+      {goalSeekResult && (() => {
+        const g = goalSeekResult; const label = goalSeekTargetLabel(g.target); const unit = g.field === "persons" ? "Personen" : "Tage/Woche/Person";
+        return (
+          <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4" onClick={() => setGoalSeekResult(null)}>
+            <div role="dialog" aria-modal="true" aria-labelledby="gs-title" className="w-full max-w-2xl rounded-2xl bg-white p-5 shadow-xl" onClick={(e) => e.stopPropagation()}>
+              <h3 id="gs-title" className="text-lg font-semibold mb-2">Besetzung für {label} am {g.date}</h3>
+              {g.before <= g.date ? (
+                <p className="text-sm mb-3 text-slate-600">Der Zieltermin wird bereits gehalten: {label} am {g.before}. Keine Änderung nötig.</p>
+              ) : g.reached ? (
+                <p className="text-sm mb-3">Ziel erreichbar: {label} am <strong>{g.after}</strong> statt {g.before}.</p>
+              ) : (
+                <div className="mb-3 rounded-xl border border-red-300 bg-red-50 px-4 py-3 text-sm text-red-800">
+                  <div className="font-medium">Zieltermin nicht erreichbar.</div>
+                  <div>{g.changes.length ? `Selbst mit dieser Besetzung (${g.field === "persons" ? `höchstens ${g.maxPersons} Personen` : "höchstens 5 Tage/Woche"} je Phase) frühestens am ${g.after} statt ${g.before}.` : `Keine terminbestimmende Phase lässt sich weiter verstärken – ${label} bleibt am ${g.before}.`}</div>
+                </div>
+              )}
+              {g.changes.length > 0 && (
+                <div className="overflow-auto max-h-80">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left border-b" style={{ borderColor: palette.grayLight }}>
+                        <th className="py-2 pr-2">Phase</th>
+                        <th className="py-2 pr-2">{unit}</th>
+                        <th className="py-2 pr-2">{calendarMode === "workdays" ? "Dauer (Arbeitstage)" : "Dauer (Tage)"}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {g.changes.map((c) => (
+                        <tr key={`gsc-${c.id}`} className="border-b last:border-b-0" style={{ borderColor: palette.grayLight }}>
+                          <td className="py-2 pr-2">{c.name}</td>
+                          <td className="py-2 pr-2">{fmtNum(c.from)} → <strong>{fmtNum(c.to)}</strong></td>
+                          <td className="py-2 pr-2">{c.daysBefore} → {c.daysAfter}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <div className="mt-4 flex justify-end gap-2">
+                <button type="button" className="rounded-xl px-4 h-9 border" style={{ borderColor: palette.grayLight }} onClick={() => setGoalSeekResult(null)}>Abbrechen</button>
+                <button type="button" className="rounded-xl px-4 h-9 text-white disabled:opacity-40" style={{ backgroundColor: palette.orange }} disabled={!g.changes.length} onClick={applyGoalSeek}>{g.reached ? "Übernehmen" : "Trotzdem übernehmen"}</button>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* Fehlerdialog (Import/Laden) */}
+      {dialog && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4" onClick={() => setDialog(null)}>
+          <div role="alertdialog" aria-modal="true" aria-labelledby="dialog-title" className="w-full max-w-xl rounded-2xl bg-white p-5 shadow-xl" onClick={(e) => e.stopPropagation()}>
+            <h3 id="dialog-title" className="text-lg font-semibold mb-2" style={{ color: dialog.info ? palette.black : palette.critical }}>{dialog.title}</h3>
+            {dialog.intro && <p className="text-sm mb-2">{dialog.intro}</p>}
+            <ul className="list-disc pl-5 text-sm font-mono max-h-72 overflow-auto">
+              {dialog.lines.map((l, i) => <li key={`dl-${i}`} className="break-all">{l}</li>)}
+            </ul>
+            <div className="mt-4 flex justify-end">
+              <button type="button" className="rounded-xl px-4 h-9 text-white" style={{ backgroundColor: palette.black }} onClick={() => setDialog(null)} autoFocus>Schließen</button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }